@@ -8,16 +8,48 @@ import {
   ListToolsRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import fs from "fs/promises";
+import { watch } from "fs";
+import { execFile } from "child_process";
 import path from "path";
+import { promisify } from "util";
 import { fileURLToPath } from "url";
 import { createServer } from "node:http";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const TOKENS_DIR = path.join(__dirname, "tokens");
-const COMPONENT_TOKENS_DIR = path.join(TOKENS_DIR, "componentToken");
-const BRANDING_JSON_FILE = path.join(TOKENS_DIR, "branding-token.json");
+// Token, rule and branding locations. Defaults point at the bundled files;
+// main() overrides them from CLI flags, env vars or a config file.
+let TOKENS_DIR = path.join(__dirname, "tokens");
+let COMPONENT_TOKENS_DIR = path.join(TOKENS_DIR, "componentToken");
+let RULES_DIR = path.join(__dirname, "rules");
+let BRANDING_JSON_FILE = path.join(TOKENS_DIR, "branding-token.json");
+let HISTORY_FILE = path.join(TOKENS_DIR, ".design-tokens-history.json");
+let THEMES_DIR = path.join(TOKENS_DIR, "themes");
+
+/** Default config file name, looked up in the working directory */
+const CONFIG_FILE_NAME = "design-tokens-mcp.config.json";
+
+/**
+ * Configurable paths: config file key, CLI flag and env var for each
+ */
+const PATH_OPTIONS = {
+  tokensDir: { flag: "--tokens-dir", env: "DESIGN_TOKENS_DIR" },
+  componentTokensDir: {
+    flag: "--component-tokens-dir",
+    env: "DESIGN_TOKENS_COMPONENT_DIR",
+  },
+  rulesDir: { flag: "--rules-dir", env: "DESIGN_TOKENS_RULES_DIR" },
+  brandingJson: {
+    flag: "--branding-json",
+    env: "DESIGN_TOKENS_BRANDING_JSON",
+  },
+  historyFile: {
+    flag: "--history-file",
+    env: "DESIGN_TOKENS_HISTORY_FILE",
+  },
+  themesDir: { flag: "--themes-dir", env: "DESIGN_TOKENS_THEMES_DIR" },
+};
 
 // Token file categories with metadata
 const TOKEN_FILES = {
@@ -91,334 +123,119 @@ const TOKEN_FILES = {
   },
 };
 
-// Component categories for grouping
-const COMPONENT_CATEGORIES = {
-  navigation: [
-    "header",
-    "nav-flyout",
-    "nav-toggle",
-    "nav-topbar",
-    "breadcrumb",
-    "content-nav",
-    "pagination",
-  ],
-  content: ["headline", "rich-text", "text", "image-text", "image-story"],
-  blog: ["blog-aside", "blog-head", "blog-teaser"],
-  cards: ["teaser-card", "business-card", "contact"],
-  heroes: ["hero", "cta", "video-curtain"],
-  forms: [
-    "button",
-    "checkbox",
-    "checkbox-group",
-    "radio",
-    "radio-group",
-    "text-field",
-    "text-area",
-    "select-field",
-  ],
-  layout: ["section", "split-even", "split-weighted", "mosaic", "gallery"],
-  "data-display": [
-    "stats",
-    "features",
-    "faq",
-    "testimonials",
-    "downloads",
-    "logos",
-  ],
-  utility: [
-    "divider",
-    "lightbox",
-    "slider",
-    "cookie-consent",
-    "footer",
-    "html",
-    "logo",
-    "event-latest",
-    "event-latest-teaser",
-    "event-list-teaser",
-  ],
-};
+// Component token files are discovered from COMPONENT_TOKENS_DIR: every
+// `<slug>-tokens.scss` is a component. Category and description come from
+// the sidecar manifest (components.json) or a leading file comment.
 
-// Component token file registry — all 50 files
-const COMPONENT_TOKEN_FILES = {
-  "blog-aside": {
-    file: "blog-aside-tokens.scss",
-    category: "blog",
-    description: "Blog sidebar with author info, metadata, and share bar",
-  },
-  "blog-head": {
-    file: "blog-head-tokens.scss",
-    category: "blog",
-    description: "Blog article header with date, headline, and spacing",
-  },
-  "blog-teaser": {
-    file: "blog-teaser-tokens.scss",
-    category: "blog",
-    description:
-      "Blog teaser card with image, topic, copy, and author metadata",
-  },
-  breadcrumb: {
-    file: "breadcrumb-tokens.scss",
-    category: "navigation",
-    description: "Breadcrumb navigation with icon separators",
-  },
-  "business-card": {
-    file: "business-card-tokens.scss",
-    category: "cards",
-    description: "Business card with image, contact info, avatar, and links",
-  },
-  button: {
-    file: "button-tokens.scss",
-    category: "forms",
-    description:
-      "Button with primary/secondary/tertiary variants and small/medium/large sizes",
-  },
-  "checkbox-group": {
-    file: "checkbox-group-tokens.scss",
-    category: "forms",
-    description: "Checkbox group container with label styling",
-  },
-  checkbox: {
-    file: "checkbox-tokens.scss",
-    category: "forms",
-    description: "Checkbox input with checked/hover/focus states and label",
-  },
-  contact: {
-    file: "contact-tokens.scss",
-    category: "cards",
-    description:
-      "Contact card with image, title, copy, and linked contact items",
-  },
-  "content-nav": {
-    file: "content-nav-tokens.scss",
-    category: "navigation",
-    description: "Content navigation panel with links, image, and toggle",
-  },
-  "cookie-consent": {
-    file: "cookie-consent-tokens.scss",
-    category: "utility",
-    description:
-      "Cookie consent banner/dialog with options, toggles, and overlay",
-  },
-  cta: {
-    file: "cta-tokens.scss",
-    category: "heroes",
-    description:
-      "Call-to-action section with headline, copy, image, and color variants",
-  },
-  divider: {
-    file: "divider-tokens.scss",
-    category: "utility",
-    description: "Visual divider/separator with accent variant",
-  },
-  downloads: {
-    file: "downloads-tokens.scss",
-    category: "data-display",
-    description: "Downloads list with file items, icons, and hover states",
-  },
-  "event-latest-teaser": {
-    file: "event-latest-teaser-tokens.scss",
-    category: "utility",
-    description: "Event latest teaser (placeholder — no tokens defined)",
-  },
-  "event-latest": {
-    file: "event-latest-tokens.scss",
-    category: "utility",
-    description: "Event latest component (placeholder — no tokens defined)",
-  },
-  "event-list-teaser": {
-    file: "event-list-teaser-tokens.scss",
-    category: "utility",
-    description: "Event list teaser (placeholder — no tokens defined)",
-  },
-  faq: {
-    file: "faq-tokens.scss",
-    category: "data-display",
-    description: "FAQ accordion with summary/answer styling and expand icon",
-  },
-  features: {
-    file: "features-tokens.scss",
-    category: "data-display",
-    description:
-      "Features list with icons, titles, copy, and links at multiple sizes",
-  },
-  footer: {
-    file: "footer-tokens.scss",
-    category: "utility",
-    description: "Page footer with logo, byline, and navigation links",
-  },
-  gallery: {
-    file: "gallery-tokens.scss",
-    category: "layout",
-    description: "Image gallery with configurable tile sizes and aspect ratios",
-  },
-  header: {
-    file: "header-tokens.scss",
-    category: "navigation",
-    description:
-      "Page header with logo, floating variant, and responsive spacing",
-  },
-  headline: {
-    file: "headline-tokens.scss",
-    category: "content",
-    description:
-      "Headline component with h1–h4 levels, subheadline, and highlight styling",
-  },
-  hero: {
-    file: "hero-tokens.scss",
-    category: "heroes",
-    description:
-      "Hero banner with textbox, overlay gradients, and responsive min-height",
-  },
-  html: {
-    file: "html-tokens.scss",
-    category: "utility",
-    description: "HTML embed container with consent overlay styling",
-  },
-  "image-story": {
-    file: "image-story-tokens.scss",
-    category: "content",
-    description: "Image-story (storytelling) layout with copy and spacing",
-  },
-  "image-text": {
-    file: "image-text-tokens.scss",
-    category: "content",
-    description: "Image-text block with standard and highlight variants",
-  },
-  lightbox: {
-    file: "lightbox-tokens.scss",
-    category: "utility",
-    description:
-      "Lightbox overlay with counter, buttons, and placeholder background",
-  },
-  logo: {
-    file: "logo-tokens.scss",
-    category: "utility",
-    description: "Logo component (placeholder — no tokens defined)",
-  },
-  logos: {
-    file: "logos-tokens.scss",
-    category: "data-display",
-    description: "Logo grid with tagline, responsive columns, and gap control",
-  },
-  mosaic: {
-    file: "mosaic-tokens.scss",
-    category: "layout",
-    description: "Mosaic layout with headline, copy, and content padding",
-  },
-  "nav-flyout": {
-    file: "nav-flyout-tokens.scss",
-    category: "navigation",
-    description:
-      "Flyout navigation menu with labels, sublist, transitions, and dimmed states",
-  },
-  "nav-toggle": {
-    file: "nav-toggle-tokens.scss",
-    category: "navigation",
-    description: "Navigation hamburger toggle with floating variant",
-  },
-  "nav-topbar": {
-    file: "nav-topbar-tokens.scss",
-    category: "navigation",
-    description:
-      "Top navigation bar with label styling, icons, and floating variant",
-  },
-  pagination: {
-    file: "pagination-tokens.scss",
-    category: "navigation",
-    description: "Pagination controls with active state and responsive border",
-  },
-  "radio-group": {
-    file: "radio-group-tokens.scss",
-    category: "forms",
-    description: "Radio button group container with label styling",
-  },
-  radio: {
-    file: "radio-tokens.scss",
-    category: "forms",
-    description: "Radio button input with checked/hover/focus states and label",
-  },
-  "rich-text": {
-    file: "rich-text-tokens.scss",
-    category: "content",
-    description: "Rich text block with headline and body copy styling",
-  },
-  section: {
-    file: "section-tokens.scss",
-    category: "layout",
-    description:
-      "Section layout with columns, gutters, content widths, backgrounds, and slider",
-  },
-  "select-field": {
-    file: "select-field-tokens.scss",
-    category: "forms",
-    description: "Select dropdown with border states, label, and placeholder",
-  },
-  slider: {
-    file: "slider-tokens.scss",
-    category: "utility",
-    description: "Content slider with arrow and bullet navigation controls",
-  },
-  "split-even": {
-    file: "split-even-tokens.scss",
-    category: "layout",
-    description:
-      "Even-split layout with configurable gutters and content widths",
-  },
-  "split-weighted": {
-    file: "split-weighted-tokens.scss",
-    category: "layout",
-    description:
-      "Weighted-split layout with main/aside areas and gutter control",
-  },
-  stats: {
-    file: "stats-tokens.scss",
-    category: "data-display",
-    description:
-      "Statistics display with icon, number, topic, and copy styling",
-  },
-  "teaser-card": {
-    file: "teaser-card-tokens.scss",
-    category: "cards",
-    description:
-      "Teaser card with image, topic, label, copy, and compact variant",
-  },
-  testimonials: {
-    file: "testimonials-tokens.scss",
-    category: "data-display",
-    description:
-      "Testimonial quotes with source, byline, image, and quote icon",
-  },
-  "text-area": {
-    file: "text-area-tokens.scss",
-    category: "forms",
-    description: "Textarea input with border states, label, and placeholder",
-  },
-  "text-field": {
-    file: "text-field-tokens.scss",
-    category: "forms",
-    description:
-      "Text input field with border states, shadow, label, and placeholder",
-  },
-  text: {
-    file: "text-tokens.scss",
-    category: "content",
-    description: "Text block with highlight variant and multi-column support",
-  },
-  "video-curtain": {
-    file: "video-curtain-tokens.scss",
-    category: "heroes",
-    description:
-      "Video curtain hero with headline, copy, textbox, and overlay gradients",
-  },
-};
+/** Sidecar manifest with per-component metadata, keyed by slug */
+const COMPONENT_MANIFEST_FILE = "components.json";
 
-// Reverse lookup: component slug → category
-const COMPONENT_CATEGORY_MAP = {};
-for (const [category, components] of Object.entries(COMPONENT_CATEGORIES)) {
-  for (const slug of components) {
-    COMPONENT_CATEGORY_MAP[slug] = category;
+/** Category assigned to components without metadata */
+const DEFAULT_COMPONENT_CATEGORY = "uncategorized";
+
+/** Cached component registry — discovered once from COMPONENT_TOKENS_DIR */
+let _cachedComponentRegistry = null;
+
+/**
+ * Read `// @category` and `// @description` from the leading comment lines
+ * of a component token file.
+ * @param {string} content - File content
+ * @returns {{category?: string, description?: string}}
+ */
+function parseComponentFileMetadata(content) {
+  const metadata = {};
+  for (const line of content.split("\n")) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    if (!trimmed.startsWith("//")) break;
+    const tagMatch = trimmed.match(/^\/\/\s*@(category|description)\s+(.+)$/);
+    if (tagMatch) {
+      metadata[tagMatch[1]] = tagMatch[2].trim();
+    }
+  }
+  return metadata;
+}
+
+/**
+ * Derive a component's token prefix from its first `.dsa-*` class selector,
+ * falling back to `dsa-<slug>`.
+ * @param {string} content - File content
+ * @param {string} slug - Component slug from the filename
+ * @returns {string} Prefix without leading dashes (e.g. "dsa-button")
+ */
+function deriveComponentPrefix(content, slug) {
+  const selectorMatch = content.match(
+    /^\s*\.(dsa-[a-z0-9-]+)[^{;]*\{/m,
+  );
+  return selectorMatch ? selectorMatch[1] : `dsa-${slug}`;
+}
+
+/**
+ * Discover component token files and their metadata.
+ * Manifest entries take precedence over file comments. Caches in memory
+ * after first load.
+ * @returns {Promise<{files: Object<string, Object>, categories: Object<string, string[]>}>}
+ */
+async function loadComponentRegistry() {
+  if (_cachedComponentRegistry) return _cachedComponentRegistry;
+
+  let manifest = {};
+  try {
+    const content = await fs.readFile(
+      path.join(COMPONENT_TOKENS_DIR, COMPONENT_MANIFEST_FILE),
+      "utf-8",
+    );
+    manifest = JSON.parse(content);
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      console.error(
+        `Warning: failed to parse ${COMPONENT_MANIFEST_FILE}: ${e.message}`,
+      );
+    }
+  }
+
+  let entries = [];
+  try {
+    entries = await fs.readdir(COMPONENT_TOKENS_DIR);
+  } catch {
+    console.error(
+      `Warning: component token directory not found: ${COMPONENT_TOKENS_DIR}`,
+    );
+  }
+
+  const files = {};
+  const categories = {};
+  const tokenFiles = entries.filter((f) => f.endsWith("-tokens.scss")).sort();
+  for (const file of tokenFiles) {
+    const slug = file.slice(0, -"-tokens.scss".length);
+    let content = "";
+    try {
+      content = await fs.readFile(
+        path.join(COMPONENT_TOKENS_DIR, file),
+        "utf-8",
+      );
+    } catch {
+      // Unreadable file, register it with defaults
+    }
+    const fromComment = parseComponentFileMetadata(content);
+    const fromManifest = manifest[slug] || {};
+    const category =
+      fromManifest.category ||
+      fromComment.category ||
+      DEFAULT_COMPONENT_CATEGORY;
+
+    files[slug] = {
+      file,
+      category,
+      description: fromManifest.description || fromComment.description || "",
+      prefix: fromManifest.prefix || deriveComponentPrefix(content, slug),
+    };
+    if (!categories[category]) categories[category] = [];
+    categories[category].push(slug);
   }
+
+  _cachedComponentRegistry = { files, categories };
+  return _cachedComponentRegistry;
 }
 
 /**
@@ -478,9 +295,10 @@ function classifyTokenValue(value) {
  *
  * @param {string} name - Full token name like "--dsa-button_primary--color_hover"
  * @param {string} knownComponent - The known component slug for this file
+ * @param {string} [knownPrefix] - Prefix derived from the file's selector (e.g. "dsa-image-story")
  * @returns {{element: string|null, variant: string|null, cssProperty: string, state: string|null}}
  */
-function parseComponentTokenName(name, knownComponent) {
+function parseComponentTokenName(name, knownComponent, knownPrefix = null) {
   // States that can appear as suffixes
   const STATES = [
     "hover",
@@ -495,6 +313,7 @@ function parseComponentTokenName(name, knownComponent) {
   // Strip the leading -- and the component prefix (--dsa-button or --l-split-even)
   let remainder = name;
   const prefixes = [
+    ...(knownPrefix ? [`--${knownPrefix}`] : []),
     `--dsa-${knownComponent}`,
     `--l-${knownComponent}`,
     `--dsa-${knownComponent.replace(/-/g, "_")}`,
@@ -582,22 +401,23 @@ function parseComponentTokenName(name, knownComponent) {
  */
 async function parseAllComponentTokens(componentFilter = null) {
   const results = [];
+  const registry = await loadComponentRegistry();
 
   const filesToParse = componentFilter
-    ? COMPONENT_TOKEN_FILES[componentFilter]
-      ? { [componentFilter]: COMPONENT_TOKEN_FILES[componentFilter] }
+    ? registry.files[componentFilter]
+      ? { [componentFilter]: registry.files[componentFilter] }
       : {}
-    : COMPONENT_TOKEN_FILES;
+    : registry.files;
 
   for (const [slug, config] of Object.entries(filesToParse)) {
     const filePath = path.join(COMPONENT_TOKENS_DIR, config.file);
     try {
       await fs.access(filePath);
-      const tokens = await parseTokenFile(filePath, config.category);
+      const tokens = await loadTokenFile(filePath, config.category);
 
       for (const [name, data] of tokens.entries()) {
         const { valueType, referencedToken } = classifyTokenValue(data.value);
-        const parsed = parseComponentTokenName(name, slug);
+        const parsed = parseComponentTokenName(name, slug, config.prefix);
 
         results.push({
           name,
@@ -899,11 +719,15 @@ function getBrandingSchemaDescription() {
 
 /**
  * Read the JSON branding configuration
+ * @param {string|null} [theme] - Theme to read, defaults to the active theme
  * @returns {Promise<Object>}
  */
-async function readBrandingJson() {
+async function readBrandingJson(theme = null) {
   try {
-    const content = await fs.readFile(BRANDING_JSON_FILE, "utf-8");
+    const content = await fs.readFile(
+      getThemePaths(theme).brandingJson,
+      "utf-8",
+    );
     return JSON.parse(content);
   } catch (error) {
     throw new Error(`Failed to read branding JSON: ${error.message}`);
@@ -911,14 +735,25 @@ async function readBrandingJson() {
 }
 
 /**
- * Write the JSON branding configuration
+ * Write the JSON branding configuration. The config must pass the branding
+ * JSON Schema; nothing is written otherwise.
  * @param {Object} config - The configuration object
+ * @param {Object|null} [changeSet] - Journal the write into this change set
+ * @param {string|null} [theme] - Theme to write, defaults to the active theme
  * @returns {Promise<void>}
+ * @throws {Error} If the config violates the schema
  */
-async function writeBrandingJson(config) {
+async function writeBrandingJson(config, changeSet = null, theme = null) {
+  const errors = await validateBrandingConfig(config);
+  if (errors.length > 0) {
+    throw new Error(
+      `Theme configuration violates the schema, nothing was written: ${formatSchemaErrors(errors)}`,
+    );
+  }
+
   try {
-    const content = JSON.stringify(config, null, 2);
-    await fs.writeFile(BRANDING_JSON_FILE, content, "utf-8");
+    const content = `${JSON.stringify(config, null, 2)}\n`;
+    await writeSourceFile(getThemePaths(theme).brandingJson, content, changeSet);
   } catch (error) {
     throw new Error(`Failed to write branding JSON: ${error.message}`);
   }
@@ -950,6 +785,148 @@ function setNestedValue(obj, path, value) {
   target[lastKey] = value;
 }
 
+/**
+ * Check the path of a theme change: it must be a known leaf of the branding
+ * config (or documented in getBrandingSchemaDescription()). Value types are
+ * checked against the JSON Schema once the whole patch is applied.
+ * @param {Object} config - Current branding config
+ * @param {string} path - Dot notation path
+ * @param {*} value - Proposed value
+ * @returns {string|null} Error message, or null if the change is allowed
+ */
+function validateThemeValue(config, path, value) {
+  const description = getBrandingSchemaDescription()[path];
+  const current = getNestedValue(config, path);
+
+  if (current === undefined && !description) {
+    return `Unknown path '${path}'`;
+  }
+  if (current !== null && typeof current === "object") {
+    return `'${path}' is a group; set its individual values instead`;
+  }
+  if (value === null || value === undefined) {
+    return `'${path}' cannot be removed`;
+  }
+  return null;
+}
+
+/**
+ * Prepare a theme patch without writing it. Every path is checked, the
+ * patched config is validated against the JSON Schema and the CSS (if
+ * requested) is derived, so callers can write it together with other files.
+ * @param {Array<{path: string, value: *}>} changes - Changes to apply in order
+ * @param {Object} [options]
+ * @param {boolean} [options.regenerateCss=false] - Derive branding-tokens.css as well
+ * @param {string} [options.theme] - Theme to patch, defaults to the active theme
+ * @returns {Promise<{brandingJson: string, original: string, config: Object, applied: Array, unchanged: string[], css: Object|null}>}
+ * @throws {Error} If a path or the patched config is invalid
+ */
+async function stageThemePatch(changes, options = {}) {
+  if (changes.length === 0) {
+    throw new Error("Patch contains no changes");
+  }
+
+  const { brandingJson } = getThemePaths(options.theme);
+  const original = await fs.readFile(brandingJson, "utf-8");
+  const config = await readBrandingJson(options.theme);
+
+  const errors = [];
+  for (const { path: valuePath, value } of changes) {
+    const error = validateThemeValue(config, valuePath, value);
+    if (error) errors.push(error);
+  }
+  if (errors.length > 0) {
+    throw new Error(
+      `Theme patch rejected, nothing was written: ${errors.join("; ")}`,
+    );
+  }
+
+  const applied = [];
+  const unchanged = [];
+  for (const { path: valuePath, value } of changes) {
+    const oldValue = getNestedValue(config, valuePath);
+    if (oldValue === value) {
+      unchanged.push(valuePath);
+      continue;
+    }
+    setNestedValue(config, valuePath, value);
+    applied.push({ path: valuePath, oldValue, newValue: value });
+  }
+
+  const schemaErrors = await validateBrandingConfig(config);
+  if (schemaErrors.length > 0) {
+    throw new Error(
+      `Theme patch rejected, nothing was written: ${formatSchemaErrors(schemaErrors)}`,
+    );
+  }
+
+  const css = options.regenerateCss
+    ? await buildBrandingCss(config, options.theme)
+    : null;
+
+  return { brandingJson, original, config, applied, unchanged, css };
+}
+
+/**
+ * Write a staged theme patch: the branding JSON if anything changed, then
+ * the derived CSS.
+ * @param {Object} staged - From stageThemePatch()
+ * @param {Object|null} changeSet - Journal the writes into this change set
+ * @param {string|null} [theme] - Theme the patch was staged for
+ * @returns {Promise<void>}
+ */
+async function writeThemePatch(staged, changeSet, theme = null) {
+  if (staged.applied.length > 0) {
+    await writeBrandingJson(staged.config, changeSet, theme);
+  }
+  if (staged.css) {
+    await writeSourceFile(staged.css.path, staged.css.content, changeSet);
+  }
+}
+
+/**
+ * Report a staged theme patch with the diff of the branding JSON.
+ * @param {Object} staged - From stageThemePatch()
+ * @param {boolean} dryRun - Whether the patch was left unwritten
+ * @returns {Object}
+ */
+function describeThemePatch(staged, dryRun) {
+  const cssRegeneration = staged.css && describeBrandingCss(staged.css, dryRun);
+  return {
+    success: true,
+    dryRun,
+    applied: staged.applied,
+    unchanged: staged.unchanged,
+    diff: createUnifiedDiff(
+      path.relative(TOKENS_DIR, staged.brandingJson),
+      staged.original,
+      `${JSON.stringify(staged.config, null, 2)}\n`,
+    ),
+    ...(cssRegeneration && { cssRegeneration }),
+  };
+}
+
+/**
+ * Apply many theme changes at once. Everything is validated and the CSS (if
+ * requested) is derived before anything is written; if anything is invalid,
+ * nothing is written.
+ * @param {Array<{path: string, value: *}>} changes - Changes to apply in order
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Return the diffs without writing
+ * @param {boolean} [options.regenerateCss=false] - Regenerate branding-tokens.css as well
+ * @param {Object} [options.changeSet] - Journal the writes into this change set
+ * @param {string} [options.theme] - Theme to patch, defaults to the active theme
+ * @returns {Promise<Object>}
+ */
+async function applyThemePatch(changes, options = {}) {
+  const staged = await stageThemePatch(changes, options);
+  const dryRun = options.dryRun === true;
+  if (!dryRun) {
+    await writeThemePatch(staged, options.changeSet, options.theme);
+  }
+  return describeThemePatch(staged, dryRun);
+}
+
 /**
  * Flatten JSON object to dot notation paths
  * @param {Object} obj
@@ -1000,15 +977,72 @@ function getFactorDescription(tokenName) {
 }
 
 /**
- * Parse a single CSS/SCSS file and extract all CSS Custom Properties with comments
+ * Context names for the theme selectors used in the token files
+ */
+const SELECTOR_CONTEXTS = {
+  ":root": "root",
+  "[ks-theme]": "theme",
+  '[ks-inverted="true"]': "inverted",
+  '[ks-inverted="false"]': "notInverted",
+  "[ks-inverted]": "invertedAny",
+};
+
+/**
+ * Describe where a declaration sits from the stack of enclosing block headers
+ * @param {string[]} blockStack - Block headers from outermost to innermost
+ * @returns {{selector: string|null, contexts: string[], media: string|null}}
+ */
+function describeBlockContext(blockStack) {
+  const atRules = blockStack.filter((header) => header.startsWith("@"));
+  const rule = [...blockStack]
+    .reverse()
+    .find((header) => !header.startsWith("@"));
+  const selectors = rule
+    ? rule
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean)
+    : [];
+
+  return {
+    selector: selectors.length > 0 ? selectors.join(", ") : null,
+    contexts:
+      selectors.length > 0
+        ? selectors.map((part) => SELECTOR_CONTEXTS[part] || part)
+        : ["unscoped"],
+    media: atRules.length > 0 ? atRules.join(" and ") : null,
+  };
+}
+
+/**
+ * Pick the declaration that represents a token's default value: the
+ * unconditional :root one if present, otherwise the first unconditional one.
+ * Tokens only declared inside @media fall back to their first declaration,
+ * which the token record labels with its `media` query.
+ * @param {Array} declarations - Declarations in source order
+ * @returns {Object}
+ */
+function selectPrimaryDeclaration(declarations) {
+  return (
+    declarations.find((d) => !d.media && d.contexts.includes("root")) ||
+    declarations.find((d) => !d.media) ||
+    declarations[0]
+  );
+}
+
+/**
+ * Parse a single CSS/SCSS file and extract all CSS Custom Properties with comments.
+ * A token declared in several selector blocks (e.g. :root and
+ * [ks-inverted="true"]) keeps one declaration per selector; `value` is the
+ * default (:root) value and `contexts` maps each context to its value.
  * @param {string} filePath - Path to the token file
  * @param {string} category - Category name for the tokens
- * @returns {Promise<Map<string, {value: string, file: string, category: string, comment?: string, section?: string}>>}
+ * @returns {Promise<Map<string, {value: string, file: string, category: string, media?: string, comment?: string, section?: string, contexts: Object, declarations: Array}>>}
  */
 async function parseTokenFile(filePath, category) {
   try {
     const content = await fs.readFile(filePath, "utf-8");
-    const tokens = new Map();
+    const declarationsByToken = new Map();
     const fileName = path.basename(filePath);
     const lines = content.split("\n");
 
@@ -1016,6 +1050,8 @@ async function parseTokenFile(filePath, category) {
     let pendingComments = [];
     let inBlockComment = false;
     let blockCommentLines = [];
+    const blockStack = [];
+    let selectorLines = [];
 
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
@@ -1081,31 +1117,75 @@ async function parseTokenFile(filePath, category) {
         continue;
       }
 
+      // Track enclosing selector and at-rule blocks so each declaration
+      // knows its context
+      if (!/^--[a-zA-Z0-9_-]+\s*:/.test(trimmedLine)) {
+        const code = trimmedLine
+          .replace(/\/\*.*?\*\//g, "")
+          .replace(/\s\/\/.*$/, "")
+          .trim();
+        if (code.endsWith("{")) {
+          blockStack.push(
+            [...selectorLines, code.slice(0, -1)]
+              .join(" ")
+              .replace(/\s+/g, " ")
+              .trim(),
+          );
+          selectorLines = [];
+        } else if (code.startsWith("}")) {
+          blockStack.pop();
+          selectorLines = [];
+        } else if (code.endsWith(",")) {
+          selectorLines.push(code);
+        } else if (code) {
+          selectorLines = [];
+        }
+      }
+
+      // Multi-line declarations (e.g. color-mix() split across lines) are
+      // joined into one line before matching
+      const startLine = i + 1;
+      let declaration = line;
+      if (/^\s*--[a-zA-Z0-9_-]+\s*:/.test(line) && !line.includes(";")) {
+        const continuation = [trimmedLine];
+        while (i + 1 < lines.length && !lines[i].includes(";")) {
+          i++;
+          continuation.push(lines[i].trim());
+        }
+        declaration = continuation
+          .join(" ")
+          .replace(/\(\s+/g, "(")
+          .replace(/\s+\)/g, ")");
+      }
+
       // Check for CSS custom property definition
-      const tokenMatch = line.match(/--([a-zA-Z0-9_-]+)\s*:\s*([^;]+);/);
+      const tokenMatch = declaration.match(/--([a-zA-Z0-9_-]+)\s*:\s*([^;]+);/);
       if (tokenMatch) {
         const tokenName = `--${tokenMatch[1]}`;
         const tokenValue = tokenMatch[2].trim().replace(/\s+/g, " ");
 
         // Check for inline comment after the value (both // and /* */)
-        const inlineSlashComment = line.match(/;\s*\/\/\s*(.+)$/);
-        const inlineBlockComment = line.match(/;\s*\/\*\s*(.+?)\s*\*\/\s*$/);
+        const inlineSlashComment = declaration.match(/;\s*\/\/\s*(.+)$/);
+        const inlineBlockComment = declaration.match(
+          /;\s*\/\*\s*(.+?)\s*\*\/\s*$/,
+        );
         let inlineComment = inlineSlashComment
           ? inlineSlashComment[1].trim()
           : inlineBlockComment
             ? inlineBlockComment[1].trim()
             : null;
 
-        // Build the token data
-        const tokenData = {
+        // Build the declaration record for this selector context
+        const record = {
           value: tokenValue,
-          file: fileName,
-          category: category,
+          ...describeBlockContext(blockStack),
+          line: startLine,
+          endLine: i + 1,
         };
 
         // Add section if available
         if (currentSection) {
-          tokenData.section = currentSection;
+          record.section = currentSection;
         }
 
         // Combine pending comments and inline comment
@@ -1115,10 +1195,21 @@ async function parseTokenFile(filePath, category) {
         }
 
         if (allComments.length > 0) {
-          tokenData.comment = allComments.join(" | ");
+          record.comment = allComments.join(" | ");
         }
 
-        tokens.set(tokenName, tokenData);
+        // One record per (token, selector, media) - a redeclaration in the
+        // same block wins, as it would in the cascade
+        const records = declarationsByToken.get(tokenName) || [];
+        const existing = records.findIndex(
+          (r) => r.selector === record.selector && r.media === record.media,
+        );
+        if (existing >= 0) {
+          records[existing] = record;
+        } else {
+          records.push(record);
+        }
+        declarationsByToken.set(tokenName, records);
         pendingComments = []; // Reset pending comments after token
       }
 
@@ -1139,6 +1230,31 @@ async function parseTokenFile(filePath, category) {
       }
     }
 
+    const tokens = new Map();
+    for (const [tokenName, declarations] of declarationsByToken.entries()) {
+      const primary = selectPrimaryDeclaration(declarations);
+      const contexts = {};
+      for (const decl of declarations) {
+        for (const context of decl.contexts) {
+          contexts[decl.media ? `${context} ${decl.media}` : context] =
+            decl.value;
+        }
+      }
+
+      tokens.set(tokenName, {
+        value: primary.value,
+        file: fileName,
+        category: category,
+        ...(primary.media && { media: primary.media }),
+        ...(primary.section && { section: primary.section }),
+        ...(primary.comment && { comment: primary.comment }),
+        contexts,
+        declarations: declarations.map(
+          ({ section, comment, ...declaration }) => declaration,
+        ),
+      });
+    }
+
     return tokens;
   } catch (error) {
     console.error(`Failed to parse ${filePath}: ${error.message}`);
@@ -1147,11 +1263,26 @@ async function parseTokenFile(filePath, category) {
 }
 
 /**
- * Parse all token files and return combined tokens
+ * Get the path of a global token file. The branding files belong to a theme.
+ * @param {string} key - Key of TOKEN_FILES
+ * @param {{brandingJson: string, brandingCss: string}} themePaths - From getThemePaths()
+ * @returns {string}
+ */
+function getTokenFilePath(key, themePaths) {
+  if (key === "branding") return themePaths.brandingCss;
+  if (key === "branding-json") return themePaths.brandingJson;
+  return path.join(TOKENS_DIR, TOKEN_FILES[key].file);
+}
+
+/**
+ * Parse all token files and return combined tokens. The branding files are
+ * read from the given theme.
  * @param {string|null} fileFilter - Optional file key filter
+ * @param {string|null} [theme] - Theme for the branding files, defaults to the active theme
  * @returns {Promise<Map<string, {value: string, file: string, category: string}>>}
  */
-async function parseAllTokens(fileFilter = null) {
+async function parseAllTokens(fileFilter = null, theme = null) {
+  const themePaths = getThemePaths(theme);
   const allTokens = new Map();
 
   const filesToParse = fileFilter
@@ -1160,10 +1291,10 @@ async function parseAllTokens(fileFilter = null) {
 
   for (const [key, config] of Object.entries(filesToParse)) {
     if (!config) continue;
-    const filePath = path.join(TOKENS_DIR, config.file);
+    const filePath = getTokenFilePath(key, themePaths);
     try {
       await fs.access(filePath);
-      const tokens = await parseTokenFile(filePath, config.category);
+      const tokens = await loadTokenFile(filePath, config.category);
       for (const [name, data] of tokens.entries()) {
         allTokens.set(name, data);
       }
@@ -1208,63 +1339,367 @@ async function getTokenStats() {
 }
 
 /**
- * Update a token value in its source file
- * @param {string} tokenName - The token name
- * @param {string} newValue - The new value
- * @returns {Promise<Object>}
+ * Label a declaration by its selector block, with the at-rule when nested
+ * (same format as the keys of a token's `contexts`)
+ * @param {{selector: string|null, media: string|null}} declaration
+ * @returns {string}
  */
-async function updateTokenInFile(tokenName, newValue) {
-  const normalizedName = tokenName.startsWith("--")
-    ? tokenName
-    : `--${tokenName}`;
-
-  // Find which file contains this token
-  const allTokens = await parseAllTokens();
-  const tokenData = allTokens.get(normalizedName);
+function declarationBlockLabel(declaration) {
+  const selector = declaration.selector || "(unscoped)";
+  return declaration.media ? `${selector} ${declaration.media}` : selector;
+}
 
-  if (!tokenData) {
-    throw new Error(`Token '${normalizedName}' not found in any file`);
+/**
+ * Find every declaration of a token across global and component token files.
+ * @param {string} tokenName - Full token name (with leading --)
+ * @param {string|null} [theme] - Theme for the branding files, defaults to the active theme
+ * @returns {Promise<Array<Object>>} Declarations with file, filePath, category and component
+ */
+async function findTokenDeclarations(tokenName, theme = null) {
+  const themePaths = getThemePaths(theme);
+  const sources = Object.entries(TOKEN_FILES).map(([key, config]) => {
+    const filePath = getTokenFilePath(key, themePaths);
+    return { ...config, file: path.relative(TOKENS_DIR, filePath), filePath };
+  });
+  const registry = await loadComponentRegistry();
+  for (const [slug, config] of Object.entries(registry.files)) {
+    sources.push({
+      ...config,
+      filePath: path.join(COMPONENT_TOKENS_DIR, config.file),
+      component: slug,
+    });
   }
 
-  const filePath = path.join(TOKENS_DIR, tokenData.file);
-  let content = await fs.readFile(filePath, "utf-8");
-
-  // Create regex to find the specific token
-  const escapedName = normalizedName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-  const tokenRegex = new RegExp(`(${escapedName}\\s*:\\s*)([^;]+)(;)`, "g");
-
-  if (!tokenRegex.test(content)) {
-    throw new Error(`Token '${normalizedName}' not found in ${tokenData.file}`);
+  const found = [];
+  for (const source of sources) {
+    const tokens = await loadTokenFile(source.filePath, source.category);
+    const data = tokens.get(tokenName);
+    if (!data) continue;
+    for (const declaration of data.declarations) {
+      found.push({
+        ...declaration,
+        file: source.component ? `componentToken/${source.file}` : source.file,
+        filePath: source.filePath,
+        category: source.category,
+        ...(source.component && { component: source.component }),
+      });
+    }
   }
+  return found;
+}
 
-  const oldValue = tokenData.value;
+/**
+ * Compute a line edit script between two versions of a file.
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<[string, string]>} [op, line] pairs; op is " ", "-" or "+"
+ */
+function diffLineOps(a, b) {
+  // Skip the common head and tail; only the middle needs an LCS table
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    a[a.length - 1 - tail] === b[b.length - 1 - tail]
+  ) {
+    tail++;
+  }
 
-  // Replace the token value
-  const updatedContent = content.replace(
-    new RegExp(`(${escapedName}\\s*:\\s*)([^;]+)(;)`, "g"),
-    `$1${newValue}$3`,
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+  const lcs = Array.from(
+    { length: midA.length + 1 },
+    () => new Uint32Array(midB.length + 1),
   );
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        midA[i] === midB[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
 
-  await fs.writeFile(filePath, updatedContent, "utf-8");
-
-  return {
-    success: true,
-    tokenName: normalizedName,
-    oldValue,
-    newValue: newValue.trim(),
-    file: tokenData.file,
-    category: tokenData.category,
-  };
+  // Edit script over the whole file as [op, line] pairs
+  const ops = a.slice(0, head).map((line) => [" ", line]);
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push([" ", midA[i++]]);
+      j++;
+    } else if (
+      i < midA.length &&
+      (j >= midB.length || lcs[i + 1][j] >= lcs[i][j + 1])
+    ) {
+      ops.push(["-", midA[i++]]);
+    } else {
+      ops.push(["+", midB[j++]]);
+    }
+  }
+  for (const line of a.slice(a.length - tail)) ops.push([" ", line]);
+  return ops;
 }
 
 /**
- * Search tokens by pattern
- * @param {Map} tokens - All tokens
- * @param {string} pattern - Search pattern
- * @param {string} searchIn - 'name', 'value', or 'both'
- * @returns {Array}
+ * Build a unified diff between two versions of a file.
+ * @param {string} fileName - Path shown in the diff header
+ * @param {string} oldText - Current file content
+ * @param {string} newText - Proposed file content
+ * @param {number} [context=3] - Unchanged lines shown around each change
+ * @returns {string} The diff, or an empty string when nothing changed
  */
-function searchTokens(tokens, pattern, searchIn = "both") {
+function createUnifiedDiff(fileName, oldText, newText, context = 3) {
+  if (oldText === newText) return "";
+  const ops = diffLineOps(oldText.split("\n"), newText.split("\n"));
+
+  // Line numbers before each op, for hunk headers
+  const oldLineAt = [];
+  const newLineAt = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const [op] of ops) {
+    oldLineAt.push(oldLine);
+    newLineAt.push(newLine);
+    if (op !== "+") oldLine++;
+    if (op !== "-") newLine++;
+  }
+
+  // Group changes whose context would overlap into one hunk
+  const hunks = [];
+  ops.forEach(([op], k) => {
+    if (op === " ") return;
+    const last = hunks[hunks.length - 1];
+    if (last && k - last.end <= 2 * context) {
+      last.end = k;
+    } else {
+      hunks.push({ start: k, end: k });
+    }
+  });
+
+  const output = [`--- a/${fileName}`, `+++ b/${fileName}`];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length, hunk.end + context + 1);
+    const slice = ops.slice(from, to);
+    const oldCount = slice.filter(([op]) => op !== "+").length;
+    const newCount = slice.filter(([op]) => op !== "-").length;
+    const oldStart = oldCount > 0 ? oldLineAt[from] + 1 : oldLineAt[from];
+    const newStart = newCount > 0 ? newLineAt[from] + 1 : newLineAt[from];
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const [op, line] of slice) output.push(`${op}${line}`);
+  }
+  return output.join("\n");
+}
+
+/** Properties checked for hardcoded values, by global token category */
+const GLOBAL_CATEGORY_PROPERTIES = {
+  "text-color": "color",
+  "background-color": "background-color",
+  "border-color": "border-color",
+};
+
+/**
+ * Check a proposed token value before it is written. Every var() reference
+ * must resolve to an existing token (errors); component and semantic color
+ * tokens should not receive hardcoded values (warnings).
+ * @param {string} tokenName - Token being updated
+ * @param {string} value - Proposed value
+ * @param {Object} target - Declaration from findTokenDeclarations()
+ * @returns {Promise<{valueType: string, references: string[], errors: Array<Object>, warnings: Array<Object>}>}
+ */
+async function validateTokenUpdate(tokenName, value, target) {
+  const { valueType } = classifyTokenValue(value);
+  const references = extractTokenReferences(value);
+  const errors = [];
+  const warnings = [];
+
+  for (const reference of references) {
+    if (reference === tokenName) {
+      errors.push({
+        check: "self-reference",
+        token: reference,
+        message:
+          "Value references the token itself, which makes it invalid at computed-value time",
+      });
+    } else if (!(await validateTokenExistence(reference))) {
+      errors.push({
+        check: "phantom-reference",
+        token: reference,
+        message: `Referenced token "${reference}" does not exist in the token system`,
+      });
+    }
+  }
+
+  let cssProperty = GLOBAL_CATEGORY_PROPERTIES[target.category] || null;
+  if (target.component) {
+    const registry = await loadComponentRegistry();
+    cssProperty = parseComponentTokenName(
+      tokenName,
+      target.component,
+      registry.files[target.component]?.prefix,
+    ).cssProperty;
+  }
+  if (cssProperty) {
+    const { isHardcoded, suggestion, category } = detectHardcodedValue(
+      value,
+      cssProperty,
+    );
+    if (isHardcoded) {
+      warnings.push({
+        check: category,
+        cssProperty,
+        message: `Hardcoded value "${value}" for ${cssProperty}. Use a design token instead.`,
+        suggestion,
+      });
+    }
+  }
+
+  return { valueType, references, errors, warnings };
+}
+
+/**
+ * Rewrite a single declaration's value in file content, keeping surrounding
+ * comments and indentation. A multi-line value collapses onto the first line.
+ * @param {string} content - File content
+ * @param {Object} target - Declaration from findTokenDeclarations()
+ * @param {string} tokenName - Normalized token name
+ * @param {string} newValue
+ * @returns {string} Updated content
+ * @throws {Error} If the declaration isn't at the expected lines
+ */
+function rewriteTokenDeclaration(content, target, tokenName, newValue) {
+  const lines = content.split("\n");
+  const escapedName = tokenName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const tokenRegex = new RegExp(`(${escapedName}\\s*:\\s*)([^;]+)(;)`);
+  const span = lines.slice(target.line - 1, target.endLine).join("\n");
+
+  if (!tokenRegex.test(span)) {
+    throw new Error(
+      `Token '${tokenName}' not found at ${target.file}:${target.line}`,
+    );
+  }
+
+  // A replacer function, so `$&` or `$1` in the value stays literal
+  const updatedSpan = span.replace(
+    tokenRegex,
+    (match, declaration, oldValue, semicolon) =>
+      `${declaration}${newValue.trim()}${semicolon}`,
+  );
+  lines.splice(
+    target.line - 1,
+    target.endLine - target.line + 1,
+    ...updatedSpan.split("\n"),
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Update a token value in its source file. Global and component token files
+ * are searched; exactly one declaration is rewritten, so a token declared
+ * in several selector blocks needs `selector` to pick one. The new value is
+ * validated first and the write is refused on errors unless `force` is set.
+ * @param {string} tokenName - The token name
+ * @param {string} newValue - The new value
+ * @param {Object} [options]
+ * @param {string} [options.selector] - Selector block to edit (e.g. ':root' or '[ks-inverted="true"]'); may include the at-rule for nested blocks
+ * @param {boolean} [options.dryRun=false] - Return the diff without writing
+ * @param {boolean} [options.force=false] - Write even if validation fails
+ * @param {Object} [options.changeSet] - Journal the write into this change set
+ * @param {string} [options.theme] - Theme whose branding files are searched, defaults to the active theme
+ * @returns {Promise<Object>}
+ */
+async function updateTokenInFile(tokenName, newValue, options = {}) {
+  const normalizedName = tokenName.startsWith("--")
+    ? tokenName
+    : `--${tokenName}`;
+
+  // Find every block that declares this token
+  let candidates = await findTokenDeclarations(normalizedName, options.theme);
+
+  if (candidates.length === 0) {
+    throw new Error(`Token '${normalizedName}' not found in any file`);
+  }
+
+  const describe = (d) =>
+    `'${declarationBlockLabel(d)}' (${d.file}:${d.line})`;
+
+  if (options.selector) {
+    const wanted = options.selector.replace(/\s+/g, " ").trim();
+    const byLabel = candidates.filter(
+      (d) => declarationBlockLabel(d) === wanted,
+    );
+    const matching =
+      byLabel.length > 0
+        ? byLabel
+        : candidates.filter((d) => d.selector === wanted);
+    if (matching.length === 0) {
+      throw new Error(
+        `Token '${normalizedName}' is not declared in selector '${wanted}'. Declared in: ${candidates.map(describe).join(", ")}`,
+      );
+    }
+    candidates = matching;
+  }
+
+  if (candidates.length > 1) {
+    throw new Error(
+      `Token '${normalizedName}' is declared in ${candidates.length} blocks: ${candidates.map(describe).join(", ")}. Pass 'selector' to choose which one to update.`,
+    );
+  }
+
+  const target = candidates[0];
+  const content = await fs.readFile(target.filePath, "utf-8");
+  const updatedContent = rewriteTokenDeclaration(
+    content,
+    target,
+    normalizedName,
+    newValue,
+  );
+
+  const validation = await validateTokenUpdate(
+    normalizedName,
+    newValue.trim(),
+    target,
+  );
+  const dryRun = options.dryRun === true;
+
+  if (!dryRun && validation.errors.length > 0 && !options.force) {
+    throw new Error(
+      `Refusing to update '${normalizedName}': ${validation.errors.map((e) => e.message).join("; ")}. Use dryRun to preview or force to write anyway.`,
+    );
+  }
+
+  if (!dryRun) {
+    await writeSourceFile(target.filePath, updatedContent, options.changeSet);
+  }
+
+  return {
+    success: true,
+    dryRun,
+    tokenName: normalizedName,
+    oldValue: target.value,
+    newValue: newValue.trim(),
+    file: target.file,
+    category: target.category,
+    ...(target.component && { component: target.component }),
+    selector: target.selector,
+    ...(target.media && { media: target.media }),
+    line: target.line,
+    validation,
+    diff: createUnifiedDiff(target.file, content, updatedContent),
+  };
+}
+
+/**
+ * Search tokens by pattern
+ * @param {Map} tokens - All tokens
+ * @param {string} pattern - Search pattern
+ * @param {string} searchIn - 'name', 'value', or 'both'
+ * @returns {Array}
+ */
+function searchTokens(tokens, pattern, searchIn = "both") {
   const results = [];
   const lowerPattern = pattern.toLowerCase();
 
@@ -1331,1302 +1766,6737 @@ function getTokensBySemanticType(tokens, semanticType) {
 }
 
 // ============================================================================
-// DESIGN INTENT & GOVERNANCE LAYER
+// TOKEN INDEX CACHE
 // ============================================================================
 
-const RULES_DIR = path.join(__dirname, "rules");
-
-/** Cached design rules — loaded once from rules/*.json */
-let _cachedRules = null;
-
 /**
- * Load all design rules from rules/*.json files.
- * Caches in memory after first load.
- * @returns {Promise<Array<Object>>}
+ * Parsed token files keyed by path, shared by every reader of global and
+ * component token files. Cleared when the token directories change.
  */
-async function loadDesignRules() {
-  if (_cachedRules) return _cachedRules;
+const _tokenFileCache = new Map();
 
-  const rules = [];
-  try {
-    await fs.access(RULES_DIR);
-    const files = await fs.readdir(RULES_DIR);
-    const jsonFiles = files.filter((f) => f.endsWith(".json"));
+/** Set of every global and component token name, built on first lookup */
+let _tokenNameIndex = null;
 
-    for (const file of jsonFiles) {
-      try {
-        const content = await fs.readFile(path.join(RULES_DIR, file), "utf-8");
-        const rule = JSON.parse(content);
-        rule._sourceFile = file;
-        rules.push(rule);
-      } catch (e) {
-        console.error(
-          `Warning: failed to parse rule file ${file}: ${e.message}`,
-        );
-      }
+/** Bumped on invalidation so parses already in flight are not cached */
+let _tokenIndexGeneration = 0;
+
+/**
+ * Parse a token file through the cache. Returns a fresh Map with copied
+ * entries so callers can modify the result freely.
+ * @param {string} filePath - Path to the token file
+ * @param {string} category - Category name for the tokens
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function loadTokenFile(filePath, category) {
+  let tokens = _tokenFileCache.get(filePath);
+  if (!tokens) {
+    const generation = _tokenIndexGeneration;
+    tokens = await parseTokenFile(filePath, category);
+    if (generation === _tokenIndexGeneration) {
+      _tokenFileCache.set(filePath, tokens);
     }
-  } catch {
-    console.error(
-      "Warning: rules/ directory not found, governance layer disabled",
-    );
   }
-
-  _cachedRules = rules;
-  return rules;
+  return new Map(Array.from(tokens, ([name, data]) => [name, { ...data }]));
 }
 
 /**
- * Check if a token name exists in the system (global + component tokens).
- * @param {string} tokenName - The full token name (e.g., "--ks-text-color-display")
- * @returns {Promise<boolean>}
+ * Get the set of all known token names (global + component).
+ * @returns {Promise<Set<string>>}
  */
-async function validateTokenExistence(tokenName) {
-  const normalized = tokenName.startsWith("--") ? tokenName : `--${tokenName}`;
+async function loadTokenNameIndex() {
+  if (_tokenNameIndex) return _tokenNameIndex;
 
-  // Check global tokens
-  const globalTokens = await parseAllTokens();
-  if (globalTokens.has(normalized)) return true;
-
-  // Check component tokens
-  const componentTokens = await parseAllComponentTokens();
-  for (const ct of componentTokens) {
-    if (ct.name === normalized) return true;
+  const generation = _tokenIndexGeneration;
+  const names = new Set((await parseAllTokens()).keys());
+  for (const token of await parseAllComponentTokens()) {
+    names.add(token.name);
+  }
+  if (generation === _tokenIndexGeneration) {
+    _tokenNameIndex = names;
   }
+  return names;
+}
 
-  return false;
+/**
+ * Drop all cached token data and the component registry. Called by the
+ * file watchers and after the server writes a token file itself.
+ */
+function invalidateTokenIndex() {
+  _tokenIndexGeneration++;
+  _tokenFileCache.clear();
+  _tokenNameIndex = null;
+  _cachedComponentRegistry = null;
 }
 
 /**
- * Extract the typography category from a token name.
- * @param {string} tokenName
- * @returns {string|null} - "display", "copy", "interface", "mono", or null
+ * Drop the cached design rules so the next call reloads rules/*.json.
  */
-function extractTypographyCategory(tokenName) {
-  if (tokenName.includes("-display")) return "display";
-  if (tokenName.includes("-copy")) return "copy";
-  if (tokenName.includes("-interface")) return "interface";
-  if (tokenName.includes("-mono")) return "mono";
-  return null;
+function invalidateDesignRules() {
+  _cachedRules = null;
 }
 
+/** Watcher of THEMES_DIR, or null while the folder is not watched */
+let _themesWatcher = null;
+
 /**
- * Check if a token is a primitive color token (should use semantic layer instead).
- * @param {string} tokenName
- * @returns {boolean}
+ * Watch the token and rules directories and invalidate the matching caches
+ * on any change. The change journal lives in the tokens directory by
+ * default; writing it changes no token, so it is ignored. Watchers don't
+ * keep the process alive.
  */
-function isPrimitiveColorToken(tokenName) {
-  const primitivePatterns = [
-    /^--ks-color-primary-alpha-/,
-    /^--ks-color-primary-to-/,
-    /^--ks-color-primary-inverted-alpha-/,
-    /^--ks-color-primary-inverted-to-/,
-    /^--ks-color-fg-alpha-/,
-    /^--ks-color-fg-to-/,
-    /^--ks-color-fg-inverted-/,
-    /^--ks-color-bg-inverted/,
-    /^--ks-color-link-to-/,
-    /^--ks-color-link-inverted-to-/,
-    /^--ks-color-positive-alpha-/,
-    /^--ks-color-positive-to-/,
-    /^--ks-color-negative-alpha-/,
-    /^--ks-color-negative-to-/,
-    /^--ks-color-notice-alpha-/,
-    /^--ks-color-notice-to-/,
-    /^--ks-color-informative-alpha-/,
-    /^--ks-color-informative-to-/,
+function watchTokenSources() {
+  const targets = [
+    [TOKENS_DIR, invalidateTokenIndex],
+    [COMPONENT_TOKENS_DIR, invalidateTokenIndex],
+    [RULES_DIR, invalidateDesignRules],
   ];
-  return primitivePatterns.some((p) => p.test(tokenName));
+  const watched = new Set();
+
+  for (const [dir, invalidate] of targets) {
+    if (watched.has(dir)) continue;
+    watched.add(dir);
+    watchDirectory(dir, invalidate);
+  }
+  watchThemesDirectory();
 }
 
 /**
- * Detect hardcoded values that should use tokens instead.
- * @param {string} value - Raw CSS value
- * @param {string} cssProperty - CSS property name
- * @returns {{isHardcoded: boolean, suggestion: string|null, category: string|null}}
+ * Watch THEMES_DIR unless it is watched already. The folder is optional, so
+ * createTheme() calls this again once it has created it.
  */
-function detectHardcodedValue(value, cssProperty) {
-  if (!value || value.includes("var("))
-    return { isHardcoded: false, suggestion: null, category: null };
-
-  const trimmed = value.trim();
+function watchThemesDirectory() {
+  if (_themesWatcher) return;
+  // Theme files live one level down
+  _themesWatcher = watchDirectory(THEMES_DIR, invalidateTokenIndex, {
+    recursive: true,
+    optional: true,
+  });
+  _themesWatcher?.on("close", () => {
+    _themesWatcher = null;
+  });
+}
 
-  // Hardcoded colors: hex, rgb, rgba, hsl, hsla, named colors (excluding 'transparent', 'inherit', 'initial', 'currentColor')
-  if (
-    cssProperty === "color" ||
-    cssProperty === "background-color" ||
-    cssProperty === "border-color"
-  ) {
-    if (
-      /^#[0-9a-fA-F]{3,8}$/.test(trimmed) ||
-      /^rgba?\(/.test(trimmed) ||
-      /^hsla?\(/.test(trimmed)
-    ) {
-      return {
-        isHardcoded: true,
-        suggestion:
-          "Use a --ks-text-color-*, --ks-background-color-*, or --ks-border-color-* token",
-        category: "hardcoded-color",
-      };
+/**
+ * Invalidate a cache on any change below a directory.
+ * @param {string} dir - Directory to watch
+ * @param {function(): void} invalidate - Cache invalidation to run
+ * @param {{recursive?: boolean, optional?: boolean}} [options] - optional
+ *   skips a missing directory silently
+ * @returns {import("fs").FSWatcher|null} The watcher, or null if the
+ *   directory cannot be watched
+ */
+function watchDirectory(dir, invalidate, options = {}) {
+  try {
+    const watcher = watch(
+      dir,
+      { persistent: false, recursive: options.recursive === true },
+      (eventType, filename) => {
+        if (filename && path.resolve(dir, filename) === HISTORY_FILE) return;
+        invalidate();
+      },
+    );
+    watcher.on("error", (error) => {
+      console.error(`Warning: stopped watching ${dir}: ${error.message}`);
+      watcher.close();
+    });
+    return watcher;
+  } catch (error) {
+    if (!(options.optional && error.code === "ENOENT")) {
+      console.error(`Warning: cannot watch ${dir}: ${error.message}`);
     }
+    return null;
   }
+}
 
-  // Hardcoded spacing: pixel or rem values for spacing properties
-  if (
-    [
-      "padding",
-      "margin",
-      "gap",
-      "padding-top",
-      "padding-bottom",
-      "padding-left",
-      "padding-right",
-      "margin-top",
-      "margin-bottom",
-      "margin-left",
-      "margin-right",
-    ].includes(cssProperty)
-  ) {
-    if (/^\d+(\.\d+)?(px|rem|em)$/.test(trimmed)) {
-      return {
-        isHardcoded: true,
-        suggestion: "Use a --ks-spacing-* token",
-        category: "hardcoded-spacing",
-      };
-    }
-  }
+// ============================================================================
+// CHANGE HISTORY
+// ============================================================================
 
-  // Hardcoded border-radius
-  if (cssProperty === "border-radius") {
-    if (/^\d+(\.\d+)?(px|rem|em|%)$/.test(trimmed)) {
-      return {
-        isHardcoded: true,
-        suggestion: "Use a --ks-border-radius-* token",
-        category: "hardcoded-border-radius",
-      };
+/** Maximum number of journal entries kept; older ones are dropped */
+const HISTORY_LIMIT = 200;
+
+/**
+ * Start collecting the file writes of one tool call.
+ * @param {string} tool - Tool that writes (e.g. "update_token")
+ * @param {{name: string, transport: string}} caller - Client name and transport of the call
+ * @returns {{tool: string, caller: string, transport: string, files: Array<Object>}}
+ */
+function createChangeSet(tool, caller) {
+  return {
+    tool,
+    caller: caller.name,
+    transport: caller.transport,
+    files: [],
+  };
+}
+
+/**
+ * Write a token source file, snapshotting its previous content into the
+ * change set (if given) so the write can be journaled and undone. The file
+ * is written to a temporary sibling and renamed into place, so readers never
+ * see a half-written file.
+ * @param {string} filePath - File to write
+ * @param {string} content - New content
+ * @param {Object|null} [changeSet] - From createChangeSet()
+ * @returns {Promise<void>}
+ */
+async function writeSourceFile(filePath, content, changeSet = null) {
+  if (changeSet) {
+    const tracked = changeSet.files.find((f) => f.path === filePath);
+    if (tracked) {
+      tracked.after = content;
+    } else {
+      let before = null;
+      try {
+        before = await fs.readFile(filePath, "utf-8");
+      } catch {
+        // New file: undo removes it again
+      }
+      changeSet.files.push({ path: filePath, before, after: content });
     }
   }
+  await writeFileAtomic(filePath, content);
+  invalidateTokenIndex();
+}
 
-  // Hardcoded font-weight
-  if (cssProperty === "font-weight") {
-    if (/^\d{3}$/.test(trimmed)) {
-      return {
-        isHardcoded: true,
-        suggestion: "Use a --ks-font-weight-* token",
-        category: "hardcoded-font-weight",
-      };
-    }
+/** Numbers temporary files, so concurrent writes of one file don't collide */
+let _tempFileCounter = 0;
+
+/**
+ * Write a file through a temporary sibling renamed into place.
+ * @param {string} filePath - File to write
+ * @param {string} content - New content
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.${++_tempFileCounter}.tmp`;
+  try {
+    await fs.writeFile(tempPath, content, "utf-8");
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
   }
+}
 
-  // Hardcoded box-shadow
-  if (cssProperty === "box-shadow") {
-    if (!trimmed.includes("var(") && trimmed !== "none") {
-      return {
-        isHardcoded: true,
-        suggestion: "Use a --ks-box-shadow-* token",
-        category: "hardcoded-box-shadow",
-      };
+/**
+ * Reduce two versions of a file to the line ranges that differ, so the
+ * journal stores the edited declarations rather than whole files.
+ * @param {string} before - Old content
+ * @param {string} after - New content
+ * @returns {Array<{line: number, before: string[], after: string[]}>} `line`
+ *   is the 1-based first line of the range in the old content
+ */
+function diffLineEdits(before, after) {
+  const edits = [];
+  let line = 1;
+  let current = null;
+  const ops = diffLineOps(before.split("\n"), after.split("\n"));
+  for (const [op, text] of ops) {
+    if (op === " ") {
+      current = null;
+      line++;
+      continue;
+    }
+    if (!current) {
+      current = { line, before: [], after: [] };
+      edits.push(current);
+    }
+    if (op === "-") {
+      current.before.push(text);
+      line++;
+    } else {
+      current.after.push(text);
     }
   }
-
-  return { isHardcoded: false, suggestion: null, category: null };
+  return edits;
 }
 
 /**
- * Validate a single token usage against all applicable design rules.
- * @param {string} tokenName - Token being used (e.g., "--ks-text-color-display")
- * @param {string} cssProperty - CSS property (e.g., "color")
- * @param {string|null} element - Element context (e.g., "hero headline")
- * @param {string|null} designContext - Broad design context (e.g., "hero")
- * @param {string|null} rawValue - Raw CSS value (for hardcoded detection)
- * @param {Array} rules - Loaded design rules
- * @returns {Promise<Array<Object>>} - Array of violations
+ * Apply journaled line edits to a file, forwards (redo) or backwards (undo).
+ * Each range must still hold the lines the edit expects; with `force` it is
+ * replaced anyway.
+ * @param {string} content - Current content
+ * @param {Array<Object>} edits - From diffLineEdits()
+ * @param {boolean} undo - Restore the old lines instead of the new ones
+ * @param {boolean} [force=false] - Replace ranges that no longer match
+ * @returns {{content: string, conflict: boolean}}
  */
-async function validateSingleTokenUsage(
-  tokenName,
-  cssProperty,
-  element,
-  designContext,
-  rawValue,
-  rules,
-) {
-  const violations = [];
+function applyLineEdits(content, edits, undo, force = false) {
+  const lines = content.split("\n");
+  // Undo runs against the new content, where earlier edits shifted the lines
+  let shift = 0;
+  const positions = edits.map((edit) => {
+    const start = edit.line - 1 + (undo ? shift : 0);
+    shift += edit.after.length - edit.before.length;
+    return start;
+  });
 
-  // 1. Hardcoded value detection
-  if (rawValue && !tokenName) {
-    const { isHardcoded, suggestion, category } = detectHardcodedValue(
-      rawValue,
-      cssProperty,
-    );
-    if (isHardcoded) {
-      violations.push({
-        severity: "critical",
-        ruleId: "hardcoded-value",
-        ruleName: "Hardcoded Value Detection",
-        token: rawValue,
-        message: `Hardcoded ${category} value "${rawValue}" for ${cssProperty}. This bypasses the token system and breaks theming.`,
-        suggestion,
-        rationale:
-          "Hardcoded values can't be themed and don't respond to design system changes",
-      });
+  let conflict = false;
+  // Last range first, so earlier positions stay valid
+  for (let k = edits.length - 1; k >= 0; k--) {
+    const expected = undo ? edits[k].after : edits[k].before;
+    const replacement = undo ? edits[k].before : edits[k].after;
+    const start = positions[k];
+    const matches =
+      start + expected.length <= lines.length &&
+      expected.every((text, n) => lines[start + n] === text);
+    if (!matches) {
+      conflict = true;
+      if (!force) continue;
     }
-    return violations;
+    lines.splice(start, expected.length, ...replacement);
   }
+  return { content: lines.join("\n"), conflict };
+}
 
-  if (!tokenName) return violations;
-
-  // 2. Token existence check
-  const exists = await validateTokenExistence(tokenName);
-  if (!exists) {
-    violations.push({
-      severity: "critical",
-      ruleId: "token-existence",
-      ruleName: "Phantom Token Detection",
-      token: tokenName,
-      message: `Phantom token: "${tokenName}" does not exist in the design system. It will silently fail at runtime.`,
-      suggestion:
-        "Search for similar tokens using search_tokens or get_color_palette",
-      rationale:
-        "Phantom tokens produce invisible failures — the CSS property falls through to inherited/initial value",
-    });
-    return violations; // No point checking intent if token doesn't exist
+/**
+ * Read the change journal.
+ * @returns {Promise<{nextId: number, entries: Array<Object>}>}
+ */
+async function readHistory() {
+  try {
+    return JSON.parse(await fs.readFile(HISTORY_FILE, "utf-8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      console.error(`Warning: failed to read history file: ${e.message}`);
+    }
+    return { nextId: 1, entries: [] };
   }
+}
 
-  // 3. Semantic layer check — primitive color tokens used directly
-  if (isPrimitiveColorToken(tokenName)) {
-    const semanticRule = rules.find((r) => r.id === "color-semantic-layer");
-    violations.push({
-      severity: "warning",
-      ruleId: "color-semantic-layer",
-      ruleName: semanticRule?.name || "Use Semantic Color Tokens",
-      token: tokenName,
-      message: `Primitive color token "${tokenName}" used directly. Prefer semantic tokens (--ks-text-color-*, --ks-background-color-*, --ks-border-color-*).`,
-      suggestion:
-        semanticRule?.semanticAlternatives?.[cssProperty] ||
-        "Use the appropriate semantic color token layer",
-      rationale:
-        "Primitive color tokens bypass the semantic layer, making intent unclear and theming fragile",
-    });
-  }
+/**
+ * Write the change journal.
+ * @param {{nextId: number, entries: Array<Object>}} history
+ * @returns {Promise<void>}
+ */
+async function writeHistory(history) {
+  await writeFileAtomic(HISTORY_FILE, JSON.stringify(history, null, 2));
+}
 
-  // 4. Text-color hierarchy check
-  const textColorRule = rules.find((r) => r.id === "text-color-hierarchy");
-  if (textColorRule && tokenName.startsWith("--ks-text-color-")) {
-    const baseTokenName = tokenName
-      .replace(/-inverted/, "")
-      .replace(/-(interactive|hover|active|selected|base).*/, "");
-    const tokenConfig = textColorRule.tokens?.[baseTokenName];
-    if (tokenConfig && element) {
-      const elementLower = element.toLowerCase();
-      const contextLower = (designContext || "").toLowerCase();
-      const allContext = `${elementLower} ${contextLower}`.trim();
+/** Tail of the journal updates in flight; each one waits for the last */
+let _historyQueue = Promise.resolve();
 
-      // Fuzzy match: stem common suffixes so "headline" matches "headings", "buttons" matches "button", etc.
-      const stem = (s) =>
-        s.replace(/s$/, "").replace(/ing$/, "").replace(/line$/, "line");
+/**
+ * Run a read-modify-write of the journal after every earlier one finished,
+ * so concurrent tool calls cannot drop each other's entries.
+ * @template T
+ * @param {function(): Promise<T>} task
+ * @returns {Promise<T>}
+ */
+function withHistoryLock(task) {
+  const run = _historyQueue.then(task);
+  _historyQueue = run.catch(() => {});
+  return run;
+}
 
-      const isInvalid = tokenConfig.invalidContexts?.some((ctx) => {
-        const ctxNorm = ctx.toLowerCase().replace(/-/g, " ");
-        return (
-          allContext.includes(ctxNorm) ||
-          ctxNorm.split(" ").some((w) => allContext.includes(stem(w)))
-        );
-      });
+/**
+ * Label a journaled file relative to the tokens directory when inside it.
+ * @param {string} filePath
+ * @returns {string}
+ */
+function historyFileLabel(filePath) {
+  const relative = path.relative(TOKENS_DIR, filePath);
+  return relative.startsWith("..") || path.isAbsolute(relative)
+    ? filePath
+    : relative;
+}
 
-      if (isInvalid) {
-        const validTokens = Object.entries(textColorRule.tokens)
-          .filter(([, cfg]) =>
-            cfg.validContexts?.some((ctx) => {
-              const ctxNorm = ctx.toLowerCase().replace(/-/g, " ");
-              return (
-                allContext.includes(ctxNorm) ||
-                ctxNorm.split(" ").some((w) => allContext.includes(stem(w)))
-              );
-            }),
-          )
-          .map(([name]) => name);
+/**
+ * Append a change set to the journal. Undone entries are discarded first,
+ * as a new change ends the redo chain.
+ * @param {Object} changeSet - From createChangeSet()
+ * @param {Array<Object>} changes - What changed (token/path, oldValue, newValue)
+ * @returns {Promise<number|null>} The new entry id, or null if no file changed
+ */
+async function recordChangeSet(changeSet, changes) {
+  // New files are kept whole, as undo deletes them and redo recreates them
+  const files = changeSet.files
+    .filter((f) => f.before !== f.after)
+    .map((f) =>
+      f.before === null
+        ? f
+        : { path: f.path, edits: diffLineEdits(f.before, f.after) },
+    );
+  if (files.length === 0) return null;
+
+  return withHistoryLock(async () => {
+    const history = await readHistory();
+    const entry = {
+      id: history.nextId++,
+      tool: changeSet.tool,
+      caller: changeSet.caller,
+      transport: changeSet.transport,
+      timestamp: new Date().toISOString(),
+      changes,
+      files,
+      undone: false,
+    };
+    history.entries = history.entries.filter((e) => !e.undone);
+    history.entries.push(entry);
+    history.entries = history.entries.slice(-HISTORY_LIMIT);
+    await writeHistory(history);
+    return entry.id;
+  });
+}
 
-        violations.push({
-          severity: "warning",
-          ruleId: "text-color-hierarchy",
-          ruleName: textColorRule.name,
-          token: tokenName,
-          message: `"${tokenName}" used for "${element}"${designContext ? ` in ${designContext} context` : ""} — this token is for ${tokenConfig.role}.`,
-          suggestion:
-            validTokens.length > 0
-              ? `Consider using ${validTokens.join(" or ")} instead`
-              : `Check the text-color hierarchy for the appropriate token`,
-          rationale: tokenConfig.rationale,
-        });
+/**
+ * Summarize a journal entry without the file edits.
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function summarizeHistoryEntry(entry) {
+  return {
+    id: entry.id,
+    tool: entry.tool,
+    caller: entry.caller,
+    transport: entry.transport,
+    timestamp: entry.timestamp,
+    undone: entry.undone,
+    files: entry.files.map((f) => historyFileLabel(f.path)),
+    changes: entry.changes,
+  };
+}
+
+/**
+ * Undo or redo journal entries. Undo walks back from the latest applied
+ * entry, redo forward from the oldest undone one; `id` selects every entry
+ * up to and including that one, otherwise `count` entries are taken.
+ * Files are checked against the journal before anything is written, so a
+ * file edited outside the server aborts the whole operation unless `force`.
+ * Runs under the journal lock, after any change still being recorded.
+ * @param {"undo"|"redo"} direction
+ * @param {Object} [options]
+ * @param {number} [options.id] - Last entry to undo/redo
+ * @param {number} [options.count=1] - Number of entries when no id is given
+ * @param {boolean} [options.force=false] - Overwrite files changed since
+ * @returns {Promise<Object>}
+ */
+async function replayHistory(direction, options = {}) {
+  return withHistoryLock(async () => {
+    const undo = direction === "undo";
+    const history = await readHistory();
+    const candidates = undo
+      ? history.entries.filter((e) => !e.undone).reverse()
+      : history.entries.filter((e) => e.undone);
+
+    let selected;
+    if (options.id !== undefined) {
+      const index = candidates.findIndex((e) => e.id === options.id);
+      if (index < 0) {
+        throw new Error(
+          `Change ${options.id} cannot be ${undo ? "undone" : "redone"}. Use list_changes to see the history.`,
+        );
       }
+      selected = candidates.slice(0, index + 1);
+    } else {
+      selected = candidates.slice(0, Math.max(1, options.count ?? 1));
     }
-  }
 
-  // 5. Background-color layer check
-  const bgRule = rules.find((r) => r.id === "background-color-layers");
-  if (bgRule && tokenName.startsWith("--ks-background-color-")) {
-    const baseTokenName = tokenName
-      .replace(/-inverted/, "")
-      .replace(
-        /-(interactive|hover|active|selected|disabled|base|translucent).*/,
-        "",
-      );
-    const tokenConfig = bgRule.tokens?.[baseTokenName];
-    if (tokenConfig && element) {
-      const allContext =
-        `${element.toLowerCase()} ${(designContext || "").toLowerCase()}`.trim();
-      const isInvalid = tokenConfig.invalidContexts?.some((ctx) =>
-        allContext.includes(ctx.toLowerCase().replace(/-/g, " ")),
-      );
-      if (isInvalid) {
-        violations.push({
-          severity: "info",
-          ruleId: "background-color-layers",
-          ruleName: bgRule.name,
-          token: tokenName,
-          message: `"${tokenName}" used for "${element}"${designContext ? ` in ${designContext} context` : ""} — this token is for ${tokenConfig.role}.`,
-          suggestion: `Check background-color layer hierarchy for the appropriate token`,
-          rationale: tokenConfig.rationale,
-        });
+    if (selected.length === 0) {
+      throw new Error(`Nothing to ${direction}`);
+    }
+
+    // Simulate the sequence to find the final content of every file and
+    // detect edits made outside the server
+    const finalContent = new Map();
+    const conflicts = [];
+    for (const entry of selected) {
+      for (const file of entry.files) {
+        let current;
+        if (finalContent.has(file.path)) {
+          current = finalContent.get(file.path);
+        } else {
+          try {
+            current = await fs.readFile(file.path, "utf-8");
+          } catch {
+            current = null;
+          }
+        }
+        let next;
+        let conflict;
+        if (file.edits && current !== null) {
+          ({ content: next, conflict } = applyLineEdits(
+            current,
+            file.edits,
+            undo,
+            options.force,
+          ));
+        } else if (file.edits) {
+          // The file is gone; there is nothing to apply the edits to
+          next = null;
+          conflict = true;
+        } else {
+          next = undo ? file.before : file.after;
+          conflict = current !== (undo ? file.after : file.before);
+        }
+        if (conflict) {
+          conflicts.push({ id: entry.id, file: historyFileLabel(file.path) });
+        }
+        finalContent.set(file.path, next);
       }
     }
-  }
 
-  // 6. Font-family role check
-  const fontFamilyRule = rules.find((r) => r.id === "font-family-roles");
-  if (fontFamilyRule && tokenName.startsWith("--ks-font-family-")) {
-    const tokenConfig = fontFamilyRule.tokens?.[tokenName];
-    if (tokenConfig && element) {
-      const allContext = `${element.toLowerCase()} ${(designContext || "").toLowerCase()}`;
-      const isInvalid = tokenConfig.invalidContexts?.some((ctx) =>
-        allContext.includes(ctx.toLowerCase().replace(/-/g, " ")),
+    if (conflicts.length > 0 && !options.force) {
+      throw new Error(
+        `Cannot ${direction}: ${conflicts.map((c) => `${c.file} (change ${c.id})`).join(", ")} changed since it was journaled. Pass force to overwrite.`,
       );
-      if (isInvalid) {
-        violations.push({
-          severity: "warning",
-          ruleId: "font-family-roles",
-          ruleName: fontFamilyRule.name,
-          token: tokenName,
-          message: `"${tokenName}" used for "${element}" — this font family is for ${tokenConfig.role}.`,
-          suggestion: `Check font-family role assignments for the appropriate token`,
-          rationale: tokenConfig.rationale,
-        });
+    }
+
+    for (const [filePath, content] of finalContent.entries()) {
+      if (content === null) {
+        await fs.rm(filePath, { force: true });
+        invalidateTokenIndex();
+      } else {
+        await writeSourceFile(filePath, content);
       }
     }
-  }
 
-  // 7. Typography category pairing check
-  const typoPairingRule = rules.find((r) => r.id === "typography-pairing");
-  if (typoPairingRule) {
-    const typoCategory = extractTypographyCategory(tokenName);
-    if (
-      typoCategory &&
-      (tokenName.includes("font-size") || tokenName.includes("line-height"))
-    ) {
-      // This violation is detected at the component level when multiple tokens are checked together
-      // Stored as metadata for component-level validation
+    for (const entry of selected) {
+      entry.undone = undo;
     }
-  }
+    await writeHistory(history);
 
-  return violations;
+    return {
+      success: true,
+      [undo ? "undone" : "redone"]: selected.map(summarizeHistoryEntry),
+      files: [...finalContent.keys()].map(historyFileLabel),
+      ...(conflicts.length > 0 && { overwritten: conflicts }),
+    };
+  });
 }
 
+// ============================================================================
+// TOKEN RESOLUTION
+// ============================================================================
+
 /**
- * Validate a set of token usages and return all violations.
- * @param {string} context - What is being validated
- * @param {string|null} designContext - Broad design context
- * @param {Array} tokenUsages - Array of {token, cssProperty, element, value}
- * @returns {Promise<Object>} - Validation response with violations and summary
+ * Parse a var() function starting at the given index.
+ * @param {string} value - The CSS value containing the var() call
+ * @param {number} start - Index of the "v" in "var("
+ * @returns {{name: string, fallback: string|null, end: number}|null} - end is the index after the closing paren
  */
-async function validateTokenUsages(context, designContext, tokenUsages) {
-  const rules = await loadDesignRules();
-  const violations = [];
-  let cleanCount = 0;
+function parseVarFunction(value, start) {
+  const nameMatch = value
+    .slice(start)
+    .match(/^var\(\s*(--[a-zA-Z0-9_-]+)\s*(,)?/);
+  if (!nameMatch) return null;
+
+  // Walk forward to the matching closing paren, respecting nested functions
+  let depth = 1;
+  let i = start + nameMatch[0].length;
+  const fallbackStart = i;
+  for (; i < value.length; i++) {
+    if (value[i] === "(") depth++;
+    if (value[i] === ")") depth--;
+    if (depth === 0) break;
+  }
+  if (depth !== 0) return null;
 
-  for (const usage of tokenUsages) {
-    const tokenViolations = await validateSingleTokenUsage(
-      usage.token || null,
-      usage.cssProperty,
-      usage.element || null,
-      designContext || null,
-      usage.value || null,
-      rules,
+  return {
+    name: nameMatch[1],
+    fallback: nameMatch[2] ? value.slice(fallbackStart, i).trim() : null,
+    end: i + 1,
+  };
+}
+
+/**
+ * Build a name → token lookup across global and component tokens.
+ * @param {string|null} [theme] - Theme for the branding tokens, defaults to the active theme
+ * @returns {Promise<Map<string, {value: string, file: string, category: string}>>}
+ */
+async function buildTokenLookup(theme = null) {
+  const lookup = await parseAllTokens(null, theme);
+  const registry = await loadComponentRegistry();
+  for (const [slug, config] of Object.entries(registry.files)) {
+    const filePath = path.join(COMPONENT_TOKENS_DIR, config.file);
+    try {
+      await fs.access(filePath);
+      const tokens = await loadTokenFile(filePath, config.category);
+      for (const [name, data] of tokens.entries()) {
+        if (!lookup.has(name)) {
+          lookup.set(name, { ...data, component: slug });
+        }
+      }
+    } catch {
+      // File doesn't exist, skip
+    }
+  }
+  return lookup;
+}
+
+/**
+ * Contexts supported by resolve_in_context, keyed by selector. `matches`
+ * lists the declaration contexts (see SELECTOR_CONTEXTS) that apply to an
+ * element carrying that selector.
+ */
+const RESOLUTION_CONTEXTS = {
+  ":root": { name: "root", matches: ["root"] },
+  "[ks-theme]": { name: "theme", matches: ["theme"] },
+  '[ks-inverted="true"]': {
+    name: "inverted",
+    matches: ["inverted", "invertedAny"],
+  },
+  '[ks-inverted="false"]': {
+    name: "notInverted",
+    matches: ["notInverted", "invertedAny"],
+  },
+};
+
+/**
+ * Build the lookup seen by an element carrying one of RESOLUTION_CONTEXTS.
+ *
+ * Follows the cascade for custom properties: the last unconditional
+ * declaration whose selector matches the element wins, and its var()
+ * references resolve on that element. Tokens with no matching declaration
+ * are inherited from :root, so their references resolve in the :root context
+ * (entries carry `scope` for resolveTokenChain). Component selectors
+ * (`.dsa-*`, `.l-*`) apply in every context. @media declarations are ignored.
+ *
+ * @param {Map<string, Object>} lookup - From buildTokenLookup()
+ * @param {string} selector - Key of RESOLUTION_CONTEXTS
+ * @returns {Map<string, Object>}
+ */
+function buildContextLookup(lookup, selector) {
+  const context = RESOLUTION_CONTEXTS[selector];
+  const themeContexts = new Set(Object.values(SELECTOR_CONTEXTS));
+  const rootLookup =
+    selector === ":root" ? null : buildContextLookup(lookup, ":root");
+  const contextLookup = new Map();
+
+  for (const [name, entry] of lookup.entries()) {
+    if (!entry.declarations) {
+      contextLookup.set(name, { ...entry, context: context.name });
+      continue;
+    }
+
+    const matching = entry.declarations.filter(
+      (d) =>
+        !d.media &&
+        d.contexts.some(
+          (c) => context.matches.includes(c) || !themeContexts.has(c),
+        ),
     );
+    if (matching.length > 0) {
+      const declaration = matching.reduce((a, b) => (b.line > a.line ? b : a));
+      contextLookup.set(name, {
+        ...entry,
+        value: declaration.value,
+        selector: declaration.selector,
+        line: declaration.line,
+        context: context.name,
+      });
+    } else if (rootLookup && rootLookup.has(name)) {
+      contextLookup.set(name, {
+        ...rootLookup.get(name),
+        inherited: true,
+        scope: rootLookup,
+      });
+    }
+  }
 
-    if (tokenViolations.length === 0) {
-      cleanCount++;
-    } else {
-      violations.push(...tokenViolations);
+  return contextLookup;
+}
+
+/**
+ * Resolve a token by walking its var() references down to literal values.
+ *
+ * Pure aliases (`var(--a)`, `var(--a, var(--b))`) are followed hop by hop and
+ * recorded in `chain`. Composite values (calc(), shorthands) have every var()
+ * inside them substituted recursively, so `finalValue` contains no var() at all
+ * when resolution succeeds. The tokens a composite value references are
+ * recorded as a tree under `references` on its hop: each node has the token,
+ * its value and, if that is composite or an alias, its own `references`.
+ * Cycles and references to undefined tokens without a fallback are reported
+ * in `issues` instead of being followed. Entries with a `scope` lookup (see
+ * buildContextLookup) resolve their references there.
+ *
+ * A token only declared inside @media doesn't apply outside it, so a
+ * reference with a fallback (`var(--bp-factor, 1)`) takes the fallback.
+ * Without a fallback the @media value is used, labelled with its `media`.
+ *
+ * @param {string} tokenName - Full token name (e.g., "--ks-text-color-display")
+ * @param {Map<string, {value: string, file: string}>} lookup - From buildTokenLookup()
+ * @returns {{token: string, status: string, finalValue: string|null, chain: Array<Object>, issues: Array<Object>}}
+ */
+function resolveTokenChain(tokenName, lookup) {
+  const chain = [];
+  const issues = [];
+
+  // Substitute every var() in a value; returns null if a pure alias can't
+  // resolve. Off-chain references are recorded in `references`.
+  const substitute = (value, stack, onChain, scope, references) => {
+    const trimmed = value.trim();
+
+    const pure = trimmed.startsWith("var(")
+      ? parseVarFunction(trimmed, 0)
+      : null;
+    if (pure && pure.end === trimmed.length) {
+      return resolveReference(
+        pure.name,
+        pure.fallback,
+        stack,
+        onChain,
+        scope,
+        references,
+      );
     }
+
+    let result = "";
+    let index = 0;
+    let varIndex = trimmed.indexOf("var(");
+    while (varIndex !== -1) {
+      const ref = parseVarFunction(trimmed, varIndex);
+      if (!ref) break;
+      result += trimmed.slice(index, varIndex);
+      const resolved = resolveReference(
+        ref.name,
+        ref.fallback,
+        stack,
+        false,
+        scope,
+        references,
+      );
+      result +=
+        resolved === null ? trimmed.slice(varIndex, ref.end) : resolved;
+      index = ref.end;
+      varIndex = trimmed.indexOf("var(", index);
+    }
+    return result + trimmed.slice(index);
+  };
+
+  // Stack frames are {name, scope}: the same token may legitimately appear
+  // twice when it is looked up in two different contexts
+  const resolveReference = (
+    name,
+    fallback,
+    stack,
+    onChain,
+    scope,
+    references = null,
+  ) => {
+    if (stack.some((frame) => frame.name === name && frame.scope === scope)) {
+      issues.push({
+        type: "cycle",
+        path: [...stack.map((frame) => frame.name), name],
+      });
+      return null;
+    }
+
+    const entry = scope.get(name);
+    if (!entry || (entry.media && fallback !== null)) {
+      if (fallback !== null) {
+        const node = {
+          fallbackFor: name,
+          value: fallback,
+          ...(entry && { onlyDeclaredIn: entry.media }),
+          references: [],
+        };
+        if (onChain) chain.push(node);
+        else references?.push(node);
+        const resolved = substitute(
+          fallback,
+          stack,
+          onChain,
+          scope,
+          node.references,
+        );
+        if (node.references.length === 0) delete node.references;
+        return resolved;
+      }
+      issues.push({
+        type: "dead-end",
+        token: name,
+        referencedBy: stack.length > 0 ? stack[stack.length - 1].name : null,
+      });
+      if (!onChain) references?.push({ token: name, missing: true });
+      return null;
+    }
+
+    const node = {
+      token: name,
+      value: entry.value,
+      file: entry.file,
+      ...(entry.media && { media: entry.media }),
+      ...(entry.context && { context: entry.context }),
+      ...(entry.inherited && { inherited: true }),
+      references: [],
+    };
+    if (onChain) chain.push(node);
+    else references?.push(node);
+    const resolved = substitute(
+      entry.value,
+      [...stack, { name, scope }],
+      onChain,
+      entry.scope || scope,
+      node.references,
+    );
+    if (node.references.length === 0) delete node.references;
+    return resolved;
+  };
+
+  const finalValue = resolveReference(tokenName, null, [], true, lookup);
+
+  // The same broken reference is usually reached through several paths
+  const seen = new Set();
+  const uniqueIssues = issues.filter((issue) => {
+    const key = JSON.stringify(issue);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  let status = "resolved";
+  if (uniqueIssues.some((i) => i.type === "cycle")) {
+    status = "cycle";
+  } else if (uniqueIssues.length > 0) {
+    status = "unresolved";
   }
 
-  // Cross-usage checks: typography pairing
-  const typoPairingRule = rules.find((r) => r.id === "typography-pairing");
-  if (typoPairingRule) {
-    const typoCategories = {};
-    for (const usage of tokenUsages) {
-      if (usage.token) {
-        const cat = extractTypographyCategory(usage.token);
-        if (cat) {
-          if (!typoCategories[usage.element || "_root"]) {
-            typoCategories[usage.element || "_root"] = {};
-          }
-          const prop = usage.cssProperty;
-          if (prop.includes("font-size") || prop === "font-size") {
-            typoCategories[usage.element || "_root"].fontSize = {
-              token: usage.token,
-              category: cat,
-            };
-          } else if (prop.includes("line-height") || prop === "line-height") {
-            typoCategories[usage.element || "_root"].lineHeight = {
-              token: usage.token,
-              category: cat,
-            };
-          } else if (prop.includes("font-family") || prop === "font-family") {
-            typoCategories[usage.element || "_root"].fontFamily = {
-              token: usage.token,
-              category: cat,
-            };
+  return { token: tokenName, status, finalValue, chain, issues: uniqueIssues };
+}
+
+// ============================================================================
+// TOKEN DEPENDENCIES
+// ============================================================================
+
+/**
+ * Collect the tokens a value references, including var() fallbacks.
+ * @param {string} value
+ * @returns {string[]} Unique token names in order of appearance
+ */
+function extractTokenReferences(value) {
+  return [
+    ...new Set(
+      Array.from(
+        value.matchAll(/var\(\s*(--[a-zA-Z0-9_-]+)/g),
+        (match) => match[1],
+      ),
+    ),
+  ];
+}
+
+/**
+ * Build the reference graph of all global and component tokens. Every
+ * declaration counts, so a token that references another only in the
+ * inverted context still depends on it.
+ * @param {string|null} [theme] - Theme for the branding tokens, defaults to the active theme
+ * @returns {Promise<{lookup: Map<string, Object>, references: Map<string, Set<string>>, dependents: Map<string, Set<string>>}>}
+ */
+async function buildTokenDependencyGraph(theme = null) {
+  const lookup = await buildTokenLookup(theme);
+  const references = new Map();
+  const dependents = new Map();
+  for (const [name, data] of lookup.entries()) {
+    const values = data.declarations?.length
+      ? data.declarations.map((declaration) => declaration.value)
+      : [data.value];
+    const tokenReferences = new Set(values.flatMap(extractTokenReferences));
+    references.set(name, tokenReferences);
+    for (const reference of tokenReferences) {
+      if (!dependents.has(reference)) dependents.set(reference, new Set());
+      dependents.get(reference).add(name);
+    }
+  }
+  return { lookup, references, dependents };
+}
+
+/**
+ * Find every token that depends on the given tokens, directly or through
+ * other tokens.
+ * @param {Map<string, Set<string>>} dependents - From buildTokenDependencyGraph()
+ * @param {string[]} roots - Tokens to start from
+ * @returns {Map<string, {depth: number, through: string, via: Set<string>}>} Dependents with their shortest distance to a root, the token they reference on that path and the roots they depend on
+ */
+function collectTransitiveDependents(dependents, roots) {
+  const found = new Map();
+  for (const root of roots) {
+    const seen = new Set([root]);
+    let frontier = [root];
+    for (let depth = 1; frontier.length > 0; depth++) {
+      const next = [];
+      for (const token of frontier) {
+        for (const dependent of dependents.get(token) || []) {
+          if (seen.has(dependent)) continue;
+          seen.add(dependent);
+          next.push(dependent);
+          const entry = found.get(dependent);
+          if (entry) {
+            if (depth < entry.depth) {
+              entry.depth = depth;
+              entry.through = token;
+            }
+            entry.via.add(root);
+          } else {
+            found.set(dependent, {
+              depth,
+              through: token,
+              via: new Set([root]),
+            });
           }
         }
       }
+      frontier = next;
     }
+  }
+  return found;
+}
 
-    for (const [element, cats] of Object.entries(typoCategories)) {
-      const categories = new Set(Object.values(cats).map((c) => c.category));
-      if (categories.size > 1) {
-        const details = Object.entries(cats)
-          .map(([prop, c]) => `${prop}: ${c.token} (${c.category})`)
-          .join(", ");
-        violations.push({
-          severity: "warning",
-          ruleId: "typography-pairing",
-          ruleName: typoPairingRule.name || "Typography Category Pairing",
-          token: Object.values(cats)
-            .map((c) => c.token)
-            .join(", "),
-          message: `Typography category mismatch in "${element}": ${details}. Font-size and line-height should come from the same category.`,
-          suggestion: `Align all typography tokens to the same category (display, copy, interface, or mono)`,
-          rationale:
-            typoPairingRule.rule || "Mixing categories breaks vertical rhythm",
-        });
-      }
+/**
+ * Impact analysis for a token: every global and component token that
+ * references it, directly or through other tokens, grouped by category and
+ * component.
+ * @param {string} tokenName
+ * @param {{maxDepth?: number|null, theme?: string|null}} [options] - maxDepth limits how far references are followed
+ * @returns {Promise<Object>}
+ * @throws {Error} If the token is neither defined nor referenced
+ */
+async function getTokenDependents(tokenName, options = {}) {
+  const { maxDepth = null, theme = null } = options;
+  const { lookup, dependents } = await buildTokenDependencyGraph(theme);
+  const definition = lookup.get(tokenName);
+  if (!definition && !dependents.has(tokenName)) {
+    throw new Error(
+      `Token "${tokenName}" is not defined or referenced anywhere. Use search_tokens to find the right name.`,
+    );
+  }
+
+  const registry = await loadComponentRegistry();
+  const globalGroups = {};
+  const componentGroups = {};
+  let direct = 0;
+  let total = 0;
+  let deepest = 0;
+  const found = collectTransitiveDependents(dependents, [tokenName]);
+  const sorted = [...found.entries()].sort(
+    ([nameA, a], [nameB, b]) => a.depth - b.depth || nameA.localeCompare(nameB),
+  );
+  for (const [name, { depth, through }] of sorted) {
+    if (maxDepth && depth > maxDepth) continue;
+    total++;
+    if (depth === 1) direct++;
+    deepest = depth;
+
+    const data = lookup.get(name);
+    const entry = {
+      token: name,
+      depth,
+      ...(depth > 1 && { through }),
+      value: data.value,
+    };
+    if (data.component) {
+      componentGroups[data.component] ??= {
+        category:
+          registry.files[data.component]?.category ||
+          DEFAULT_COMPONENT_CATEGORY,
+        file: `componentToken/${data.file}`,
+        tokens: [],
+      };
+      componentGroups[data.component].tokens.push(entry);
+    } else {
+      globalGroups[data.category] ??= { file: data.file, tokens: [] };
+      globalGroups[data.category].tokens.push(entry);
     }
   }
 
+  const countTokens = (groups) =>
+    Object.values(groups).reduce((sum, group) => sum + group.tokens.length, 0);
+  const componentsByCategory = {};
+  for (const [slug, group] of Object.entries(componentGroups)) {
+    componentsByCategory[group.category] ??= [];
+    componentsByCategory[group.category].push(slug);
+  }
+
   return {
-    context,
-    designContext: designContext || "unspecified",
-    totalUsages: tokenUsages.length,
-    violations,
+    token: tokenName,
+    defined: Boolean(definition),
+    ...(definition && {
+      value: definition.value,
+      file: definition.component
+        ? `componentToken/${definition.file}`
+        : definition.file,
+    }),
+    ...(maxDepth && { maxDepth }),
     summary: {
-      critical: violations.filter((v) => v.severity === "critical").length,
-      warning: violations.filter((v) => v.severity === "warning").length,
-      info: violations.filter((v) => v.severity === "info").length,
-      clean: cleanCount,
+      total,
+      direct,
+      transitive: total - direct,
+      globalTokens: countTokens(globalGroups),
+      componentTokens: countTokens(componentGroups),
+      components: Object.keys(componentGroups).length,
+      deepest,
     },
+    componentsByCategory,
+    global: globalGroups,
+    components: componentGroups,
   };
 }
 
+// ============================================================================
+// TOKEN GRAPH EXPORT
+// ============================================================================
+
 /**
- * Recommend tokens for a given design context and CSS property.
- * @param {string} cssProperty
- * @param {string} element
- * @param {string|null} designContext
- * @param {{interactive?: boolean, inverted?: boolean}} options
- * @returns {Promise<Object>}
+ * Layers of the token architecture, in reference order: brand inputs feed
+ * the color scales, which feed the semantic colors, which feed the
+ * components. Other global categories form the foundation layer.
  */
-async function recommendTokenForContext(
-  cssProperty,
-  element,
-  designContext,
-  options = {},
-) {
-  const rules = await loadDesignRules();
-  const recommendations = [];
-  const avoid = [];
-  const elementLower = element.toLowerCase();
-  const contextLower = (designContext || "").toLowerCase();
-  const allContext = `${elementLower} ${contextLower}`;
+const TOKEN_GRAPH_LAYERS = {
+  brand: { label: "Brand", categories: ["branding"], fill: "#fde68a" },
+  color: { label: "Color", categories: ["color"], fill: "#bfdbfe" },
+  semantic: {
+    label: "Semantic",
+    categories: ["text-color", "background-color", "border-color"],
+    fill: "#bbf7d0",
+  },
+  foundation: { label: "Foundation", categories: [], fill: "#e5e7eb" },
+  component: { label: "Component", categories: [], fill: "#fbcfe8" },
+  missing: { label: "Missing", categories: [], fill: "#fecaca" },
+};
 
-  // Find applicable rules based on CSS property
-  const applicableRules = [];
+/**
+ * Get the graph layer of a token.
+ * @param {Object|undefined} data - Token from buildTokenLookup(), undefined for tokens that are referenced but never declared
+ * @returns {string} Key of TOKEN_GRAPH_LAYERS
+ */
+function getTokenGraphLayer(data) {
+  if (!data) return "missing";
+  if (data.component) return "component";
+  for (const [layer, config] of Object.entries(TOKEN_GRAPH_LAYERS)) {
+    if (config.categories.includes(data.category)) return layer;
+  }
+  return "foundation";
+}
 
-  if (cssProperty === "color") {
-    const rule = rules.find((r) => r.id === "text-color-hierarchy");
-    if (rule) applicableRules.push(rule);
-  } else if (cssProperty === "background-color") {
-    const rule = rules.find((r) => r.id === "background-color-layers");
-    if (rule) applicableRules.push(rule);
-  } else if (cssProperty === "font-family") {
-    const rule = rules.find((r) => r.id === "font-family-roles");
-    if (rule) applicableRules.push(rule);
-  } else if (cssProperty === "box-shadow") {
-    const rule = rules.find((r) => r.id === "elevation-hierarchy");
-    if (rule) applicableRules.push(rule);
-  } else if (cssProperty === "border-radius") {
-    const rule = rules.find((r) => r.id === "border-radius-scale");
-    if (rule) applicableRules.push(rule);
-  } else if (["padding", "margin", "gap"].includes(cssProperty)) {
-    const rule = rules.find((r) => r.id === "spacing-scale");
-    if (rule) applicableRules.push(rule);
-  } else if (cssProperty === "transition") {
-    const rule = rules.find((r) => r.id === "transition-consistency");
-    if (rule) applicableRules.push(rule);
+/**
+ * Select part of the token reference graph. Tokens matching the filters are
+ * the starting points; the graph then follows their references (towards the
+ * brand layer), their dependents (towards the components) or both, up to
+ * `depth` steps. Without filters the whole graph is returned.
+ * @param {Object} [options]
+ * @param {string|null} [options.root] - Start from this token
+ * @param {string|null} [options.category] - Start from tokens of this token or component category
+ * @param {string|null} [options.component] - Start from the tokens of this component
+ * @param {string} [options.direction] - "dependencies", "dependents" or "both"
+ * @param {number|null} [options.depth] - Maximum number of reference steps from the starting tokens
+ * @param {string|null} [options.theme] - Theme for the branding tokens
+ * @returns {Promise<{nodes: Array<Object>, edges: Array<Object>}>}
+ * @throws {Error} If no token matches the filters
+ */
+async function buildTokenGraph(options = {}) {
+  const {
+    root = null,
+    category = null,
+    component = null,
+    direction = "dependencies",
+    depth = null,
+    theme = null,
+  } = options;
+  const { lookup, references, dependents } =
+    await buildTokenDependencyGraph(theme);
+
+  // Edges point from a token to the tokens that reference it, so the graph
+  // reads brand → color → semantic → component
+  const edgeTypes = new Map();
+  for (const [name, data] of lookup.entries()) {
+    const values = data.declarations?.length
+      ? data.declarations.map((declaration) => declaration.value)
+      : [data.value];
+    for (const value of values) {
+      const { valueType } = classifyTokenValue(value);
+      for (const reference of extractTokenReferences(value)) {
+        const key = `${reference}\n${name}`;
+        if (!edgeTypes.has(key)) edgeTypes.set(key, valueType);
+      }
+    }
   }
 
-  for (const rule of applicableRules) {
-    // Handle scale-based rules (elevation, spacing, border-radius)
-    if (rule.scale) {
-      for (const level of rule.scale) {
-        const matchesValid = level.validContexts?.some((ctx) =>
-          allContext.includes(ctx.toLowerCase().replace(/-/g, " ")),
-        );
-        const matchesInvalid = level.invalidContexts?.some((ctx) =>
-          allContext.includes(ctx.toLowerCase().replace(/-/g, " ")),
-        );
+  const filtered = root || category || component;
+  let included;
+  if (!filtered) {
+    included = new Set([...references.keys(), ...dependents.keys()]);
+    for (const [name, tokenReferences] of references.entries()) {
+      if (tokenReferences.size === 0 && !dependents.has(name)) {
+        included.delete(name);
+      }
+    }
+  } else {
+    const candidates =
+      root && !lookup.has(root) && dependents.has(root)
+        ? [root]
+        : [...lookup.keys()];
+    const seeds = candidates.filter((name) => {
+      const data = lookup.get(name);
+      if (root && name !== root) return false;
+      if (component && data?.component !== component) return false;
+      if (category && data?.category !== category) return false;
+      return true;
+    });
+    if (seeds.length === 0) {
+      throw new Error(
+        `No tokens match ${[
+          root && `root "${root}"`,
+          category && `category "${category}"`,
+          component && `component "${component}"`,
+        ]
+          .filter(Boolean)
+          .join(" and ")}`,
+      );
+    }
 
-        if (matchesValid && !matchesInvalid) {
-          const rec = {
-            rank: recommendations.length + 1,
-            token:
-              options.inverted && level.token.includes("-inverted")
-                ? level.token
-                : level.token,
-            confidence: "high",
-            rationale: `${level.label}: ${level.purpose}`,
-          };
-          if (level.hoverToken && options.interactive) {
-            rec.interactiveStates = { hover: level.hoverToken };
+    included = new Set(seeds);
+    const maps = [];
+    if (direction !== "dependents") maps.push(references);
+    if (direction !== "dependencies") maps.push(dependents);
+    for (const map of maps) {
+      let frontier = seeds;
+      for (let step = 1; frontier.length > 0; step++) {
+        if (depth && step > depth) break;
+        const next = [];
+        for (const token of frontier) {
+          for (const neighbour of map.get(token) || []) {
+            if (included.has(neighbour)) continue;
+            included.add(neighbour);
+            next.push(neighbour);
           }
-          recommendations.push(rec);
-        } else if (matchesInvalid) {
-          avoid.push({
-            token: level.token,
-            reason: `${level.label} elevation is for ${level.purpose} — not appropriate for ${element}`,
-          });
         }
+        frontier = next;
       }
     }
+  }
 
-    // Handle token-map rules (text-color, background-color, font-family)
-    if (rule.tokens) {
-      for (const [tokenName, config] of Object.entries(rule.tokens)) {
-        const matchesValid = config.validContexts?.some((ctx) =>
-          allContext.includes(ctx.toLowerCase().replace(/-/g, " ")),
-        );
-        const matchesInvalid = config.invalidContexts?.some((ctx) =>
-          allContext.includes(ctx.toLowerCase().replace(/-/g, " ")),
-        );
-
-        const resolvedToken =
-          options.inverted && !tokenName.includes("-inverted")
-            ? tokenName.replace(/(--ks-[a-z-]+)/, "$1-inverted")
-            : tokenName;
-
-        if (matchesValid && !matchesInvalid) {
-          const rec = {
-            rank: recommendations.length + 1,
-            token: resolvedToken,
-            confidence: "high",
-            rationale: config.role,
-          };
+  const layerOrder = Object.keys(TOKEN_GRAPH_LAYERS);
+  const nodes = [...included]
+    .map((name) => {
+      const data = lookup.get(name);
+      return {
+        id: name,
+        layer: getTokenGraphLayer(data),
+        ...(data && { category: data.category }),
+        ...(data?.component && { component: data.component }),
+        ...(data && { value: data.value }),
+      };
+    })
+    .sort(
+      (a, b) =>
+        layerOrder.indexOf(a.layer) - layerOrder.indexOf(b.layer) ||
+        a.id.localeCompare(b.id),
+    );
 
-          // Add pairing info if available
-          const pairingRules = rule.pairingRules?.find(
-            (p) => p.token === tokenName || p.fontFamily === tokenName,
-          );
-          if (pairingRules) {
-            rec.pairWith = [];
-            if (pairingRules.expectedFontFamily) {
-              rec.pairWith.push({
-                cssProperty: "font-family",
-                token: pairingRules.expectedFontFamily,
-              });
-            }
-            if (pairingRules.expectedLineHeight) {
-              rec.pairWith.push({
-                cssProperty: "line-height",
-                pattern: pairingRules.expectedLineHeight,
-              });
-            }
-            if (pairingRules.expectedFontSize) {
-              rec.pairWith.push({
-                cssProperty: "font-size",
-                pattern: pairingRules.expectedFontSize,
-              });
-            }
-            if (pairingRules.expectedTextColor) {
-              rec.pairWith.push({
-                cssProperty: "color",
-                token: pairingRules.expectedTextColor,
-              });
-            }
-          }
+  const edges = [];
+  for (const [key, valueType] of edgeTypes.entries()) {
+    const [from, to] = key.split("\n");
+    if (included.has(from) && included.has(to)) {
+      edges.push({ from, to, valueType });
+    }
+  }
+  edges.sort(
+    (a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to),
+  );
 
-          // Add interactive state tokens if requested
-          if (options.interactive) {
-            const interactiveBase = `${resolvedToken}-interactive`;
-            rec.interactiveStates = {
-              base: interactiveBase,
-              hover: `${interactiveBase}-hover`,
-              active: `${interactiveBase}-active`,
-            };
-          }
+  return { nodes, edges };
+}
 
-          recommendations.push(rec);
-        } else if (matchesInvalid) {
-          avoid.push({
-            token: tokenName,
-            reason: `${config.role} — not appropriate for ${element}. ${config.rationale || ""}`,
-          });
-        }
+/**
+ * Group graph nodes into layers and, within the component layer, components.
+ * @param {Array<Object>} nodes - From buildTokenGraph()
+ * @returns {Array<{layer: string, label: string, groups: Array<{label: string|null, nodes: Array<Object>}>}>}
+ */
+function groupTokenGraphNodes(nodes) {
+  const layers = [];
+  for (const [layer, config] of Object.entries(TOKEN_GRAPH_LAYERS)) {
+    const layerNodes = nodes.filter((node) => node.layer === layer);
+    if (layerNodes.length === 0) continue;
+    const groups = [];
+    if (layer === "component") {
+      const slugs = [...new Set(layerNodes.map((node) => node.component))];
+      for (const slug of slugs) {
+        groups.push({
+          label: slug,
+          nodes: layerNodes.filter((node) => node.component === slug),
+        });
       }
+    } else {
+      groups.push({ label: null, nodes: layerNodes });
     }
+    layers.push({ layer, label: config.label, groups });
   }
+  return layers;
+}
 
-  // If no specific match, try returning the full hierarchy for the property
-  if (recommendations.length === 0 && applicableRules.length > 0) {
-    const rule = applicableRules[0];
-    if (rule.tokens) {
-      for (const [tokenName, config] of Object.entries(rule.tokens)) {
-        recommendations.push({
-          rank: recommendations.length + 1,
-          token: tokenName,
-          confidence: "low",
-          rationale: `${config.role} — review if this matches your "${element}" context`,
-        });
+/**
+ * Render a token graph as Graphviz DOT. Each layer is a cluster, each
+ * component a nested cluster; calculated references are dashed.
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} graph - From buildTokenGraph()
+ * @returns {string}
+ */
+function renderTokenGraphDot({ nodes, edges }) {
+  const quote = (text) => `"${text.replace(/["\\]/g, "\\$&")}"`;
+  const lines = [
+    "digraph tokens {",
+    "  rankdir=LR;",
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=10];',
+    "  edge [color=\"#6b7280\"];",
+  ];
+
+  for (const { layer, label, groups } of groupTokenGraphNodes(nodes)) {
+    const fill = TOKEN_GRAPH_LAYERS[layer].fill;
+    lines.push(
+      `  subgraph cluster_${layer} {`,
+      `    label=${quote(label)};`,
+      `    node [fillcolor=${quote(fill)}];`,
+    );
+    for (const group of groups) {
+      const indent = group.label ? "      " : "    ";
+      if (group.label) {
+        lines.push(
+          `    subgraph ${quote(`cluster_${layer}_${group.label}`)} {`,
+          `      label=${quote(group.label)};`,
+        );
       }
-    }
-    if (rule.scale) {
-      for (const level of rule.scale) {
-        recommendations.push({
-          rank: recommendations.length + 1,
-          token: level.token,
-          confidence: "low",
-          rationale: `${level.label}: ${level.purpose} — review if this matches your "${element}" context`,
-        });
+      for (const node of group.nodes) {
+        lines.push(`${indent}${quote(node.id)};`);
       }
+      if (group.label) lines.push("    }");
     }
+    lines.push("  }");
   }
 
-  return {
-    cssProperty,
-    element,
-    designContext: designContext || "unspecified",
-    recommendations,
-    avoid,
-  };
+  for (const edge of edges) {
+    const style = edge.valueType === "calculated" ? " [style=dashed]" : "";
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${style};`);
+  }
+  lines.push("}");
+  return lines.join("\n");
 }
 
 /**
- * Get the semantic hierarchy for a token category.
- * @param {string} category - e.g., "text-color", "elevation", "spacing"
- * @returns {Promise<Object>}
+ * Render a token graph as a Mermaid flowchart. Each layer is a subgraph,
+ * each component a nested subgraph; calculated references are dotted.
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} graph - From buildTokenGraph()
+ * @returns {string}
  */
-async function getTokenHierarchy(category) {
-  const rules = await loadDesignRules();
-
-  const categoryRuleMap = {
-    "text-color": "text-color-hierarchy",
-    "background-color": "background-color-layers",
-    elevation: "elevation-hierarchy",
-    "font-family": "font-family-roles",
-    "font-size": "typography-pairing",
-    spacing: "spacing-scale",
-    "border-radius": "border-radius-scale",
-    "line-height": "typography-pairing",
-    transition: "transition-consistency",
-  };
-
-  const ruleId = categoryRuleMap[category];
-  if (!ruleId) {
-    return {
-      error: `Unknown category: ${category}. Available: ${Object.keys(categoryRuleMap).join(", ")}`,
-    };
+function renderTokenGraphMermaid({ nodes, edges }) {
+  // Mermaid ids can't contain every character of a token name
+  const ids = new Map(nodes.map((node, i) => [node.id, `t${i}`]));
+  const lines = ["flowchart LR"];
+
+  for (const { layer, label, groups } of groupTokenGraphNodes(nodes)) {
+    lines.push(`  subgraph ${layer}["${label}"]`);
+    for (const group of groups) {
+      const indent = group.label ? "      " : "    ";
+      if (group.label) {
+        const groupId = `${layer}_${group.label.replace(/[^a-zA-Z0-9_]/g, "_")}`;
+        lines.push(`    subgraph ${groupId}["${group.label}"]`);
+      }
+      for (const node of group.nodes) {
+        lines.push(`${indent}${ids.get(node.id)}["${node.id}"]:::${layer}`);
+      }
+      if (group.label) lines.push("    end");
+    }
+    lines.push("  end");
   }
 
-  const rule = rules.find((r) => r.id === ruleId);
-  if (!rule) {
-    return { error: `Rule "${ruleId}" not found in rules/ directory` };
+  for (const edge of edges) {
+    const arrow = edge.valueType === "calculated" ? "-.->" : "-->";
+    lines.push(`  ${ids.get(edge.from)} ${arrow} ${ids.get(edge.to)}`);
   }
+  for (const [layer, config] of Object.entries(TOKEN_GRAPH_LAYERS)) {
+    lines.push(`  classDef ${layer} fill:${config.fill},stroke:#374151`);
+  }
+  return lines.join("\n");
+}
 
-  const result = {
-    category,
-    ruleId: rule.id,
-    name: rule.name,
-    description: rule.description,
-    severity: rule.severity,
-  };
+// ============================================================================
+// CSS EXPRESSION EVALUATION
+// ============================================================================
 
-  if (rule.scale) {
-    result.hierarchy = rule.scale;
-  }
-  if (rule.tokens) {
-    result.hierarchy = Object.entries(rule.tokens).map(([name, config], i) => ({
-      level: i + 1,
-      token: name,
-      role: config.role,
-      validContexts: config.validContexts,
-      invalidContexts: config.invalidContexts,
-      rationale: config.rationale,
-    }));
-  }
-  if (rule.pairingRules) {
-    result.pairingRules = rule.pairingRules;
-  }
-  if (rule.categories) {
-    result.typographyCategories = rule.categories;
-  }
-  if (rule.spacingTypes) {
-    result.spacingTypes = rule.spacingTypes;
-  }
+/** Root font size used to convert rem/em to px when evaluating calc() */
+const ROOT_FONT_SIZE_PX = 16;
+
+/** Conversion factors from each supported unit to its canonical unit */
+const CSS_UNIT_CONVERSIONS = {
+  px: { unit: "px", factor: 1 },
+  rem: { unit: "px", factor: ROOT_FONT_SIZE_PX },
+  em: { unit: "px", factor: ROOT_FONT_SIZE_PX },
+  ms: { unit: "ms", factor: 1 },
+  s: { unit: "ms", factor: 1000 },
+  "%": { unit: "%", factor: 1 },
+  "": { unit: "", factor: 1 },
+};
 
-  return result;
+const NAMED_COLORS = {
+  transparent: { r: 0, g: 0, b: 0, a: 0 },
+  white: { r: 255, g: 255, b: 255, a: 1 },
+  black: { r: 0, g: 0, b: 0, a: 1 },
+};
+
+/**
+ * Round a number for display, dropping float noise and trailing zeros.
+ * @param {number} n
+ * @returns {string}
+ */
+function formatCssNumber(n) {
+  return String(Number(n.toFixed(4)));
 }
 
 /**
- * Audit all tokens for a single component against design rules.
- * @param {string} componentSlug - Component slug (e.g., "button")
- * @returns {Promise<Object>}
+ * Split a function argument list on top-level commas.
+ * @param {string} args - e.g. "in srgb, var(--a) 10%, transparent"
+ * @returns {string[]}
  */
-async function auditComponentTokens(componentSlug) {
-  const config = COMPONENT_TOKEN_FILES[componentSlug];
-  if (!config) {
-    return {
-      error: `Component "${componentSlug}" not found. Use list_components to see available components.`,
-    };
+function splitCssArguments(args) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of args) {
+    if (ch === "(") depth++;
+    if (ch === ")") depth--;
+    if (ch === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
   }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
 
-  const tokens = await parseAllComponentTokens(componentSlug);
-  const rules = await loadDesignRules();
-  const violations = [];
-
-  // Track state tokens for completeness checks
-  const stateMap = {}; // variant+property → set of states
+/**
+ * Evaluate a calc()-style math expression (no var() left in it).
+ * Supports + - * /, parentheses, nested calc()/min()/max()/clamp() and the
+ * units px, rem, em, ms, s and %. rem/em are converted to px and s to ms.
+ * @param {string} expression - e.g. "calc((1.5 - 0.5) * 16px)"
+ * @returns {{value: number, unit: string}}
+ * @throws {Error} If the expression uses unsupported syntax or mixes units
+ */
+function evaluateCalcExpression(expression) {
+  const tokens = [];
+  const tokenRegex =
+    /\s*(?:(\d*\.?\d+(?:e[+-]?\d+)?)(px|rem|em|ms|s|%)?|([a-z-]+)\(|([-+*/(),]))/giy;
+  let match;
+  let lastIndex = 0;
+  while (lastIndex < expression.length) {
+    tokenRegex.lastIndex = lastIndex;
+    match = tokenRegex.exec(expression);
+    if (!match) {
+      if (expression.slice(lastIndex).trim() === "") break;
+      throw new Error(
+        `Unsupported syntax in expression: "${expression.slice(lastIndex).trim()}"`,
+      );
+    }
+    lastIndex = tokenRegex.lastIndex;
+    if (match[1] !== undefined) {
+      const conversion = CSS_UNIT_CONVERSIONS[(match[2] || "").toLowerCase()];
+      tokens.push({
+        type: "number",
+        value: parseFloat(match[1]) * conversion.factor,
+        unit: conversion.unit,
+      });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: "function", name: match[3].toLowerCase() });
+    } else {
+      tokens.push({ type: "op", value: match[4] });
+    }
+  }
 
-  for (const token of tokens) {
-    const { valueType, referencedToken } = classifyTokenValue(token.value);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const expectOp = (op) => {
+    const token = tokens[pos++];
+    if (!token || token.type !== "op" || token.value !== op) {
+      throw new Error(`Expected "${op}" in expression`);
+    }
+  };
 
-    // Check referenced token existence
-    if (referencedToken) {
-      const exists = await validateTokenExistence(referencedToken);
-      if (!exists) {
-        violations.push({
-          severity: "critical",
-          ruleId: referencedToken.startsWith("--dsa-")
-            ? "component-reference-validity"
-            : "token-existence",
-          ruleName: referencedToken.startsWith("--dsa-")
-            ? "Component Cross-Reference Validity"
-            : "Phantom Token Detection",
-          token: token.name,
-          referencedToken,
-          message: `Token "${token.name}" references "${referencedToken}" which does not exist in the design system.`,
-          suggestion: "Search for the correct token name using search_tokens",
-          rationale: "Phantom tokens silently fail at runtime",
-        });
+  const combine = (left, op, right) => {
+    if (op === "+" || op === "-") {
+      if (left.unit !== right.unit) {
+        throw new Error(
+          `Cannot add ${left.unit || "number"} and ${right.unit || "number"}`,
+        );
       }
-
-      // Check semantic layer usage
-      if (isPrimitiveColorToken(referencedToken)) {
-        violations.push({
-          severity: "warning",
-          ruleId: "color-semantic-layer",
-          ruleName: "Use Semantic Color Tokens",
-          token: token.name,
-          referencedToken,
-          message: `Token "${token.name}" references primitive color "${referencedToken}". Prefer semantic color tokens.`,
-          suggestion:
-            "Use --ks-text-color-*, --ks-background-color-*, or --ks-border-color-* instead",
-          rationale: "Primitive color tokens bypass the semantic layer",
-        });
+      return {
+        value: op === "+" ? left.value + right.value : left.value - right.value,
+        unit: left.unit,
+      };
+    }
+    if (op === "*") {
+      if (left.unit && right.unit) {
+        throw new Error(`Cannot multiply ${left.unit} by ${right.unit}`);
       }
+      return { value: left.value * right.value, unit: left.unit || right.unit };
     }
+    if (right.unit) {
+      throw new Error(`Cannot divide by a value with unit ${right.unit}`);
+    }
+    if (right.value === 0) throw new Error("Division by zero");
+    return { value: left.value / right.value, unit: left.unit };
+  };
 
-    // Check hardcoded values
-    if (valueType === "literal" && token.value) {
-      const { isHardcoded, suggestion, category } = detectHardcodedValue(
-        token.value,
-        token.cssProperty,
-      );
-      if (isHardcoded) {
-        violations.push({
-          severity: "critical",
-          ruleId: "hardcoded-value",
-          ruleName: "Hardcoded Value Detection",
-          token: token.name,
-          message: `Hardcoded ${category} value "${token.value}" in ${token.cssProperty}. Use a design token instead.`,
-          suggestion,
-          rationale:
-            "Hardcoded values bypass the token system and break theming",
-        });
+  const parseArguments = () => {
+    const values = [parseSum()];
+    while (peek()?.type === "op" && peek().value === ",") {
+      pos++;
+      values.push(parseSum());
+    }
+    expectOp(")");
+    return values;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error("Unexpected end of expression");
+    if (token.type === "number") return { value: token.value, unit: token.unit };
+    if (token.type === "op" && token.value === "(") {
+      const inner = parseSum();
+      expectOp(")");
+      return inner;
+    }
+    if (token.type === "op" && token.value === "-") {
+      const operand = parsePrimary();
+      return { value: -operand.value, unit: operand.unit };
+    }
+    if (token.type === "function") {
+      const args = parseArguments();
+      const sameUnit = (values) => {
+        if (values.some((v) => v.unit !== values[0].unit)) {
+          throw new Error(`Mixed units in ${token.name}()`);
+        }
+        return values[0].unit;
+      };
+      switch (token.name) {
+        case "calc":
+          if (args.length !== 1) throw new Error("calc() takes one argument");
+          return args[0];
+        case "min":
+          return {
+            value: Math.min(...args.map((a) => a.value)),
+            unit: sameUnit(args),
+          };
+        case "max":
+          return {
+            value: Math.max(...args.map((a) => a.value)),
+            unit: sameUnit(args),
+          };
+        case "clamp":
+          if (args.length !== 3) throw new Error("clamp() takes 3 arguments");
+          return {
+            value: Math.min(
+              Math.max(args[0].value, args[1].value),
+              args[2].value,
+            ),
+            unit: sameUnit(args),
+          };
+        default:
+          throw new Error(`Unsupported function ${token.name}()`);
       }
     }
+    throw new Error(`Unexpected "${token.value}" in expression`);
+  };
 
-    // Track states for completeness check
-    if (token.state) {
-      const key = `${token.variant || "_base"}::${token.cssProperty}`;
-      if (!stateMap[key]) stateMap[key] = { states: new Set(), tokens: [] };
-      stateMap[key].states.add(token.state);
-      stateMap[key].tokens.push(token.name);
+  const parseProduct = () => {
+    let left = parsePrimary();
+    while (
+      peek()?.type === "op" &&
+      (peek().value === "*" || peek().value === "/")
+    ) {
+      const op = tokens[pos++].value;
+      left = combine(left, op, parsePrimary());
+    }
+    return left;
+  };
+
+  const parseSum = () => {
+    let left = parseProduct();
+    while (
+      peek()?.type === "op" &&
+      (peek().value === "+" || peek().value === "-")
+    ) {
+      const op = tokens[pos++].value;
+      left = combine(left, op, parseProduct());
     }
+    return left;
+  };
+
+  const result = parseSum();
+  if (pos < tokens.length) {
+    throw new Error("Unexpected trailing input in expression");
   }
+  return result;
+}
 
-  // Interactive state completeness check
-  const stateRule = rules.find(
-    (r) => r.id === "interactive-state-completeness",
-  );
-  if (stateRule) {
-    for (const [key, data] of Object.entries(stateMap)) {
-      const colorProps = ["color", "background-color", "border-color"];
-      const [, prop] = key.split("::");
-      if (colorProps.includes(prop)) {
-        const required = stateRule.stateGroups?.["color-states"]
-          ?.requiredStates || ["hover", "active"];
-        const missing = required.filter((s) => !data.states.has(s));
-        if (missing.length > 0) {
-          violations.push({
-            severity: "warning",
-            ruleId: "interactive-state-completeness",
-            ruleName: stateRule.name,
-            token: data.tokens.join(", "),
-            message: `Incomplete interactive states for ${key}: has [${[...data.states].join(", ")}] but missing [${missing.join(", ")}].`,
-            suggestion: `Add ${missing.map((s) => `_${s}`).join(", ")} state token(s) for complete interaction feedback`,
-            rationale:
-              "Incomplete state sets create gaps in interaction feedback",
-          });
-        }
-      }
+/**
+ * Parse a concrete CSS color (hex, rgb()/rgba() or a basic named color).
+ * @param {string} value
+ * @returns {{r: number, g: number, b: number, a: number}|null} - r/g/b 0–255, a 0–1
+ */
+function parseCssColor(value) {
+  const trimmed = value.trim().toLowerCase();
+
+  if (NAMED_COLORS[trimmed]) return { ...NAMED_COLORS[trimmed] };
+
+  const hexMatch = trimmed.match(/^#([0-9a-f]{3,8})$/);
+  if (hexMatch) {
+    let hex = hexMatch[1];
+    if (hex.length === 3 || hex.length === 4) {
+      hex = [...hex].map((c) => c + c).join("");
     }
+    if (hex.length !== 6 && hex.length !== 8) return null;
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1,
+    };
   }
 
-  // Sort violations by severity
-  const severityOrder = { critical: 0, warning: 1, info: 2 };
-  violations.sort(
-    (a, b) => severityOrder[a.severity] - severityOrder[b.severity],
-  );
+  const rgbMatch = trimmed.match(/^rgba?\((.*)\)$/);
+  if (rgbMatch) {
+    const rawParts = rgbMatch[1].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+    if (rawParts.length < 3) return null;
+    const parts = rawParts.map((part, i) => {
+      const { value: n, unit } = evaluateCalcExpression(part);
+      if (unit !== "%") return n;
+      return i < 3 ? (n / 100) * 255 : n / 100;
+    });
+    return {
+      r: parts[0],
+      g: parts[1],
+      b: parts[2],
+      a: parts.length > 3 ? parts[3] : 1,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Format a color as lowercase hex, adding an alpha byte when not opaque.
+ * @param {{r: number, g: number, b: number, a: number}} color
+ * @returns {string}
+ */
+function formatCssColor({ r, g, b, a }) {
+  const toHex = (n) =>
+    Math.round(Math.min(255, Math.max(0, n)))
+      .toString(16)
+      .padStart(2, "0");
+  const alpha = a < 1 ? toHex(a * 255) : "";
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}${alpha}`;
+}
+
+/**
+ * Evaluate color-mix(in srgb, <color> [<pct>], <color> [<pct>]) following the
+ * CSS Color 5 algorithm (premultiplied alpha, percentages normalized to 100%,
+ * sums below 100% scale the resulting alpha).
+ * @param {string[]} args - Already computed arguments of color-mix()
+ * @returns {{r: number, g: number, b: number, a: number}}
+ * @throws {Error} If the color space or colors are unsupported
+ */
+function mixCssColors(args) {
+  if (args.length !== 3 || !/^in\s+srgb$/i.test(args[0])) {
+    throw new Error(`Unsupported color-mix() arguments: ${args.join(", ")}`);
+  }
+
+  const parseStop = (arg) => {
+    const stopMatch = arg.match(/^(.*?)\s+(-?\d*\.?\d+)%$/);
+    const colorText = stopMatch ? stopMatch[1] : arg;
+    const color = parseCssColor(colorText);
+    if (!color) throw new Error(`Unsupported color "${colorText}"`);
+    return { color, percentage: stopMatch ? parseFloat(stopMatch[2]) : null };
+  };
+
+  const first = parseStop(args[1]);
+  const second = parseStop(args[2]);
+  let p1 = first.percentage;
+  let p2 = second.percentage;
+  if (p1 === null && p2 === null) {
+    p1 = 50;
+    p2 = 50;
+  } else if (p1 === null) {
+    p1 = 100 - p2;
+  } else if (p2 === null) {
+    p2 = 100 - p1;
+  }
+
+  const sum = p1 + p2;
+  if (sum <= 0) throw new Error("color-mix() percentages sum to zero");
+  const alphaMultiplier = sum < 100 ? sum / 100 : 1;
+  p1 /= sum;
+  p2 /= sum;
+
+  const c1 = first.color;
+  const c2 = second.color;
+  const alpha = c1.a * p1 + c2.a * p2;
+  const mixChannel = (channel) =>
+    alpha === 0
+      ? 0
+      : (c1[channel] * c1.a * p1 + c2[channel] * c2.a * p2) / alpha;
 
   return {
-    component: componentSlug,
-    file: config.file,
-    category: config.category,
-    totalTokens: tokens.length,
-    totalViolations: violations.length,
-    violations,
-    summary: {
-      critical: violations.filter((v) => v.severity === "critical").length,
-      warning: violations.filter((v) => v.severity === "warning").length,
-      info: violations.filter((v) => v.severity === "info").length,
-    },
+    r: mixChannel("r"),
+    g: mixChannel("g"),
+    b: mixChannel("b"),
+    a: alpha * alphaMultiplier,
   };
 }
 
 /**
- * Batch audit across all components, returning a summary table.
- * @param {string} category - Component category filter ("all" for all)
- * @param {string} minSeverity - Minimum severity to include ("info", "warning", "critical")
- * @returns {Promise<Object>}
+ * Compute a fully var()-substituted CSS value into concrete values.
+ * Math functions become numbers with units, color functions become hex colors,
+ * and anything else (keywords, font stacks, cubic-bezier()) is kept as-is.
+ * Shorthands like box-shadow are computed part by part.
+ * @param {string} value - A value without var() references
+ * @returns {string}
+ * @throws {Error} If a function can't be evaluated
  */
-async function auditAllComponents(category = "all", minSeverity = "info") {
-  const severityOrder = { critical: 0, warning: 1, info: 2 };
-  const minSev = severityOrder[minSeverity] ?? 2;
+function computeCssValue(value) {
+  if (/var\(/.test(value)) {
+    throw new Error("Value still contains unresolved var() references");
+  }
 
-  const components = Object.entries(COMPONENT_TOKEN_FILES)
-    .filter(([slug, config]) => {
-      if (category === "all") return true;
-      return config.category === category;
-    })
-    .map(([slug]) => slug)
-    .sort();
+  let result = "";
+  let index = 0;
+  const functionRegex = /([a-z-]+)\(/gi;
+  let match;
+  while ((match = functionRegex.exec(value)) !== null) {
+    const start = match.index;
+    let depth = 1;
+    let end = start + match[0].length;
+    for (; end < value.length && depth > 0; end++) {
+      if (value[end] === "(") depth++;
+      if (value[end] === ")") depth--;
+    }
+    if (depth !== 0) throw new Error(`Unbalanced parentheses in "${value}"`);
+
+    const name = match[1].toLowerCase();
+    const whole = value.slice(start, end);
+    const inner = value.slice(start + match[0].length, end - 1);
+    let computed = whole;
+
+    if (["calc", "min", "max", "clamp"].includes(name)) {
+      const { value: n, unit } = evaluateCalcExpression(whole);
+      computed = `${formatCssNumber(n)}${unit}`;
+    } else if (name === "color-mix") {
+      const args = splitCssArguments(inner).map((arg, i) =>
+        i === 0 ? arg : computeCssValue(arg),
+      );
+      computed = formatCssColor(mixCssColors(args));
+    } else if (name === "rgb" || name === "rgba") {
+      const color = parseCssColor(
+        `${name}(${splitCssArguments(inner).map(computeCssValue).join(", ")})`,
+      );
+      if (color) computed = formatCssColor(color);
+    }
 
-  const results = [];
-  let totalCritical = 0;
-  let totalWarning = 0;
-  let totalInfo = 0;
-  let totalTokens = 0;
+    result += value.slice(index, start) + computed;
+    index = end;
+    functionRegex.lastIndex = end;
+  }
+  result += value.slice(index);
 
-  for (const slug of components) {
-    const audit = await auditComponentTokens(slug);
-    if (audit.error) continue;
+  // Normalize plain hex colors so equal colors compare equal
+  const color = /^#[0-9a-f]{3,8}$/i.test(result.trim())
+    ? parseCssColor(result)
+    : null;
+  return color ? formatCssColor(color) : result.trim();
+}
 
-    const filteredViolations = audit.violations.filter(
-      (v) => severityOrder[v.severity] <= minSev,
-    );
+/**
+ * Resolve a token's var() chain and compute its concrete value.
+ * @param {string} tokenName - Full token name
+ * @param {Map} lookup - From buildTokenLookup()
+ * @returns {Object} - resolveTokenChain() result plus computedValue and, on failure, computeError
+ */
+function computeTokenValue(tokenName, lookup) {
+  const resolution = resolveTokenChain(tokenName, lookup);
+  if (resolution.finalValue === null || resolution.status !== "resolved") {
+    return { ...resolution, computedValue: null };
+  }
+  try {
+    return {
+      ...resolution,
+      computedValue: computeCssValue(resolution.finalValue),
+    };
+  } catch (error) {
+    return { ...resolution, computedValue: null, computeError: error.message };
+  }
+}
 
-    const crit = filteredViolations.filter(
-      (v) => v.severity === "critical",
-    ).length;
-    const warn = filteredViolations.filter(
-      (v) => v.severity === "warning",
-    ).length;
-    const info = filteredViolations.filter((v) => v.severity === "info").length;
-    const total = crit + warn + info;
+/**
+ * Add a computedValue field to each token entry of a read tool's result.
+ * @param {Array<{name: string}>} entries - Token entries, modified in place
+ * @param {string|null} [theme] - Theme for the branding tokens
+ * @returns {Promise<void>}
+ */
+async function addComputedValues(entries, theme = null) {
+  const lookup = await buildTokenLookup(theme);
+  for (const entry of entries) {
+    entry.computedValue = computeTokenValue(entry.name, lookup).computedValue;
+  }
+}
 
-    totalCritical += crit;
-    totalWarning += warn;
-    totalInfo += info;
-    totalTokens += audit.totalTokens;
+// ============================================================================
+// COLOR CONTRAST
+// ============================================================================
 
-    results.push({
-      component: slug,
-      category: COMPONENT_TOKEN_FILES[slug].category,
-      tokens: audit.totalTokens,
-      critical: crit,
-      warning: warn,
-      info: info,
-      total,
-    });
+/** WCAG 2.x minimum contrast ratios per conformance level */
+const WCAG_CONTRAST_LEVELS = {
+  AA: { normalText: 4.5, largeText: 3 },
+  AAA: { normalText: 7, largeText: 4.5 },
+};
+
+/** Contexts checked when none are given: normal and inverted sections */
+const DEFAULT_CONTRAST_CONTEXTS = [":root", '[ks-inverted="true"]'];
+
+/**
+ * Read the WCAG level a contrast rule requires. Rule files are user
+ * editable, so an unknown level falls back to AA with a warning.
+ * @param {Object|undefined} rule - The contrast-minimums rule, if any
+ * @returns {{level: string, minimum: number, warning?: string}}
+ */
+function getRequiredContrastLevel(rule) {
+  const level = rule?.requiredLevel ?? "AA";
+  if (Object.hasOwn(WCAG_CONTRAST_LEVELS, level)) {
+    return { level, minimum: WCAG_CONTRAST_LEVELS[level].normalText };
   }
+  return {
+    level: "AA",
+    minimum: WCAG_CONTRAST_LEVELS.AA.normalText,
+    warning: `Rule '${rule.id}' (${rule._sourceFile}) has an unknown requiredLevel ${JSON.stringify(level)}; checking against AA. Valid levels: ${Object.keys(WCAG_CONTRAST_LEVELS).join(", ")}`,
+  };
+}
+
+/** Token used as the page background behind translucent surfaces */
+const CANVAS_BACKGROUND_TOKEN = "--ks-background-color-default";
+
+const OPAQUE_WHITE = { r: 255, g: 255, b: 255, a: 1 };
 
+/**
+ * Convert an sRGB channel to linear light.
+ * @param {number} c - Channel 0–255
+ * @returns {number} 0–1
+ */
+function linearizeSrgbChannel(c) {
+  const s = c / 255;
+  return s <= 0.04045 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * WCAG relative luminance of an sRGB color.
+ * @param {{r: number, g: number, b: number}} color - Channels 0–255
+ * @returns {number} 0 (black) to 1 (white)
+ */
+function relativeLuminance({ r, g, b }) {
+  return (
+    0.2126 * linearizeSrgbChannel(r) +
+    0.7152 * linearizeSrgbChannel(g) +
+    0.0722 * linearizeSrgbChannel(b)
+  );
+}
+
+/**
+ * Alpha-composite one color over another (source-over).
+ * @param {{r: number, g: number, b: number, a: number}} top
+ * @param {{r: number, g: number, b: number, a: number}} bottom
+ * @returns {{r: number, g: number, b: number, a: number}}
+ */
+function compositeColors(top, bottom) {
+  const a = top.a + bottom.a * (1 - top.a);
+  if (a === 0) return { r: 0, g: 0, b: 0, a: 0 };
+  const mix = (t, b) => (t * top.a + b * bottom.a * (1 - top.a)) / a;
   return {
-    scope: category === "all" ? "All components" : `Category: ${category}`,
-    componentsScanned: results.length,
-    totalTokens,
-    summary: results,
-    totals: {
-      critical: totalCritical,
-      warning: totalWarning,
-      info: totalInfo,
-      total: totalCritical + totalWarning + totalInfo,
-    },
+    r: mix(top.r, bottom.r),
+    g: mix(top.g, bottom.g),
+    b: mix(top.b, bottom.b),
+    a,
   };
 }
 
-// Create MCP server instance
-const server = new Server(
-  {
-    name: "design-tokens-server",
-    version: "4.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  },
-);
+/**
+ * WCAG contrast ratio between a text color and an opaque background.
+ * Translucent text is composited over the background first.
+ * @param {{r: number, g: number, b: number, a: number}} text
+ * @param {{r: number, g: number, b: number, a: number}} background
+ * @returns {number} 1 to 21
+ */
+function contrastRatio(text, background) {
+  const l1 = relativeLuminance(compositeColors(text, background));
+  const l2 = relativeLuminance(background);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
 
 /**
- * Register all MCP tool handlers on a given Server instance.
- * Extracted so that both stdio and HTTP session servers share the same logic.
- * @param {Server} srv
+ * Resolve a token to a concrete color in a context lookup.
+ * @param {string} tokenName
+ * @param {Map<string, Object>} contextLookup - From buildContextLookup()
+ * @returns {{token: string, value: string|null, color: Object|null, error?: string}}
  */
-function registerHandlers(srv) {
-  // Tool definitions
-  srv.setRequestHandler(ListToolsRequestSchema, async () => {
+function resolveContextColor(tokenName, contextLookup) {
+  if (!contextLookup.has(tokenName)) {
     return {
-      tools: [
-        {
-          name: "get_token",
-          description:
-            "Retrieve the value of a specific design token by name. Returns the token value along with its source file and category.",
-          inputSchema: {
-            type: "object",
+      token: tokenName,
+      value: null,
+      color: null,
+      error: `Token '${tokenName}' is not defined in this context`,
+    };
+  }
+  const { computedValue, computeError, issues } = computeTokenValue(
+    tokenName,
+    contextLookup,
+  );
+  if (computedValue === null) {
+    return {
+      token: tokenName,
+      value: null,
+      color: null,
+      error:
+        computeError ||
+        `Could not resolve '${tokenName}': ${issues.map((i) => i.token || i.path.join(" → ")).join(", ")}`,
+    };
+  }
+  const color = parseCssColor(computedValue);
+  return {
+    token: tokenName,
+    value: computedValue,
+    color,
+    ...(!color && { error: `'${computedValue}' is not a color` }),
+  };
+}
+
+/**
+ * Measure text/background contrast in one context. Translucent backgrounds
+ * are composited over the context's page background
+ * (--ks-background-color-default), which itself sits on white. Without a
+ * background token the page background is used directly.
+ * @param {string} textToken
+ * @param {string|null} backgroundToken
+ * @param {Map<string, Object>} contextLookup - From buildContextLookup()
+ * @param {boolean} largeText - Use the large-text thresholds
+ * @returns {Object} Colors, ratio and AA/AAA pass status, or an error
+ */
+function checkContrastInContext(
+  textToken,
+  backgroundToken,
+  contextLookup,
+  largeText = false,
+) {
+  const canvas = resolveContextColor(CANVAS_BACKGROUND_TOKEN, contextLookup);
+  const canvasColor = canvas.color
+    ? compositeColors(canvas.color, OPAQUE_WHITE)
+    : OPAQUE_WHITE;
+
+  const text = resolveContextColor(textToken, contextLookup);
+  const background = backgroundToken
+    ? resolveContextColor(backgroundToken, contextLookup)
+    : canvas;
+
+  const describe = ({ token, value }) => ({ token, value });
+  if (!text.color || !background.color) {
+    return {
+      text: describe(text),
+      background: describe(background),
+      error: text.error || background.error,
+    };
+  }
+
+  const effectiveBackground = compositeColors(background.color, canvasColor);
+  const ratio = contrastRatio(text.color, effectiveBackground);
+  const size = largeText ? "largeText" : "normalText";
+
+  return {
+    text: describe(text),
+    background: describe(background),
+    ...(background.color.a < 1 && {
+      effectiveBackground: formatCssColor(effectiveBackground),
+    }),
+    ratio: Number(ratio.toFixed(2)),
+    AA: ratio >= WCAG_CONTRAST_LEVELS.AA[size],
+    AAA: ratio >= WCAG_CONTRAST_LEVELS.AAA[size],
+  };
+}
+
+/**
+ * Pair component text color tokens (`--color`) with the background-color
+ * token of the same element, variant and state. A missing state falls back
+ * to the base state, and a missing variant token to the element's token
+ * without variant. Tokens only pair within the same block of the component
+ * (e.g. `--dsa-cookie-consent-dialog` and `-revisit` stay apart). Pairs
+ * without any background token have `backgroundToken: null`.
+ * @param {Array<Object>} componentTokens - From parseAllComponentTokens()
+ * @returns {Array<{component: string, element: string|null, variant: string|null, state: string|null, textToken: string, backgroundToken: string|null}>}
+ */
+function pairComponentColorTokens(componentTokens) {
+  const groups = new Map();
+  for (const token of componentTokens) {
+    if (
+      token.cssProperty !== "color" &&
+      token.cssProperty !== "background-color"
+    ) {
+      continue;
+    }
+    // The name up to the element: the component plus any sub-block
+    let block = token.name
+      .slice(0, token.name.lastIndexOf("--"))
+      .split("__")[0];
+    if (token.variant && block.endsWith(`_${token.variant}`)) {
+      block = block.slice(0, -token.variant.length - 1);
+    }
+    const key = `${block}|${token.element || ""}|${token.variant || ""}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        block,
+        component: token.component,
+        element: token.element,
+        variant: token.variant,
+        color: {},
+        "background-color": {},
+      });
+    }
+    groups.get(key)[token.cssProperty][token.state || "base"] = token.name;
+  }
+
+  const pick = (group, property, state) => {
+    const baseGroup = group.variant
+      ? groups.get(`${group.block}|${group.element || ""}|`)
+      : null;
+    return (
+      group[property][state] ||
+      group[property].base ||
+      baseGroup?.[property][state] ||
+      baseGroup?.[property].base ||
+      null
+    );
+  };
+
+  const pairs = [];
+  for (const group of groups.values()) {
+    const states = new Set([
+      ...Object.keys(group.color),
+      ...Object.keys(group["background-color"]),
+    ]);
+    for (const state of states) {
+      const textToken = pick(group, "color", state);
+      if (!textToken) continue;
+      pairs.push({
+        component: group.component,
+        element: group.element,
+        variant: group.variant,
+        state: state === "base" ? null : state,
+        textToken,
+        backgroundToken: pick(group, "background-color", state),
+      });
+    }
+  }
+  return pairs;
+}
+
+// ============================================================================
+// COLOR DIFFERENCE
+// ============================================================================
+
+/**
+ * Convert an sRGB color to CIELAB (D65 white point).
+ * @param {{r: number, g: number, b: number}} color - Channels 0–255
+ * @returns {{l: number, a: number, b: number}}
+ */
+function rgbToLab({ r, g, b }) {
+  const lr = linearizeSrgbChannel(r);
+  const lg = linearizeSrgbChannel(g);
+  const lb = linearizeSrgbChannel(b);
+  const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+  const y = 0.2126729 * lr + 0.7151522 * lg + 0.072175 * lb;
+  const z = (0.0193339 * lr + 0.119192 * lg + 0.9503041 * lb) / 1.08883;
+  const f = (t) =>
+    t > 216 / 24389 ? Math.cbrt(t) : ((24389 / 27) * t + 16) / 116;
+  return {
+    l: 116 * f(y) - 16,
+    a: 500 * (f(x) - f(y)),
+    b: 200 * (f(y) - f(z)),
+  };
+}
+
+/**
+ * CIEDE2000 color difference between two CIELAB colors.
+ * @param {{l: number, a: number, b: number}} lab1
+ * @param {{l: number, a: number, b: number}} lab2
+ * @returns {number} ΔE00 — below 1 is not perceptible, around 2 is just noticeable
+ */
+function deltaE2000(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const pow7 = (n) => n ** 7;
+
+  const cMean = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2;
+  const g = 0.5 * (1 - Math.sqrt(pow7(cMean) / (pow7(cMean) + pow7(25))));
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const c1 = Math.hypot(a1, lab1.b);
+  const c2 = Math.hypot(a2, lab2.b);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h >= 0 ? h : h + 360;
+  };
+  const h1 = hue(lab1.b, a1);
+  const h2 = hue(lab2.b, a2);
+
+  let dh = 0;
+  if (c1 * c2 !== 0) {
+    dh = h2 - h1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dL = lab2.l - lab1.l;
+  const dC = c2 - c1;
+  const dH = 2 * Math.sqrt(c1 * c2) * Math.sin((dh * rad) / 2);
+
+  const lMean = (lab1.l + lab2.l) / 2;
+  const cpMean = (c1 + c2) / 2;
+  let hMean = h1 + h2;
+  if (c1 * c2 !== 0) {
+    if (Math.abs(h1 - h2) > 180) hMean += hMean < 360 ? 360 : -360;
+    hMean /= 2;
+  }
+
+  const t =
+    1 -
+    0.17 * Math.cos((hMean - 30) * rad) +
+    0.24 * Math.cos(2 * hMean * rad) +
+    0.32 * Math.cos((3 * hMean + 6) * rad) -
+    0.2 * Math.cos((4 * hMean - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hMean - 275) / 25) ** 2));
+  const rc = 2 * Math.sqrt(pow7(cpMean) / (pow7(cpMean) + pow7(25)));
+  const sl =
+    1 + (0.015 * (lMean - 50) ** 2) / Math.sqrt(20 + (lMean - 50) ** 2);
+  const sc = 1 + 0.045 * cpMean;
+  const sh = 1 + 0.015 * cpMean * t;
+  const rt = -Math.sin(2 * dTheta * rad) * rc;
+
+  return Math.sqrt(
+    (dL / sl) ** 2 +
+      (dC / sc) ** 2 +
+      (dH / sh) ** 2 +
+      rt * (dC / sc) * (dH / sh),
+  );
+}
+
+/**
+ * Perceptual distance between two colors. Translucent colors are composited
+ * over white first, like they would appear on the default canvas.
+ * @param {{r: number, g: number, b: number, a: number}} from
+ * @param {{r: number, g: number, b: number, a: number}} to
+ * @returns {{deltaE: number, perception: string}}
+ */
+function colorDifference(from, to) {
+  const deltaE = deltaE2000(
+    rgbToLab(compositeColors(from, OPAQUE_WHITE)),
+    rgbToLab(compositeColors(to, OPAQUE_WHITE)),
+  );
+  let perception;
+  if (deltaE < 1) perception = "not perceptible";
+  else if (deltaE < 2) perception = "perceptible through close observation";
+  else if (deltaE < 10) perception = "perceptible at a glance";
+  else if (deltaE < 50) perception = "clearly different";
+  else perception = "opposite colors";
+  return { deltaE: Number(deltaE.toFixed(2)), perception };
+}
+
+// ============================================================================
+// DTCG EXPORT
+// ============================================================================
+
+/** $extensions key for CSS details that DTCG can't express */
+const DTCG_EXTENSION_KEY = "com.kickstartds.css";
+
+/** DTCG $type of the global categories whose tokens all share one type */
+const DTCG_CATEGORY_TYPES = {
+  color: "color",
+  "background-color": "color",
+  "text-color": "color",
+  "border-color": "color",
+  "font-size": "dimension",
+  spacing: "dimension",
+  scaling: "number",
+};
+
+/**
+ * DTCG $type by token name or CSS property, checked in order. Factors and
+ * ratios come first since they are unitless even in dimension categories.
+ */
+const DTCG_NAME_TYPES = [
+  [/\b(factor|ratio|scale|opacity|z-index|line-height)\b/, "number"],
+  [/\bfont-family\b/, "fontFamily"],
+  [/\bfont-weight\b/, "fontWeight"],
+  [/\b(duration|delay)\b/, "duration"],
+  [/\b(timing|easing)\b/, "cubicBezier"],
+  [/\bshadow\b/, "shadow"],
+  [/\b(color|background|fill|stroke)\b/, "color"],
+  [
+    /\b(radius|width|height|size|spacing|gap|padding|margin|offset|inset|breakpoint|blur|font)\b/,
+    "dimension",
+  ],
+];
+
+/** Control points of the CSS easing keywords */
+const CSS_EASING_KEYWORDS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  "ease-in": [0.42, 0, 1, 1],
+  "ease-out": [0, 0, 0.58, 1],
+  "ease-in-out": [0.42, 0, 0.58, 1],
+};
+
+/**
+ * Infer the DTCG $type of a token from its category and name.
+ * @param {string} category - Global token category
+ * @param {string} name - Token name, or the CSS property for component tokens
+ * @returns {string|null}
+ */
+function inferDtcgType(category, name) {
+  for (const [pattern, type] of DTCG_NAME_TYPES) {
+    if (pattern.test(name)) return type;
+  }
+  return DTCG_CATEGORY_TYPES[category] || null;
+}
+
+/**
+ * Convert a concrete CSS value into the DTCG value of a type.
+ * @param {string} type - DTCG $type
+ * @param {string} value - CSS value without var() references
+ * @returns {*} The DTCG value, or undefined if the value doesn't fit the type
+ */
+function toDtcgValue(type, value) {
+  const trimmed = value.trim();
+  switch (type) {
+    case "color": {
+      const color = parseCssColor(trimmed);
+      return color ? formatCssColor(color) : undefined;
+    }
+    case "dimension":
+      if (trimmed === "0") return "0px";
+      return /^-?[\d.]+(px|rem)$/.test(trimmed) ? trimmed : undefined;
+    case "number":
+      return /^-?[\d.]+$/.test(trimmed) ? Number(trimmed) : undefined;
+    case "fontWeight":
+      if (/^\d+$/.test(trimmed)) return Number(trimmed);
+      return /^(normal|bold|lighter|bolder)$/.test(trimmed)
+        ? trimmed
+        : undefined;
+    case "fontFamily":
+      return trimmed.includes("(") ? undefined : trimmed;
+    case "duration":
+      return /^[\d.]+m?s$/.test(trimmed) ? trimmed : undefined;
+    case "cubicBezier": {
+      if (CSS_EASING_KEYWORDS[trimmed]) return CSS_EASING_KEYWORDS[trimmed];
+      const match = trimmed.match(/^cubic-bezier\((.*)\)$/);
+      const points = match?.[1].split(",").map((n) => Number(n.trim()));
+      return points?.length === 4 && points.every(Number.isFinite)
+        ? points
+        : undefined;
+    }
+    default:
+      // Composite types like shadow need structured values
+      return undefined;
+  }
+}
+
+/**
+ * Serialize tokens into the W3C Design Tokens Community Group format. Global
+ * tokens are grouped by category, component tokens by component. A value
+ * that is a single var() becomes an alias (`{group.token}`); other
+ * expressions are exported as their computed value, with the CSS source kept
+ * in $extensions. Comments become $description.
+ * @param {Object} [options]
+ * @param {string} [options.include] - "all", "global" or "components"
+ * @param {string|null} [options.category] - Only export this global token or component category
+ * @param {string|null} [options.component] - Only export this component
+ * @param {string|null} [options.theme] - Theme for the branding tokens
+ * @returns {Promise<{document: Object, summary: Object}>}
+ */
+async function exportDtcgTokens(options = {}) {
+  const {
+    include = "all",
+    category = null,
+    component = null,
+    theme = null,
+  } = options;
+  const lookup = await buildTokenLookup(theme);
+  const registry = await loadComponentRegistry();
+
+  // name → {group, type source, data}
+  const entries = new Map();
+  if (include !== "components" && !component) {
+    for (const [name, data] of (await parseAllTokens(null, theme)).entries()) {
+      if (category && data.category !== category) continue;
+      entries.set(name, {
+        group: data.category,
+        typeName: name,
+        category: data.category,
+        data,
+      });
+    }
+  }
+  if (include !== "global") {
+    const globalGroups = new Set(
+      Object.values(TOKEN_FILES).map((config) => config.category),
+    );
+    for (const token of await parseAllComponentTokens(component)) {
+      if (category && token.category !== category) continue;
+      entries.set(token.name, {
+        group: globalGroups.has(token.component)
+          ? `component-${token.component}`
+          : token.component,
+        typeName: token.cssProperty || token.name,
+        category: null,
+        component: token.component,
+        data: lookup.get(token.name) || token,
+      });
+    }
+  }
+  if (entries.size === 0) {
+    throw new Error("No tokens match the export filters");
+  }
+
+  const dtcgName = (name) => name.replace(/^--/, "");
+  const summary = {
+    tokens: entries.size,
+    groups: 0,
+    aliases: 0,
+    computed: 0,
+    untyped: 0,
+  };
+
+  // First pass: aliases and concrete values
+  const exported = new Map();
+  for (const [name, entry] of entries.entries()) {
+    const { value } = entry.data;
+    const alias = value
+      .trim()
+      .match(/^var\(\s*(--[a-zA-Z0-9_-]+)\s*(,.*)?\)$/);
+    if (alias && entries.has(alias[1])) {
+      // A fallback can't be expressed, so the CSS source is kept
+      exported.set(name, { aliasOf: alias[1], keepSource: Boolean(alias[2]) });
+      continue;
+    }
+
+    let concrete = value;
+    if (/\(/.test(value)) {
+      const { computedValue } = computeTokenValue(name, lookup);
+      if (computedValue !== null) concrete = computedValue;
+    }
+    const type = inferDtcgType(entry.category, entry.typeName);
+    const dtcgValue = type ? toDtcgValue(type, concrete) : undefined;
+    exported.set(name, {
+      type: dtcgValue === undefined ? null : type,
+      value: dtcgValue === undefined ? concrete : dtcgValue,
+      computed: concrete !== value,
+      keepSource: concrete !== value,
+    });
+  }
+
+  // Second pass: build the document; aliases take the type of their target
+  const document = {};
+  for (const [name, entry] of entries.entries()) {
+    const result = exported.get(name);
+    let type = result.type;
+    let $value = result.value;
+    if (result.aliasOf) {
+      const target = entries.get(result.aliasOf);
+      $value = `{${target.group}.${dtcgName(result.aliasOf)}}`;
+      const seen = new Set([name]);
+      let current = exported.get(result.aliasOf);
+      let currentName = result.aliasOf;
+      while (current?.aliasOf && !seen.has(currentName)) {
+        seen.add(currentName);
+        currentName = current.aliasOf;
+        current = exported.get(currentName);
+      }
+      type = current?.aliasOf ? null : current?.type || null;
+      summary.aliases++;
+    } else if (result.computed) {
+      summary.computed++;
+    }
+    if (!type) summary.untyped++;
+
+    if (!document[entry.group]) {
+      const description = entry.component
+        ? registry.files[entry.component]?.description
+        : Object.values(TOKEN_FILES).find(
+            (config) => config.category === entry.group,
+          )?.description;
+      document[entry.group] = description ? { $description: description } : {};
+      summary.groups++;
+    }
+
+    const contexts = entry.data.contexts || {};
+    const extension = {
+      ...(result.keepSource && { value: entry.data.value }),
+      ...(new Set(Object.values(contexts)).size > 1 && { contexts }),
+    };
+    document[entry.group][dtcgName(name)] = {
+      $value,
+      ...(type && { $type: type }),
+      ...(entry.data.comment && { $description: entry.data.comment }),
+      ...(Object.keys(extension).length > 0 && {
+        $extensions: { [DTCG_EXTENSION_KEY]: extension },
+      }),
+    };
+  }
+
+  return { document, summary };
+}
+
+// ============================================================================
+// DTCG IMPORT
+// ============================================================================
+
+/**
+ * Branding CSS properties that hold their JSON value as is (colors, font
+ * stacks, base sizes, weights, breakpoints), so they map back onto a JSON
+ * path. Factors are derived and can't be imported directly.
+ */
+const DIRECT_BRANDING_PROPERTY_PATTERN =
+  /^--ks-brand-(color-|font-family-|font-size-.+-base$|font-weight-|breakpoint-)/;
+
+/**
+ * Collect the tokens of a DTCG document. Group $type is inherited; keys
+ * starting with "$" (like Tokens Studio's $themes and $metadata) are skipped.
+ * @param {Object} document - Parsed .tokens.json
+ * @returns {Map<string, {value: *, type: string|null, cssSource: string|null}>} Keyed by dot path; cssSource is the CSS value export_tokens keeps in $extensions
+ */
+function flattenDtcgTokens(document) {
+  const tokens = new Map();
+  const walk = (group, prefix, inheritedType) => {
+    const groupType = group.$type || inheritedType;
+    for (const [key, node] of Object.entries(group)) {
+      if (key.startsWith("$") || node === null || typeof node !== "object") {
+        continue;
+      }
+      const tokenPath = prefix ? `${prefix}.${key}` : key;
+      if ("$value" in node) {
+        tokens.set(tokenPath, {
+          value: node.$value,
+          type: node.$type || groupType || null,
+          cssSource: node.$extensions?.[DTCG_EXTENSION_KEY]?.value || null,
+        });
+      } else {
+        walk(node, tokenPath, groupType);
+      }
+    }
+  };
+  walk(document, "", null);
+  return tokens;
+}
+
+/**
+ * Follow DTCG aliases (`{group.token}`) to a concrete value.
+ * @param {Map<string, Object>} tokens - From flattenDtcgTokens()
+ * @param {string} tokenPath
+ * @returns {{value: *, type: string|null}}
+ * @throws {Error} On missing targets and alias cycles
+ */
+function resolveDtcgValue(tokens, tokenPath) {
+  const seen = new Set();
+  let current = tokenPath;
+  for (;;) {
+    if (seen.has(current)) {
+      throw new Error(`Alias cycle through {${current}}`);
+    }
+    seen.add(current);
+    const token = tokens.get(current);
+    if (!token) throw new Error(`Alias target {${current}} not found`);
+    const alias =
+      typeof token.value === "string" && token.value.match(/^\{([^{}]+)\}$/);
+    if (!alias) {
+      return {
+        value: token.value,
+        type: tokens.get(tokenPath).type || token.type,
+      };
+    }
+    current = alias[1];
+  }
+}
+
+/**
+ * Convert a DTCG value to a CSS value. Handles the string forms and the
+ * structured dimension, duration, color and shadow objects.
+ * @param {*} value
+ * @param {string|null} type - DTCG $type
+ * @returns {string|null} null if the value can't be expressed in CSS
+ */
+function dtcgValueToCss(value, type) {
+  if (typeof value === "number") return formatCssNumber(value);
+  if (typeof value === "string") return value.trim();
+  if (Array.isArray(value)) {
+    if (type === "cubicBezier" && value.length === 4) {
+      return `cubic-bezier(${value.join(", ")})`;
+    }
+    if (type === "fontFamily") {
+      return value
+        .map((family) => (/\s/.test(family) ? `"${family}"` : family))
+        .join(", ");
+    }
+    if (type === "shadow") {
+      const layers = value.map((layer) => dtcgValueToCss(layer, type));
+      return layers.every(Boolean) ? layers.join(", ") : null;
+    }
+    return null;
+  }
+  if (value && typeof value === "object") {
+    if ("unit" in value && typeof value.value === "number") {
+      return `${formatCssNumber(value.value)}${value.unit}`;
+    }
+    if (type === "color" && value.hex) return value.hex;
+    if (type === "color" && Array.isArray(value.components)) {
+      if (value.colorSpace && value.colorSpace !== "srgb") return null;
+      const [r, g, b] = value.components.map((c) => c * 255);
+      return formatCssColor({ r, g, b, a: value.alpha ?? 1 });
+    }
+    if (type === "shadow" && value.color !== undefined) {
+      const parts = [
+        value.inset ? "inset" : null,
+        dtcgValueToCss(value.offsetX, "dimension"),
+        dtcgValueToCss(value.offsetY, "dimension"),
+        dtcgValueToCss(value.blur, "dimension"),
+        dtcgValueToCss(value.spread, "dimension"),
+        dtcgValueToCss(value.color, "color"),
+      ];
+      return parts.includes(null) ? null : parts.filter(Boolean).join(" ");
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether an imported CSS value means the same as the current one,
+ * so values that only differ in notation (`#fff` and `#ffffff`, `ease-out`
+ * and its cubic-bezier()) aren't reported as changes.
+ * @param {string} current
+ * @param {string} imported
+ * @returns {boolean}
+ */
+function cssValuesEquivalent(current, imported) {
+  if (brandingValuesMatch(current, imported)) return true;
+  const zero = /^0(px|rem|em|%)?$/;
+  if (zero.test(current.trim()) && zero.test(imported.trim())) return true;
+  const easing = CSS_EASING_KEYWORDS[current.trim()];
+  return Boolean(
+    easing &&
+      imported.replace(/\s+/g, "") === `cubic-bezier(${easing.join(",")})`,
+  );
+}
+
+/**
+ * Convert a CSS value into the JSON type a branding path already uses:
+ * numbers stay numbers (px and rem are converted to px), everything else is
+ * kept as a string.
+ * @param {*} current - Current value at the path, undefined for new paths
+ * @param {string} cssValue
+ * @returns {*} undefined if the value doesn't fit
+ */
+function toBrandingImportValue(current, cssValue) {
+  const length = cssValue.match(/^(-?[\d.]+)(px|rem)?$/);
+  if (typeof current === "number" || (current === undefined && length)) {
+    if (!length) return undefined;
+    const n = parseFloat(length[1]);
+    return length[2] === "rem" ? n * ROOT_FONT_SIZE_PX : n;
+  }
+  if (typeof current === "string" && parseCssColor(current)) {
+    const color = parseCssColor(cssValue);
+    if (!color) return undefined;
+    // Keep the current spelling if only the notation differs
+    return formatCssColor(color) === formatCssColor(parseCssColor(current))
+      ? current
+      : cssValue;
+  }
+  return cssValue;
+}
+
+/**
+ * Find where a DTCG token belongs in this design system. Each trailing part
+ * of its path, as is and with camelCase converted to kebab-case, is tried as
+ * a branding JSON path, then as a --ks-brand-* property, then as an existing
+ * token name with or without the "ks-" prefix.
+ * @param {string} tokenPath - DTCG dot path, e.g. "color.primary"
+ * @param {Object} context
+ * @param {Set<string>} context.brandingPaths
+ * @param {Map<string, string>} context.brandPropertyPaths - Direct --ks-brand-* property → JSON path
+ * @param {Map<string, Object>} context.lookup - From buildTokenLookup()
+ * @returns {{kind: string, path?: string, token?: string, reason?: string}}
+ */
+function mapDtcgToken(tokenPath, context) {
+  const segments = tokenPath.split(".");
+  const kebabSegments = segments.map((segment) =>
+    segment.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase(),
+  );
+
+  const variants = [];
+  for (let start = 0; start < segments.length; start++) {
+    variants.push(segments.slice(start), kebabSegments.slice(start));
+  }
+  for (const variant of variants) {
+    if (context.brandingPaths.has(variant.join("."))) {
+      return { kind: "branding", path: variant.join(".") };
+    }
+
+    const joined = variant.join("-");
+    for (const name of [`--${joined}`, `--ks-${joined}`]) {
+      if (context.brandPropertyPaths.has(name)) {
+        return { kind: "branding", path: context.brandPropertyPaths.get(name) };
+      }
+      if (name.startsWith("--ks-brand-") && context.lookup.has(name)) {
+        return {
+          kind: "unmapped",
+          token: name,
+          reason: `${name} is a branding property without a matching branding-token.json path; change its source in branding-token.json or edit it with update_token`,
+        };
+      }
+      if (context.lookup.has(name)) return { kind: "token", token: name };
+    }
+  }
+  return {
+    kind: "unmapped",
+    reason: "No branding-token.json path or existing token matches this name",
+  };
+}
+
+/**
+ * Import a DTCG document. Brand-level values are mapped onto
+ * branding-token.json paths (the paths of getBrandingSchemaDescription plus
+ * those in the current config), other tokens onto existing tokens by name.
+ * Aliases to tokens that map onto a token become var() references. Nothing
+ * is written unless `apply` is set, and nothing at all if validation fails:
+ * every file, including the regenerated branding CSS, is staged first.
+ * @param {Object} document - Parsed .tokens.json
+ * @param {Object} [options]
+ * @param {boolean} [options.apply=false] - Write the changes
+ * @param {boolean} [options.force=false] - Write even if token validation reports errors
+ * @param {boolean} [options.regenerateCss=false] - Regenerate the branding CSS from the imported branding values
+ * @param {string|null} [options.theme] - Theme to import the branding values into
+ * @param {Object} [options.changeSet] - Journal the writes into this change set
+ * @returns {Promise<Object>} Branding and token changes, diffs and unmapped tokens
+ */
+async function importDtcgTokens(document, options = {}) {
+  const { apply = false, force = false, regenerateCss = false } = options;
+  const theme = options.theme || null;
+  const dtcgTokens = flattenDtcgTokens(document);
+  if (dtcgTokens.size === 0) {
+    throw new Error("The document contains no DTCG tokens ($value entries)");
+  }
+
+  const config = await readBrandingJson(theme);
+  const brandingPaths = new Set([
+    ...Object.keys(getBrandingSchemaDescription()),
+    ...flattenJsonConfig(config).map((item) => item.path),
+  ]);
+  // Direct --ks-brand-* property → JSON path, and JSON path → mapping entry
+  const brandPropertyPaths = new Map();
+  const directMapping = new Map();
+  for (const entry of buildBrandingCssMapping(
+    config,
+    await loadScalingMaxima(),
+  )) {
+    if (DIRECT_BRANDING_PROPERTY_PATTERN.test(entry.property)) {
+      brandPropertyPaths.set(entry.property, entry.path);
+      directMapping.set(entry.path, entry);
+    }
+  }
+  const lookup = await buildTokenLookup(theme);
+  const context = { brandingPaths, brandPropertyPaths, lookup };
+
+  // CSS token an alias target stands for, if any
+  const aliasTargetToken = (targetPath) => {
+    const target = mapDtcgToken(targetPath, context);
+    if (target.kind === "branding") {
+      return directMapping.get(target.path)?.property;
+    }
+    // Generated branding properties can't be imported, but referenced
+    return target.token || null;
+  };
+
+  const brandingChanges = [];
+  const tokenChanges = [];
+  const unmapped = [];
+  const notes = [];
+  const targets = new Map();
+  let unchanged = 0;
+  for (const [tokenPath, token] of dtcgTokens.entries()) {
+    const mapping = mapDtcgToken(tokenPath, context);
+    if (mapping.kind === "unmapped") {
+      unmapped.push({ token: tokenPath, reason: mapping.reason });
+      continue;
+    }
+    const targetKey = mapping.path || mapping.token;
+    if (targets.has(targetKey)) {
+      unmapped.push({
+        token: tokenPath,
+        reason: `Maps to ${targetKey}, which ${targets.get(targetKey)} already sets`,
+      });
+      continue;
+    }
+
+    let resolved;
+    try {
+      resolved = resolveDtcgValue(dtcgTokens, tokenPath);
+    } catch (error) {
+      unmapped.push({ token: tokenPath, reason: error.message });
+      continue;
+    }
+    const cssValue = dtcgValueToCss(resolved.value, resolved.type);
+    if (cssValue === null) {
+      unmapped.push({
+        token: tokenPath,
+        reason: `Value of type ${resolved.type || "unknown"} can't be expressed in CSS`,
+      });
+      continue;
+    }
+
+    if (mapping.kind === "branding") {
+      const value = toBrandingImportValue(
+        getNestedValue(config, mapping.path),
+        cssValue,
+      );
+      if (value === undefined) {
+        unmapped.push({
+          token: tokenPath,
+          reason: `Value ${JSON.stringify(cssValue)} doesn't fit branding path ${mapping.path}`,
+        });
+        continue;
+      }
+      // A value the branding CSS already has, e.g. from an export, is no
+      // change, even where the CSS is out of sync with the JSON; that drift
+      // is noted as check_branding_sync reports it
+      const entry = directMapping.get(mapping.path);
+      const currentCss = entry && lookup.get(entry.property)?.value;
+      const jsonValue = getNestedValue(config, mapping.path);
+      if (
+        currentCss &&
+        cssValuesEquivalent(currentCss, cssValue) &&
+        value !== jsonValue
+      ) {
+        let expected = null;
+        try {
+          expected = entry.derive(jsonValue, mapping.path);
+        } catch {
+          // Invalid JSON value: the CSS can't match it either
+        }
+        if (!expected || !brandingValuesMatch(expected, currentCss)) {
+          notes.push(
+            `${tokenPath}: ${entry.property} is ${currentCss} in the branding CSS, but ${mapping.path} is ${JSON.stringify(jsonValue)} in the branding JSON; not imported, see check_branding_sync`,
+          );
+        }
+        targets.set(targetKey, tokenPath);
+        unchanged++;
+        continue;
+      }
+      targets.set(targetKey, tokenPath);
+      brandingChanges.push({ path: mapping.path, value, source: tokenPath });
+      continue;
+    }
+
+    // Files from export_tokens carry the original CSS, which round-trips
+    // expressions; otherwise aliases become var() references where the
+    // target maps onto a token
+    let value = cssValue;
+    if (token.cssSource) {
+      value = token.cssSource;
+    } else if (
+      typeof token.value === "string" &&
+      /\{[^{}]+\}/.test(token.value)
+    ) {
+      const references = [...token.value.matchAll(/\{([^{}]+)\}/g)];
+      const mapped = references.map((match) => aliasTargetToken(match[1]));
+      if (mapped.every(Boolean)) {
+        value = references.reduce(
+          (result, match, i) => result.replace(match[0], `var(${mapped[i]})`),
+          token.value,
+        );
+      } else if (token.value.match(/^\{[^{}]+\}$/)) {
+        notes.push(
+          `${tokenPath}: alias target ${token.value} has no matching token, importing its resolved value`,
+        );
+      } else {
+        unmapped.push({
+          token: tokenPath,
+          reason: `References in ${token.value} have no matching tokens`,
+        });
+        continue;
+      }
+    }
+    targets.set(targetKey, tokenPath);
+    tokenChanges.push({ token: mapping.token, value, source: tokenPath });
+  }
+
+  // Token files: rewrite the primary declaration of each token (the one
+  // the token's value is read from), one combined diff per file
+  const fileEdits = new Map();
+  const tokenResults = [];
+  const validationErrors = [];
+  const validationWarnings = [];
+  for (const change of tokenChanges) {
+    const declarations = await findTokenDeclarations(change.token, theme);
+    const target = selectPrimaryDeclaration(declarations);
+    if (cssValuesEquivalent(target.value, change.value)) {
+      unchanged++;
+      continue;
+    }
+    const validation = await validateTokenUpdate(
+      change.token,
+      change.value,
+      target,
+    );
+    for (const error of validation.errors) {
+      validationErrors.push({ token: change.token, ...error });
+    }
+    for (const warning of validation.warnings) {
+      validationWarnings.push({ token: change.token, ...warning });
+    }
+    if (!fileEdits.has(target.filePath)) {
+      fileEdits.set(target.filePath, { file: target.file, edits: [] });
+    }
+    fileEdits.get(target.filePath).edits.push({ target, change });
+    tokenResults.push({
+      token: change.token,
+      source: change.source,
+      file: target.file,
+      selector: declarationBlockLabel(target),
+      oldValue: target.value,
+      newValue: change.value,
+    });
+  }
+
+  const files = [];
+  for (const [filePath, { file, edits }] of fileEdits.entries()) {
+    const original = await fs.readFile(filePath, "utf-8");
+    // Bottom-up, so earlier line numbers stay valid
+    edits.sort((a, b) => b.target.line - a.target.line);
+    let updated = original;
+    for (const { target, change } of edits) {
+      updated = rewriteTokenDeclaration(
+        updated,
+        target,
+        change.token,
+        change.value,
+      );
+    }
+    files.push({
+      filePath,
+      file,
+      updated,
+      diff: createUnifiedDiff(file, original, updated),
+    });
+  }
+
+  // Branding JSON (and the CSS derived from it): validated and staged like
+  // a theme patch, then written with the token files
+  let staged = null;
+  let brandingError = null;
+  if (brandingChanges.length > 0) {
+    try {
+      staged = await stageThemePatch(brandingChanges, {
+        theme,
+        regenerateCss,
+      });
+    } catch (error) {
+      brandingError = error.message.replace(
+        /^Theme patch rejected, nothing was written: /,
+        "",
+      );
+    }
+  }
+
+  const blocked =
+    brandingError !== null || (validationErrors.length > 0 && !force);
+  if (apply && blocked) {
+    throw new Error(
+      `Import rejected, nothing was written: ${[
+        brandingError,
+        ...validationErrors.map((e) => `${e.token}: ${e.message}`),
+      ]
+        .filter(Boolean)
+        .join("; ")}`,
+    );
+  }
+
+  // Every file's content is staged above, so a write can only fail on I/O
+  if (apply) {
+    for (const { filePath, updated } of files) {
+      await writeSourceFile(filePath, updated, options.changeSet);
+    }
+    if (staged) {
+      await writeThemePatch(staged, options.changeSet, theme);
+    }
+  }
+  const branding = staged && describeThemePatch(staged, !apply);
+  const cssRegeneration = branding?.cssRegeneration || null;
+
+  return {
+    dryRun: !apply,
+    summary: {
+      dtcgTokens: dtcgTokens.size,
+      brandingChanges: branding ? branding.applied.length : 0,
+      tokenChanges: tokenResults.length,
+      unchanged: unchanged + (branding ? branding.unchanged.length : 0),
+      unmapped: unmapped.length,
+    },
+    branding: {
+      changes: (branding?.applied || []).map((change) => ({
+        ...change,
+        source: targets.get(change.path),
+      })),
+      ...(branding?.diff && { diff: branding.diff }),
+      ...(brandingError && { error: brandingError }),
+    },
+    tokens: tokenResults,
+    diffs: files.map(({ file, diff }) => ({ file, diff })),
+    validation: {
+      errors: validationErrors,
+      warnings: validationWarnings,
+    },
+    ...(notes.length > 0 && { notes }),
+    unmapped,
+    ...(cssRegeneration && { cssRegeneration }),
+  };
+}
+
+// ============================================================================
+// TAILWIND CONFIG EXPORT
+// ============================================================================
+
+/** theme.extend keys for the color categories, by TOKEN_FILES category */
+const TAILWIND_COLOR_CATEGORIES = {
+  color: { key: "colors", prefix: "--ks-color-" },
+  "background-color": {
+    key: "backgroundColor",
+    prefix: "--ks-background-color-",
+  },
+  "text-color": { key: "textColor", prefix: "--ks-text-color-" },
+  "border-color": { key: "borderColor", prefix: "--ks-border-color-" },
+};
+
+/** Tailwind config formats */
+const TAILWIND_CONFIG_FORMATS = ["cjs", "esm", "json"];
+
+/**
+ * Build a Tailwind `theme.extend` object whose values refer back to the
+ * --ks-* custom properties, so utilities follow the token CSS (including
+ * inverted sections and themes). Colors come from the TOKEN_FILES color
+ * categories, the scales from the governance rules. Screens are pixel values
+ * from the branding breakpoints, since media queries can't read custom
+ * properties.
+ * @param {Object} [options]
+ * @param {string|null} [options.theme] - Theme for the tokens and breakpoints
+ * @returns {Promise<{extend: Object, summary: Object}>}
+ */
+async function buildTailwindThemeExtend(options = {}) {
+  const { theme = null } = options;
+  const tokens = await parseAllTokens(null, theme);
+  const rules = await loadDesignRules();
+  const findRule = (id) => rules.find((r) => r.id === id);
+
+  const extend = {};
+  const missing = [];
+  const addToken = (section, key, tokenName, value = null) => {
+    if (!tokens.has(tokenName)) {
+      missing.push(tokenName);
+      return;
+    }
+    if (!extend[section]) extend[section] = {};
+    extend[section][key] = value || `var(${tokenName})`;
+  };
+
+  // Colors: the public tokens of each color category; `-base` tokens are
+  // the raw values behind the context-switching (inverted) ones
+  for (const [category, { key, prefix }] of Object.entries(
+    TAILWIND_COLOR_CATEGORIES,
+  )) {
+    for (const [name, data] of tokens.entries()) {
+      if (data.category !== category || !name.startsWith(prefix)) continue;
+      if (name.endsWith("-base")) continue;
+      addToken(key, name.slice(prefix.length), name);
+    }
+  }
+
+  const spacingRule = findRule("spacing-scale");
+  for (const { token } of spacingRule?.scale || []) {
+    addToken("spacing", token.replace(/^--ks-spacing-/, ""), token);
+  }
+  for (const [type, { sizes = [] }] of Object.entries(
+    spacingRule?.spacingTypes || {},
+  )) {
+    for (const size of sizes) {
+      addToken("spacing", `${type}-${size}`, `--ks-spacing-${type}-${size}`);
+    }
+  }
+
+  const fontFamilyRule = findRule("font-family-roles");
+  for (const token of Object.keys(fontFamilyRule?.tokens || {})) {
+    addToken("fontFamily", token.replace(/^--ks-font-family-/, ""), token);
+  }
+
+  // Font sizes carry the line-height of the same typography category
+  const typographyRule = findRule("typography-pairing");
+  for (const [role, config] of Object.entries(
+    typographyRule?.categories || {},
+  )) {
+    for (const size of config.sizes || []) {
+      const fontSize = config.fontSizePattern.replace("*", size);
+      const lineHeight = config.lineHeightPattern?.replace("*", size);
+      addToken(
+        "fontSize",
+        `${role}-${size}`,
+        fontSize,
+        lineHeight && tokens.has(lineHeight)
+          ? [`var(${fontSize})`, { lineHeight: `var(${lineHeight})` }]
+          : null,
+      );
+    }
+  }
+
+  const radiusRule = findRule("border-radius-scale");
+  for (const { token } of radiusRule?.scale || []) {
+    addToken("borderRadius", token.replace(/^--ks-border-radius-/, ""), token);
+  }
+
+  const elevationRule = findRule("elevation-hierarchy");
+  for (const { token, hoverToken } of elevationRule?.scale || []) {
+    for (const name of [token, hoverToken].filter(Boolean)) {
+      addToken("boxShadow", name.replace(/^--ks-box-shadow-/, ""), name);
+    }
+  }
+
+  const branding = await readBrandingJson(theme);
+  const breakpoints = Object.entries(branding.breakpoints || {}).sort(
+    ([, a], [, b]) => a - b,
+  );
+  if (breakpoints.length > 0) {
+    extend.screens = Object.fromEntries(
+      breakpoints.map(([name, width]) => [name, `${width}px`]),
+    );
+  }
+
+  for (const [name, data] of tokens.entries()) {
+    if (data.category === "transition" && name.startsWith("--ks-duration-")) {
+      addToken("transitionDuration", name.replace(/^--ks-duration-/, ""), name);
+    }
+  }
+
+  const summary = {
+    sections: Object.fromEntries(
+      Object.entries(extend).map(([section, values]) => [
+        section,
+        Object.keys(values).length,
+      ]),
+    ),
+    ...(missing.length > 0 && { missingTokens: missing }),
+  };
+  return { extend, summary };
+}
+
+/**
+ * Render a Tailwind config that extends the theme.
+ * @param {Object} extend - The theme.extend object
+ * @param {string} format - "cjs", "esm" or "json"
+ * @returns {string}
+ */
+function renderTailwindConfig(extend, format) {
+  const config = { theme: { extend } };
+  if (format === "json") return JSON.stringify(config, null, 2);
+
+  // Unquote keys that are valid identifiers, as in a hand-written config
+  const body = JSON.stringify(config, null, 2).replace(
+    /^(\s*)"([A-Za-z_$][\w$]*)":/gm,
+    "$1$2:",
+  );
+  const header = "/** @type {import('tailwindcss').Config} */\n";
+  return format === "esm"
+    ? `${header}export default ${body};\n`
+    : `${header}module.exports = ${body};\n`;
+}
+
+// ============================================================================
+// TOKEN CONSTANTS EXPORT
+// ============================================================================
+
+/** Module formats of the token constants export */
+const TOKEN_CONSTANTS_FORMATS = ["ts", "js"];
+
+/** Key of a token whose path is also the parent of more specific tokens */
+const TOKEN_CONSTANTS_DEFAULT_KEY = "default";
+
+/**
+ * Convert a kebab-case or snake_case name part into a camelCase key.
+ * @param {string} part - e.g. "background-color" or "copy__icon"
+ * @returns {string} e.g. "backgroundColor" or "copyIcon"
+ */
+function toCamelCaseKey(part) {
+  return part
+    .replace(/^[-_]+/, "")
+    .replace(/[-_.]+([a-zA-Z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Insert a token into a constants tree of Maps. A token whose path is also
+ * the parent of other tokens moves to their `default` key.
+ * @param {Map} tree - Root group
+ * @param {string[]} keys - Path of the token
+ * @param {Object} entry - Token record
+ * @returns {boolean} False if the path is already taken
+ */
+function insertTokenConstant(tree, keys, entry) {
+  let group = tree;
+  for (const key of keys.slice(0, -1)) {
+    let child = group.get(key);
+    if (!(child instanceof Map)) {
+      const leaf = child;
+      child = new Map(leaf ? [[TOKEN_CONSTANTS_DEFAULT_KEY, leaf]] : []);
+      group.set(key, child);
+    }
+    group = child;
+  }
+
+  const key = keys[keys.length - 1];
+  const existing = group.get(key);
+  if (existing === undefined) {
+    group.set(key, entry);
+    return true;
+  }
+  if (
+    existing instanceof Map &&
+    !existing.has(TOKEN_CONSTANTS_DEFAULT_KEY)
+  ) {
+    existing.set(TOKEN_CONSTANTS_DEFAULT_KEY, entry);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Render a JSDoc block from a token's comment and section.
+ * @param {{comment?: string, section?: string}} entry
+ * @param {string} indent
+ * @returns {string} The block, or "" if there is nothing to document
+ */
+function renderTokenConstantDoc(entry, indent) {
+  const lines = [
+    ...(entry.comment ? entry.comment.split("\n") : []),
+    ...(entry.section ? [`@section ${entry.section}`] : []),
+  ].map((line) => line.trim().replace(/\*\//g, "*\\/"));
+  if (lines.length === 0) return "";
+  if (lines.length === 1) return `${indent}/** ${lines[0]} */\n`;
+  const body = lines.map((line) => `${indent} * ${line}`).join("\n");
+  return `${indent}/**\n${body}\n${indent} */\n`;
+}
+
+/**
+ * Render a constants tree as an object literal.
+ * @param {Map} group
+ * @param {number} depth
+ * @returns {string}
+ */
+function renderTokenConstantGroup(group, depth) {
+  const indent = "  ".repeat(depth + 1);
+  const renderKey = (key) =>
+    /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+  const members = [...group.entries()].map(([key, value]) =>
+    value instanceof Map
+      ? `${indent}${renderKey(key)}: ${renderTokenConstantGroup(value, depth + 1)},`
+      : `${renderTokenConstantDoc(value, indent)}${indent}${renderKey(key)}: ${JSON.stringify(value.name)},`,
+  );
+  return `{\n${members.join("\n")}\n${"  ".repeat(depth)}}`;
+}
+
+/**
+ * Generate a TypeScript or JavaScript module with the token names as
+ * constants: a string-literal union of every name, and a `tokens` object
+ * with global tokens grouped by category and component tokens nested by
+ * component, element, variant, property and state (e.g.
+ * `tokens.button.primary.backgroundColor.hover`). Built from the same
+ * records as get_component_tokens.
+ * @param {Object} [options]
+ * @param {string} [options.format] - "ts" or "js"
+ * @param {string} [options.include] - "all", "global" or "components"
+ * @param {string|null} [options.component] - Only export this component
+ * @param {string|null} [options.theme] - Theme for the branding tokens
+ * @returns {Promise<{module: string, summary: Object}>}
+ */
+async function exportTokenConstants(options = {}) {
+  const {
+    format = "ts",
+    include = "all",
+    component = null,
+    theme = null,
+  } = options;
+
+  const tree = new Map();
+  const names = { global: [], component: [] };
+  const renamed = [];
+
+  if (include !== "components" && !component) {
+    for (const [name, data] of (await parseAllTokens(null, theme)).entries()) {
+      if (!name.startsWith("--ks-")) continue;
+      const prefix = [`--ks-${data.category}-`, "--ks-brand-", "--ks-"].find(
+        (candidate) => name.startsWith(candidate),
+      );
+      const key = toCamelCaseKey(name.slice(prefix.length));
+      insertTokenConstant(tree, [toCamelCaseKey(data.category), key], {
+        name,
+        ...data,
+      });
+      names.global.push(name);
+    }
+  }
+
+  if (include !== "global") {
+    const categoryKeys = new Set(tree.keys());
+    for (const token of await parseAllComponentTokens(component)) {
+      let root = toCamelCaseKey(token.component);
+      if (categoryKeys.has(root)) root = toCamelCaseKey(`component-${root}`);
+      const keys = [
+        root,
+        ...(token.element ? token.element.split(".") : []),
+        token.variant,
+        token.cssProperty,
+        token.state,
+      ]
+        .filter(Boolean)
+        .map((key, index) => (index === 0 ? key : toCamelCaseKey(key)));
+      // Names the convention doesn't cover fall back to the full name
+      if (!insertTokenConstant(tree, keys, token)) {
+        const local = token.name.replace(/^--(?:dsa|l)-/, "");
+        const fallback = [
+          root,
+          toCamelCaseKey(
+            local.startsWith(token.component)
+              ? local.slice(token.component.length)
+              : local,
+          ),
+        ];
+        if (!insertTokenConstant(tree, fallback, token)) continue;
+        renamed.push({ token: token.name, key: fallback.join(".") });
+      }
+      names.component.push(token.name);
+    }
+  }
+
+  if (names.global.length + names.component.length === 0) {
+    throw new Error(
+      component
+        ? `Component '${component}' not found or has no tokens. Use list_components to discover valid names.`
+        : "No tokens match the export filters",
+    );
+  }
+
+  const union = (list) =>
+    list.length > 0
+      ? list.map((name) => `\n  | ${JSON.stringify(name)}`).join("")
+      : " never";
+  const object = renderTokenConstantGroup(tree, 0);
+  const header =
+    "// Generated by design-tokens-mcp (export_token_constants). Do not edit.\n\n";
+
+  let module;
+  if (format === "js") {
+    module = `${header}/** @typedef {${union(names.global)}} GlobalTokenName */
+
+/** @typedef {${union(names.component)}} ComponentTokenName */
+
+/** @typedef {GlobalTokenName | ComponentTokenName} TokenName */
+
+export const tokens = ${object};
+
+/**
+ * Reference a token as a CSS value.
+ * @param {TokenName} name
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+export function cssVar(name, fallback) {
+  return fallback === undefined ? \`var(\${name})\` : \`var(\${name}, \${fallback})\`;
+}
+`;
+  } else {
+    module = `${header}export type GlobalTokenName =${union(names.global)};
+
+export type ComponentTokenName =${union(names.component)};
+
+export type TokenName = GlobalTokenName | ComponentTokenName;
+
+export const tokens = ${object} as const;
+
+/** Reference a token as a CSS value */
+export function cssVar(name: TokenName, fallback?: string): string {
+  return fallback === undefined ? \`var(\${name})\` : \`var(\${name}, \${fallback})\`;
+}
+`;
+  }
+
+  return {
+    module,
+    summary: {
+      globalTokens: names.global.length,
+      componentTokens: names.component.length,
+      groups: tree.size,
+      ...(renamed.length > 0 && { renamed }),
+    },
+  };
+}
+
+// ============================================================================
+// FIGMA VARIABLES EXPORT
+// ============================================================================
+
+/**
+ * Figma variable collections and the tokens they contain. Factors and other
+ * helpers that only feed calculations are left out.
+ */
+const FIGMA_VARIABLE_COLLECTIONS = {
+  color: {
+    name: "Color",
+    pattern: /^--ks-(brand-)?color-|^--ks-(background|text|border)-color-/,
+  },
+  spacing: { name: "Spacing", pattern: /^--ks-(brand-)?spacing-/ },
+  radius: { name: "Radius", pattern: /^--ks-(brand-)?border-radius-/ },
+  typography: {
+    name: "Typography",
+    pattern: /^--ks-(brand-)?(font-family|font-weight|font-size|line-height)-/,
+  },
+};
+
+/** Helper tokens left out of the Figma export: factors and mix percentages */
+const FIGMA_EXCLUDED_TOKEN_PATTERN = /factor|ratio|^--ks-brand-color-scale-/;
+
+/** Figma modes, from the contexts of the token CSS */
+const FIGMA_VARIABLE_MODES = [
+  { key: "default", name: "Default", selector: ":root" },
+  { key: "inverted", name: "Inverted", selector: '[ks-inverted="true"]' },
+];
+
+/** Figma variable scopes by token name, checked in order */
+const FIGMA_VARIABLE_SCOPES = [
+  [/^--ks-background-color-/, ["FRAME_FILL", "SHAPE_FILL"]],
+  [/^--ks-text-color-/, ["TEXT_FILL"]],
+  [/^--ks-border-color-/, ["STROKE_COLOR"]],
+  [/spacing-/, ["GAP", "WIDTH_HEIGHT"]],
+  [/border-radius-/, ["CORNER_RADIUS"]],
+  [/font-family-/, ["FONT_FAMILY"]],
+  [/font-weight-/, ["FONT_WEIGHT"]],
+  [/font-size-/, ["FONT_SIZE"]],
+];
+
+/**
+ * Convert a computed CSS value into a Figma variable value.
+ * @param {string} resolvedType - "COLOR", "FLOAT" or "STRING"
+ * @param {string} value - Computed CSS value
+ * @returns {{value: *, unitless?: boolean}|null} Null if the value doesn't fit the type
+ */
+function toFigmaVariableValue(resolvedType, value) {
+  const round = (n) => Number(n.toFixed(4));
+  switch (resolvedType) {
+    case "COLOR": {
+      const color = parseCssColor(value);
+      if (!color) return null;
+      const { r, g, b, a } = color;
+      return {
+        value: {
+          r: round(r / 255),
+          g: round(g / 255),
+          b: round(b / 255),
+          a: round(a),
+        },
+      };
+    }
+    case "FLOAT": {
+      const match = value.trim().match(/^(-?\d*\.?\d+)(px|rem)?$/);
+      if (!match) return null;
+      const n = parseFloat(match[1]);
+      return {
+        value: round(match[2] === "rem" ? n * ROOT_FONT_SIZE_PX : n),
+        unitless: !match[2] && n !== 0,
+      };
+    }
+    default: {
+      // Figma binds a single family, so font stacks keep their first entry
+      const family = splitCssArguments(value)[0]?.replace(/^["']|["']$/g, "");
+      return family ? { value: family } : null;
+    }
+  }
+}
+
+/**
+ * Export tokens as a Figma Variables REST API payload
+ * (POST /v1/files/:file_key/variables): one collection per
+ * FIGMA_VARIABLE_COLLECTIONS entry, each with a Default mode from :root and
+ * an Inverted mode from the [ks-inverted="true"] blocks. Values are resolved
+ * to concrete colors and numbers (rem in px). A token that is a single var()
+ * becomes an alias when the target is exported too, unless the alias would
+ * resolve differently in Figma than in CSS: a token only declared on :root
+ * keeps its :root value inside inverted sections. A mode whose value can't
+ * be converted gets the Default value and is listed in `fallbackToDefault`.
+ * @param {Object} [options]
+ * @param {string[]} [options.collections] - Keys of FIGMA_VARIABLE_COLLECTIONS to export
+ * @param {string|null} [options.theme] - Theme for the branding tokens
+ * @returns {Promise<{payload: Object, summary: Object}>}
+ */
+async function exportFigmaVariables(options = {}) {
+  const {
+    collections = Object.keys(FIGMA_VARIABLE_COLLECTIONS),
+    theme = null,
+  } = options;
+  const lookup = await buildTokenLookup(theme);
+  const contextLookups = FIGMA_VARIABLE_MODES.map((mode) =>
+    buildContextLookup(lookup, mode.selector),
+  );
+  const [rootLookup] = contextLookups;
+
+  // Select the tokens and resolve their concrete value in every mode
+  const variables = new Map();
+  const skipped = [];
+  const fallbackToDefault = [];
+  for (const [name, data] of rootLookup.entries()) {
+    if (data.component || FIGMA_EXCLUDED_TOKEN_PATTERN.test(name)) continue;
+    const collection = collections.find((key) =>
+      FIGMA_VARIABLE_COLLECTIONS[key].pattern.test(name),
+    );
+    if (!collection) continue;
+
+    const resolvedType =
+      collection === "color"
+        ? "COLOR"
+        : /font-family-/.test(name)
+          ? "STRING"
+          : "FLOAT";
+    const values = [];
+    for (const contextLookup of contextLookups) {
+      const { computedValue, computeError, issues } = computeTokenValue(
+        name,
+        contextLookup.has(name) ? contextLookup : rootLookup,
+      );
+      const converted =
+        computedValue === null
+          ? null
+          : toFigmaVariableValue(resolvedType, computedValue);
+      if (!converted) {
+        const expected = {
+          COLOR: "a color",
+          FLOAT: "a single length or number",
+          STRING: "a font family",
+        }[resolvedType];
+        const reason =
+          computeError ||
+          (computedValue === null
+            ? `Could not resolve: ${issues.map((i) => i.token || i.path.join(" → ")).join(", ")}`
+            : `'${computedValue}' is not ${expected}`);
+        // A value only the default mode can resolve is used for all modes
+        if (values.length > 0) {
+          fallbackToDefault.push({
+            token: name,
+            mode: FIGMA_VARIABLE_MODES[values.length].name,
+            reason,
+          });
+          values.push(values[0]);
+          continue;
+        }
+        skipped.push({ token: name, reason });
+        break;
+      }
+      values.push(converted);
+    }
+    if (values.length === FIGMA_VARIABLE_MODES.length) {
+      variables.set(name, { collection, resolvedType, data, values });
+    }
+  }
+  if (variables.size === 0) {
+    throw new Error("No tokens match the export filters");
+  }
+
+  const variableId = (name) => `VariableID:${name.replace(/^--/, "")}`;
+  const modeId = (collection, mode) => `${collection}:${mode.key}`;
+  const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  const payload = {
+    variableCollections: [],
+    variableModes: [],
+    variables: [],
+    variableModeValues: [],
+  };
+  const summary = { collections: {}, variables: 0, aliases: 0 };
+
+  for (const key of collections) {
+    const collectionId = `VariableCollectionId:${key}`;
+    payload.variableCollections.push({
+      action: "CREATE",
+      id: collectionId,
+      name: FIGMA_VARIABLE_COLLECTIONS[key].name,
+      initialModeId: modeId(key, FIGMA_VARIABLE_MODES[0]),
+    });
+    FIGMA_VARIABLE_MODES.forEach((mode, index) => {
+      payload.variableModes.push({
+        action: index === 0 ? "UPDATE" : "CREATE",
+        id: modeId(key, mode),
+        name: mode.name,
+        variableCollectionId: collectionId,
+      });
+    });
+    summary.collections[FIGMA_VARIABLE_COLLECTIONS[key].name] = {
+      variables: 0,
+      aliases: 0,
+    };
+  }
+
+  for (const [name, variable] of variables.entries()) {
+    const { collection, resolvedType, data, values } = variable;
+    const collectionSummary =
+      summary.collections[FIGMA_VARIABLE_COLLECTIONS[collection].name];
+    const group = data.category === "branding" ? "brand" : data.category;
+    const prefix = [`--ks-${data.category}-`, "--ks-brand-", "--ks-"].find(
+      (candidate) => name.startsWith(candidate),
+    );
+    // Figma binds line heights in pixels, so unitless ones get no scope
+    const scopes =
+      /line-height-/.test(name) && values[0].unitless
+        ? []
+        : FIGMA_VARIABLE_SCOPES.find(([pattern]) => pattern.test(name))?.[1] ||
+          ["ALL_SCOPES"];
+
+    payload.variables.push({
+      action: "CREATE",
+      id: variableId(name),
+      name: `${group}/${name.slice(prefix.length)}`,
+      variableCollectionId: `VariableCollectionId:${collection}`,
+      resolvedType,
+      scopes,
+      codeSyntax: { WEB: `var(${name})` },
+      ...(data.comment && { description: data.comment }),
+    });
+    collectionSummary.variables++;
+    summary.variables++;
+
+    FIGMA_VARIABLE_MODES.forEach((mode, index) => {
+      const entry = contextLookups[index].get(name) || data;
+      const alias = entry.value
+        .trim()
+        .match(/^var\(\s*(--[a-zA-Z0-9_-]+)\s*(,.*)?\)$/);
+      const target = alias && variables.get(alias[1]);
+      // Figma resolves the target in this mode, CSS in the declaring context
+      const aliasMatches =
+        target?.resolvedType === resolvedType &&
+        (!entry.inherited ||
+          target.values.every((value) =>
+            sameValue(value.value, target.values[0].value),
+          ));
+      payload.variableModeValues.push({
+        variableId: variableId(name),
+        modeId: modeId(collection, mode),
+        value: aliasMatches
+          ? { type: "VARIABLE_ALIAS", id: variableId(alias[1]) }
+          : values[index].value,
+      });
+      if (aliasMatches) {
+        collectionSummary.aliases++;
+        summary.aliases++;
+      }
+    });
+  }
+
+  return {
+    payload,
+    summary: {
+      ...summary,
+      ...(skipped.length > 0 && { skipped }),
+      ...(fallbackToDefault.length > 0 && { fallbackToDefault }),
+    },
+  };
+}
+
+// ============================================================================
+// THEMES
+// ============================================================================
+
+/** Theme backed by the top-level branding JSON and branding CSS */
+const DEFAULT_THEME = "default";
+
+/** Valid names for named themes: lowercase letters, digits and dashes */
+const THEME_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Theme used when a tool call doesn't name one; changed by switch_theme.
+ * Process-wide, so only the stdio transport (one client) can change it.
+ */
+let _activeTheme = DEFAULT_THEME;
+
+/**
+ * Get the branding files of a theme. The default theme uses the configured
+ * branding JSON and the branding CSS in the tokens directory; named themes
+ * keep both in THEMES_DIR/<name>/.
+ * @param {string|null} [theme] - Theme name, defaults to the active theme
+ * @returns {{name: string, brandingJson: string, brandingCss: string}}
+ * @throws {Error} If the theme name is invalid
+ */
+function getThemePaths(theme = null) {
+  const name = theme || _activeTheme;
+  if (name === DEFAULT_THEME) {
+    return {
+      name,
+      brandingJson: BRANDING_JSON_FILE,
+      brandingCss: path.join(TOKENS_DIR, TOKEN_FILES.branding.file),
+    };
+  }
+  if (!THEME_NAME_PATTERN.test(name)) {
+    throw new Error(
+      `Invalid theme name '${name}'. Use lowercase letters, digits and dashes.`,
+    );
+  }
+  const themeDir = path.join(THEMES_DIR, name);
+  return {
+    name,
+    brandingJson: path.join(themeDir, TOKEN_FILES["branding-json"].file),
+    brandingCss: path.join(themeDir, TOKEN_FILES.branding.file),
+  };
+}
+
+/**
+ * List the available themes: the default theme plus every THEMES_DIR
+ * subdirectory that contains a branding JSON.
+ * @returns {Promise<string[]>}
+ */
+async function listThemeNames() {
+  const names = [DEFAULT_THEME];
+  let entries = [];
+  try {
+    entries = await fs.readdir(THEMES_DIR, { withFileTypes: true });
+  } catch {
+    // No themes directory yet
+  }
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !THEME_NAME_PATTERN.test(entry.name)) continue;
+    if (entry.name === DEFAULT_THEME) continue;
+    try {
+      await fs.access(getThemePaths(entry.name).brandingJson);
+      names.push(entry.name);
+    } catch {
+      // Not a theme
+    }
+  }
+  return names.sort((a, b) =>
+    a === DEFAULT_THEME ? -1 : b === DEFAULT_THEME ? 1 : a.localeCompare(b),
+  );
+}
+
+/**
+ * Make sure a theme exists before a tool reads or writes it.
+ * @param {string} theme - Theme name
+ * @returns {Promise<void>}
+ * @throws {Error} If the theme doesn't exist
+ */
+async function assertThemeExists(theme) {
+  if (theme === DEFAULT_THEME) return;
+  try {
+    await fs.access(getThemePaths(theme).brandingJson);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    throw new Error(
+      `Theme '${theme}' not found. Use list_themes to see available themes.`,
+    );
+  }
+}
+
+/**
+ * Create a named theme by copying the branding JSON and CSS of another.
+ * @param {string} name - New theme name
+ * @param {string|null} from - Theme to clone, defaults to the active theme
+ * @param {Object|null} [changeSet] - Journal the writes into this change set
+ * @returns {Promise<Object>}
+ */
+async function createTheme(name, from = null, changeSet = null) {
+  if (name === DEFAULT_THEME) {
+    throw new Error(`'${DEFAULT_THEME}' is reserved for the built-in theme`);
+  }
+  const target = getThemePaths(name);
+  const source = getThemePaths(from);
+  await assertThemeExists(source.name);
+
+  try {
+    await fs.access(target.brandingJson);
+    throw new Error(`Theme '${name}' already exists`);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  await fs.mkdir(path.dirname(target.brandingJson), { recursive: true });
+  // The themes folder may be new; outside edits to it must reload tokens too
+  watchThemesDirectory();
+  const files = [];
+  for (const key of ["brandingJson", "brandingCss"]) {
+    let content;
+    try {
+      content = await fs.readFile(source[key], "utf-8");
+    } catch {
+      continue; // A theme without generated CSS yet
+    }
+    await writeSourceFile(target[key], content, changeSet);
+    files.push(path.relative(TOKENS_DIR, target[key]));
+  }
+
+  return { name, from: source.name, files };
+}
+
+// ============================================================================
+// THEME CONFIG SCHEMA
+// ============================================================================
+
+/** JSON Schema for branding-token.json, bundled with the server */
+const BRANDING_SCHEMA_FILE = path.join(
+  __dirname,
+  "schemas",
+  "branding-token.schema.json",
+);
+
+/** Cached branding schema — loaded once from BRANDING_SCHEMA_FILE */
+let _cachedBrandingSchema = null;
+
+/**
+ * Load the branding config JSON Schema.
+ * @returns {Promise<Object>}
+ */
+async function loadBrandingSchema() {
+  if (_cachedBrandingSchema) return _cachedBrandingSchema;
+  try {
+    _cachedBrandingSchema = JSON.parse(
+      await fs.readFile(BRANDING_SCHEMA_FILE, "utf-8"),
+    );
+  } catch (error) {
+    throw new Error(`Failed to load branding schema: ${error.message}`);
+  }
+  return _cachedBrandingSchema;
+}
+
+/**
+ * Get the JSON type name of a value as used by the schema's `type`.
+ * @param {*} value
+ * @returns {string}
+ */
+function jsonTypeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON Schema. Supports the keywords the
+ * branding schema uses: type, properties, required, additionalProperties,
+ * propertyNames, enum, pattern, minLength, minimum, maximum,
+ * exclusiveMinimum and local `#/$defs/...` references. A non-standard
+ * `errorMessage` replaces the message for pattern mismatches.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (or subschema) to check against
+ * @param {Object} root - Root schema, for resolving $ref
+ * @param {string} [valuePath] - Dot notation path of value, for messages
+ * @returns {Array<{path: string, message: string}>} Violations
+ */
+function validateAgainstSchema(value, schema, root, valuePath = "") {
+  const at = valuePath || "(root)";
+  if (schema.$ref) {
+    const target = schema.$ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((node, key) => node?.[key], root);
+    if (!target) {
+      return [{ path: at, message: `Unresolvable $ref ${schema.$ref}` }];
+    }
+    return validateAgainstSchema(value, target, root, valuePath);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = jsonTypeOf(value);
+    const matches = types.some(
+      (type) => type === actual || (type === "number" && actual === "integer"),
+    );
+    if (!matches) {
+      return [
+        {
+          path: at,
+          message: `Expected ${types.join(" or ")}, got ${actual}${actual === "string" ? ` '${value}'` : ""}`,
+        },
+      ];
+    }
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path: at,
+      message: `Must be one of: ${schema.enum.join(", ")}`,
+    });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        path: at,
+        message: `Must be at least ${schema.minLength} character(s)`,
+      });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({
+        path: at,
+        message: schema.errorMessage
+          ? `${schema.errorMessage}, got '${value}'`
+          : `'${value}' does not match ${schema.pattern}`,
+      });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `Must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `Must be <= ${schema.maximum}` });
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      errors.push({
+        path: at,
+        message: `Must be > ${schema.exclusiveMinimum}`,
+      });
+    }
+  }
+
+  if (jsonTypeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({
+          path: valuePath ? `${valuePath}.${key}` : key,
+          message: "Required value is missing",
+        });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = valuePath ? `${valuePath}.${key}` : key;
+      if (schema.propertyNames) {
+        for (const error of validateAgainstSchema(
+          key,
+          schema.propertyNames,
+          root,
+          childPath,
+        )) {
+          errors.push({ ...error, message: `Invalid key: ${error.message}` });
+        }
+      }
+      if (properties[key]) {
+        errors.push(
+          ...validateAgainstSchema(child, properties[key], root, childPath),
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: "Unknown property" });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateAgainstSchema(
+            child,
+            schema.additionalProperties,
+            root,
+            childPath,
+          ),
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a branding config against the bundled JSON Schema. The bp-factor
+ * keys the schema allows are the default breakpoints; a config that defines
+ * its own `breakpoints` allows those names instead, as the CSS generator
+ * does (see getBrandingBreakpointOrder()).
+ * @param {Object} config - Parsed branding-token.json
+ * @returns {Promise<Array<{path: string, message: string}>>} Violations
+ */
+async function validateBrandingConfig(config) {
+  let schema = await loadBrandingSchema();
+  const breakpoints = config?.breakpoints;
+  if (
+    jsonTypeOf(breakpoints) === "object" &&
+    Object.keys(breakpoints).length > 0
+  ) {
+    schema = structuredClone(schema);
+    schema.$defs.fontType.properties["bp-factor"].propertyNames = {
+      enum: Object.keys(breakpoints),
+    };
+  }
+  return validateAgainstSchema(config, schema, schema);
+}
+
+/**
+ * Format schema violations for an error message.
+ * @param {Array<{path: string, message: string}>} errors
+ * @returns {string}
+ */
+function formatSchemaErrors(errors) {
+  return errors.map((e) => `${e.path}: ${e.message}`).join("; ");
+}
+
+// ============================================================================
+// BRANDING CSS GENERATION
+// ============================================================================
+
+/** JSON color names → --ks-brand-color-* suffixes (each also has an -inverted twin) */
+const BRANDING_COLOR_NAMES = {
+  primary: "primary",
+  background: "bg",
+  foreground: "fg",
+  link: "link",
+  positive: "positive",
+  informative: "informative",
+  notice: "notice",
+  negative: "negative",
+};
+
+const BRANDING_FONT_TYPES = ["display", "copy", "interface", "mono"];
+
+/**
+ * Interpolation maxima from scaling-token.scss, used when their tokens can't
+ * be read. The brand factors are normalized inputs: the effective factor is
+ * 1 + (brandFactor - 1) * (max - 1).
+ */
+const DEFAULT_SCALING_MAXIMA = {
+  "--font-size-display-shrink-factor-max": 0.825,
+  "--font-size-display-grow-factor-max": 1.35,
+  "--font-size-display-bp-factor-max": 1.015,
+  "--font-size-copy-shrink-factor-max": 0.825,
+  "--font-size-copy-grow-factor-max": 1.35,
+  "--font-size-copy-bp-factor-max": 1.015,
+  "--font-size-interface-shrink-factor-max": 0.825,
+  "--font-size-interface-grow-factor-max": 1.35,
+  "--font-size-interface-bp-factor-max": 1.015,
+  "--font-size-mono-shrink-factor-max": 0.825,
+  "--font-size-mono-grow-factor-max": 1.35,
+  "--font-size-mono-bp-factor-max": 1.015,
+  "--ks-scale-spacing-shrink-factor-max": 0.35,
+  "--ks-scale-spacing-grow-factor-max": 1.8,
+  "--ks-scale-spacing-bp-factor-max": 1.02,
+};
+
+/**
+ * Number of scale steps from the smallest size (xxs) to the base size (m).
+ * bp-factors compound once per step and once per breakpoint.
+ */
+const BP_FACTOR_STEPS_TO_BASE = 4;
+
+/** Breakpoint order for configs without a `breakpoints` section */
+const BRANDING_BREAKPOINT_ORDER = ["phone", "tablet", "laptop", "desktop"];
+
+/**
+ * Breakpoint names of a branding config, from narrowest to widest.
+ * @param {Object} config - Parsed branding-token.json
+ * @returns {string[]}
+ */
+function getBrandingBreakpointOrder(config) {
+  const breakpoints = Object.entries(config?.breakpoints || {});
+  if (breakpoints.length === 0) return BRANDING_BREAKPOINT_ORDER;
+  return breakpoints
+    .map(([name, width]) => ({
+      name,
+      width: toBrandingNumber(width, `breakpoints.${name}`),
+    }))
+    .sort((a, b) => a.width - b.width)
+    .map(({ name }) => name);
+}
+
+/**
+ * Read a number from a JSON config value ("8px", 14, "1.25").
+ * @param {*} value
+ * @param {string} path - JSON path, for error messages
+ * @returns {number}
+ * @throws {Error} If the value is not numeric
+ */
+function toBrandingNumber(value, path) {
+  const n = typeof value === "number" ? value : parseFloat(value);
+  if (!Number.isFinite(n)) {
+    throw new Error(
+      `Expected a number at '${path}', got ${JSON.stringify(value)}`,
+    );
+  }
+  return n;
+}
+
+/**
+ * Normalized factors scaling-token.scss interpolates between: 1 is no
+ * scaling, 2 reaches the -max value. Anything outside extrapolates.
+ */
+const NORMALIZED_FACTOR_RANGE = [1, 2];
+
+/**
+ * Invert the scaling interpolation: find the normalized brand factor that
+ * produces the given effective factor.
+ * @param {number} effective - Desired effective factor (e.g. a scale ratio)
+ * @param {number} max - Interpolation maximum from scaling-token.scss
+ * @returns {string}
+ */
+function toNormalizedFactor(effective, max) {
+  return formatCssNumber(1 + (effective - 1) / (max - 1));
+}
+
+/**
+ * Normalize a font stack the way branding-tokens.css writes it: no spaces
+ * after commas, double quotes only around names that need them.
+ * @param {string} stack
+ * @returns {string}
+ */
+function normalizeFontStack(stack) {
+  return splitCssArguments(String(stack))
+    .map((family) => {
+      const name = family.trim().replace(/^['"]|['"]$/g, "");
+      return /^-?[a-zA-Z][a-zA-Z0-9-]*$/.test(name) ? name : `"${name}"`;
+    })
+    .join(",");
+}
+
+/**
+ * Normalize a hex color to lowercase six-digit form.
+ * @param {string} value
+ * @param {string} path - JSON path, for error messages
+ * @returns {string}
+ */
+function normalizeBrandingColor(value, path) {
+  const color = parseCssColor(String(value));
+  if (!color) {
+    throw new Error(
+      `Expected a color at '${path}', got ${JSON.stringify(value)}`,
+    );
+  }
+  return formatCssColor(color);
+}
+
+/**
+ * Compute the per-step bp-factor from a bp-factor map. Each map value is the
+ * growth of the base (m) size at that breakpoint; the factor compounds
+ * BP_FACTOR_STEPS_TO_BASE times per breakpoint, so the largest breakpoint
+ * given is used as the anchor.
+ * @param {Object<string, number>} bpFactors - e.g. {tablet: 1.125, desktop: 1.35}
+ * @param {string} path - JSON path, for error messages
+ * @param {string[]} [order] - Breakpoint names from narrowest to widest
+ * @returns {number}
+ */
+function toStepBpFactor(bpFactors, path, order = BRANDING_BREAKPOINT_ORDER) {
+  let anchor = null;
+  for (const name of Object.keys(bpFactors || {})) {
+    const index = order.indexOf(name);
+    if (index < 0) {
+      throw new Error(
+        `Unknown breakpoint '${name}' at '${path}'. Valid: ${order.join(", ")}`,
+      );
+    }
+    if (!anchor || index > anchor.index) anchor = { name, index };
+  }
+  if (!anchor) return 1;
+
+  const growth = toBrandingNumber(
+    bpFactors[anchor.name],
+    `${path}.${anchor.name}`,
+  );
+  return growth ** (1 / (BP_FACTOR_STEPS_TO_BASE * (anchor.index + 1)));
+}
+
+/**
+ * Build the mapping from branding-token.json paths to --ks-brand-* CSS
+ * properties. `path` is the JSON path the property is derived from (object
+ * paths cover all their children); `derive` turns the JSON value into the CSS
+ * value. Font weights and breakpoints follow the keys present in the config.
+ * Normalized scaling factors carry the `range` they are meant to stay in.
+ * @param {Object} config - Parsed branding-token.json
+ * @param {Object<string, number>} maxima - Interpolation maxima (see DEFAULT_SCALING_MAXIMA)
+ * @returns {Array<{path: string, property: string, range?: number[], derive: function(*, string): string}>}
+ */
+function buildBrandingCssMapping(config, maxima) {
+  const mapping = [];
+  const breakpointOrder = getBrandingBreakpointOrder(config);
+
+  for (const [jsonName, cssName] of Object.entries(BRANDING_COLOR_NAMES)) {
+    for (const suffix of ["", "-inverted"]) {
+      mapping.push({
+        path: `color.${jsonName}${suffix}`,
+        property: `--ks-brand-color-${cssName}${suffix}`,
+        derive: normalizeBrandingColor,
+      });
+    }
+  }
+
+  for (const type of BRANDING_FONT_TYPES) {
+    mapping.push(
+      {
+        path: `font.${type}.family`,
+        property: `--ks-brand-font-family-${type}`,
+        derive: (value) => normalizeFontStack(value),
+      },
+      {
+        path: `font.${type}.font-size`,
+        property: `--ks-brand-font-size-${type}-base`,
+        derive: (value, path) =>
+          `${formatCssNumber(toBrandingNumber(value, path))}px`,
+      },
+      {
+        path: `font.${type}.scale-ratio`,
+        property: `--ks-brand-font-size-${type}-grow-factor`,
+        range: NORMALIZED_FACTOR_RANGE,
+        derive: (value, path) =>
+          toNormalizedFactor(
+            toBrandingNumber(value, path),
+            maxima[`--font-size-${type}-grow-factor-max`],
+          ),
+      },
+      {
+        path: `font.${type}.scale-ratio`,
+        property: `--ks-brand-font-size-${type}-shrink-factor`,
+        range: NORMALIZED_FACTOR_RANGE,
+        derive: (value, path) =>
+          toNormalizedFactor(
+            1 / toBrandingNumber(value, path),
+            maxima[`--font-size-${type}-shrink-factor-max`],
+          ),
+      },
+      {
+        path: `font.${type}.bp-factor`,
+        property: `--ks-brand-font-size-${type}-bp-factor`,
+        range: NORMALIZED_FACTOR_RANGE,
+        derive: (value, path) =>
+          toNormalizedFactor(
+            toStepBpFactor(value, path, breakpointOrder),
+            maxima[`--font-size-${type}-bp-factor-max`],
+          ),
+      },
+    );
+  }
+
+  for (const weight of Object.keys(config["font-weight"] || {})) {
+    mapping.push({
+      path: `font-weight.${weight}`,
+      property: `--ks-brand-font-weight-${weight}`,
+      derive: (value, path) => formatCssNumber(toBrandingNumber(value, path)),
+    });
+  }
+
+  // spacing-m = (spacing-factor - 0.5) * copy font size, so spacing.base is
+  // the phone-size spacing-m that radius and blur factors are relative to
+  const copyFontSize = () =>
+    toBrandingNumber(
+      getNestedValue(config, "font.copy.font-size"),
+      "font.copy.font-size",
+    );
+  const spacingM = () =>
+    toBrandingNumber(getNestedValue(config, "spacing.base"), "spacing.base");
+
+  mapping.push(
+    {
+      path: "spacing.base",
+      property: "--ks-brand-spacing-factor",
+      derive: (value, path) =>
+        formatCssNumber(toBrandingNumber(value, path) / copyFontSize() + 0.5),
+    },
+    {
+      path: "spacing.scale-ratio",
+      property: "--ks-brand-spacing-grow-factor",
+      range: NORMALIZED_FACTOR_RANGE,
+      derive: (value, path) =>
+        toNormalizedFactor(
+          toBrandingNumber(value, path),
+          maxima["--ks-scale-spacing-grow-factor-max"],
+        ),
+    },
+    {
+      path: "spacing.scale-ratio",
+      property: "--ks-brand-spacing-shrink-factor",
+      range: NORMALIZED_FACTOR_RANGE,
+      derive: (value, path) =>
+        toNormalizedFactor(
+          1 / toBrandingNumber(value, path),
+          maxima["--ks-scale-spacing-shrink-factor-max"],
+        ),
+    },
+    {
+      // bp-ratio is the growth of spacing-m from one breakpoint to the next
+      path: "spacing.bp-ratio",
+      property: "--ks-brand-spacing-bp-factor",
+      range: NORMALIZED_FACTOR_RANGE,
+      derive: (value, path) =>
+        toNormalizedFactor(
+          toBrandingNumber(value, path) ** (1 / BP_FACTOR_STEPS_TO_BASE),
+          maxima["--ks-scale-spacing-bp-factor-max"],
+        ),
+    },
+    {
+      // radius-control = (factor - 1) * 3 * spacing-m * 0.25
+      path: "border-radius",
+      property: "--ks-brand-border-radius-factor",
+      derive: (value, path) =>
+        formatCssNumber(
+          1 + toBrandingNumber(value, path) / (0.75 * spacingM()),
+        ),
+    },
+    {
+      // control-blur = (factor - 1) * 2 * spacing-m * 0.15
+      path: "box-shadow.blur",
+      property: "--ks-brand-box-shadow-blur-factor",
+      derive: (value, path) =>
+        formatCssNumber(
+          1 + toBrandingNumber(value, path) / (0.3 * spacingM()),
+        ),
+    },
+  );
+
+  for (const breakpoint of Object.keys(config.breakpoints || {})) {
+    mapping.push({
+      path: `breakpoints.${breakpoint}`,
+      property: `--ks-brand-breakpoint-${breakpoint}`,
+      derive: (value, path) =>
+        `${formatCssNumber(toBrandingNumber(value, path))}px`,
+    });
+  }
+
+  return mapping;
+}
+
+/**
+ * Read the interpolation maxima from scaling-token.scss.
+ * @returns {Promise<Object<string, number>>}
+ */
+async function loadScalingMaxima() {
+  const tokens = await parseAllTokens("scaling");
+  const maxima = { ...DEFAULT_SCALING_MAXIMA };
+  for (const name of Object.keys(maxima)) {
+    const value = parseFloat(tokens.get(name)?.value);
+    if (Number.isFinite(value)) maxima[name] = value;
+  }
+  return maxima;
+}
+
+/**
+ * Derive --ks-brand-* values from the branding JSON. Normalized factors that
+ * land outside their interpolation range are still derived, but reported in
+ * `warnings`: the CSS extrapolates them past the -max value.
+ * @param {Object} config - Parsed branding-token.json
+ * @returns {Promise<{values: Map<string, {value: string, path: string}>, mapping: Array, warnings: Array}>}
+ * @throws {Error} If a mapped JSON value is invalid
+ */
+async function deriveBrandingCssValues(config) {
+  const mapping = buildBrandingCssMapping(config, await loadScalingMaxima());
+  const values = new Map();
+  const warnings = [];
+  for (const entry of mapping) {
+    const jsonValue = getNestedValue(config, entry.path);
+    if (jsonValue === undefined) continue;
+    const value = entry.derive(jsonValue, entry.path);
+    values.set(entry.property, { value, path: entry.path });
+
+    if (!entry.range) continue;
+    const [min, max] = entry.range;
+    const factor = parseFloat(value);
+    if (factor < min || factor > max) {
+      warnings.push({
+        property: entry.property,
+        source: entry.path,
+        value,
+        message:
+          `${entry.property} derives to ${value} from '${entry.path}', ` +
+          `outside the interpolation range ${min}-${max}; the scale ` +
+          `extrapolates past its maximum in scaling-token.scss.`,
+      });
+    }
+  }
+  return { values, mapping, warnings };
+}
+
+/**
+ * Derive the content of branding-tokens.css from a branding config without
+ * writing it, so callers can fail before any file is touched. Existing
+ * properties keep their order; properties without a JSON source keep their
+ * current value, and derived properties missing from the file are appended.
+ * @param {Object} config - Branding config to derive from
+ * @param {string|null} [theme] - Theme whose CSS file is regenerated
+ * @returns {Promise<{path: string, original: string, content: string, changes: Array, added: Array, preserved: string[], unchanged: number, warnings: Array}>}
+ * @throws {Error} If a mapped JSON value is invalid
+ */
+async function buildBrandingCss(config, theme = null) {
+  const cssPath = getThemePaths(theme).brandingCss;
+  const { values, warnings } = await deriveBrandingCssValues(config);
+  const original = await fs.readFile(cssPath, "utf-8");
+  const current = await loadTokenFile(cssPath, TOKEN_FILES.branding.category);
+
+  const lines = [];
+  const changes = [];
+  const preserved = [];
+  for (const [property, data] of current.entries()) {
+    const derived = values.get(property);
+    if (!derived) {
+      preserved.push(property);
+      lines.push(`  ${property}: ${data.value};`);
+      continue;
+    }
+    if (derived.value !== data.value) {
+      changes.push({
+        property,
+        source: derived.path,
+        oldValue: data.value,
+        newValue: derived.value,
+      });
+    }
+    lines.push(`  ${property}: ${derived.value};`);
+  }
+
+  const added = [];
+  for (const [property, derived] of values.entries()) {
+    if (current.has(property)) continue;
+    added.push({ property, source: derived.path, value: derived.value });
+    lines.push(`  ${property}: ${derived.value};`);
+  }
+
+  return {
+    path: cssPath,
+    original,
+    content: `:root {\n${lines.join("\n")}\n}\n`,
+    changes,
+    added,
+    preserved,
+    unchanged: values.size - changes.length - added.length,
+    warnings,
+  };
+}
+
+/**
+ * Report a branding CSS regeneration; dry runs include the diff.
+ * @param {Object} css - From buildBrandingCss()
+ * @param {boolean} dryRun - Whether the file was left unwritten
+ * @returns {Object}
+ */
+function describeBrandingCss(css, dryRun) {
+  const file = path.relative(TOKENS_DIR, css.path);
+  return {
+    file,
+    dryRun,
+    written: !dryRun,
+    ...(dryRun && {
+      diff: createUnifiedDiff(file, css.original, css.content),
+    }),
+    changes: css.changes,
+    added: css.added,
+    preserved: css.preserved,
+    ...(css.warnings.length > 0 && { warnings: css.warnings }),
+    summary: {
+      changed: css.changes.length,
+      added: css.added.length,
+      unchanged: css.unchanged,
+      preserved: css.preserved.length,
+    },
+  };
+}
+
+/**
+ * Regenerate branding-tokens.css from branding-token.json.
+ * @param {{dryRun?: boolean, changeSet?: Object, theme?: string}} options - dryRun computes changes without writing; changeSet journals the write; theme selects the branding files
+ * @returns {Promise<Object>} Changes, added and preserved properties
+ */
+async function regenerateBrandingCss({
+  dryRun = false,
+  changeSet = null,
+  theme = null,
+} = {}) {
+  const css = await buildBrandingCss(await readBrandingJson(theme), theme);
+  if (!dryRun) {
+    await writeSourceFile(css.path, css.content, changeSet);
+  }
+  return describeBrandingCss(css, dryRun);
+}
+
+/**
+ * Check whether two branding CSS values are equivalent: colors by their
+ * normalized hex, numbers with the same unit within rounding tolerance,
+ * anything else after whitespace normalization.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function brandingValuesMatch(a, b) {
+  const colorA = parseCssColor(a);
+  const colorB = parseCssColor(b);
+  if (colorA && colorB) {
+    return formatCssColor(colorA) === formatCssColor(colorB);
+  }
+
+  const numberPattern = /^(-?[\d.]+)([a-z%]*)$/i;
+  const numA = a.trim().match(numberPattern);
+  const numB = b.trim().match(numberPattern);
+  if (numA && numB) {
+    return (
+      numA[2] === numB[2] &&
+      Math.abs(parseFloat(numA[1]) - parseFloat(numB[1])) < 0.001
+    );
+  }
+
+  return a.replace(/\s+/g, " ").trim() === b.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Compare branding-token.json with branding-tokens.css through the branding
+ * CSS mapping.
+ * @param {string|null} [theme] - Theme to check, defaults to the active theme
+ * @returns {Promise<Object>} Mismatches, JSON-only paths and CSS-only properties
+ */
+async function checkBrandingSync(theme = null) {
+  const cssPath = getThemePaths(theme).brandingCss;
+  const config = await readBrandingJson(theme);
+  const mapping = buildBrandingCssMapping(config, await loadScalingMaxima());
+  const css = await loadTokenFile(cssPath, TOKEN_FILES.branding.category);
+
+  const mismatches = [];
+  const invalid = [];
+  const missingInCss = [];
+  let matching = 0;
+  for (const entry of mapping) {
+    const jsonValue = getNestedValue(config, entry.path);
+    if (jsonValue === undefined) continue;
+
+    let expected;
+    try {
+      expected = entry.derive(jsonValue, entry.path);
+    } catch (error) {
+      invalid.push({
+        path: entry.path,
+        value: jsonValue,
+        error: error.message,
+      });
+      continue;
+    }
+
+    const actual = css.get(entry.property);
+    if (!actual) {
+      missingInCss.push({
+        path: entry.path,
+        property: entry.property,
+        expectedCss: expected,
+      });
+    } else if (
+      brandingValuesMatch(expected, actual.value) ||
+      (entry.property.startsWith("--ks-brand-font-family-") &&
+        normalizeFontStack(actual.value) === expected)
+    ) {
+      matching++;
+    } else {
+      mismatches.push({
+        path: entry.path,
+        property: entry.property,
+        jsonValue,
+        expectedCss: expected,
+        actualCss: actual.value,
+      });
+    }
+  }
+
+  const jsonOnly = flattenJsonConfig(config)
+    .filter(
+      (item) =>
+        !mapping.some(
+          (entry) =>
+            item.path === entry.path || item.path.startsWith(`${entry.path}.`),
+        ),
+    )
+    .map(({ path: jsonPath, value }) => ({ path: jsonPath, value }));
+
+  const mappedProperties = new Set(mapping.map((entry) => entry.property));
+  const cssOnly = [...css.entries()]
+    .filter(([property]) => !mappedProperties.has(property))
+    .map(([property, data]) => ({ property, value: data.value }));
+
+  return {
+    inSync:
+      mismatches.length === 0 &&
+      missingInCss.length === 0 &&
+      invalid.length === 0,
+    summary: {
+      matching,
+      mismatches: mismatches.length,
+      missingInCss: missingInCss.length,
+      jsonOnly: jsonOnly.length,
+      cssOnly: cssOnly.length,
+      ...(invalid.length > 0 && { invalid: invalid.length }),
+    },
+    mismatches,
+    missingInCss,
+    jsonOnly,
+    cssOnly,
+    ...(invalid.length > 0 && { invalid }),
+  };
+}
+
+// ============================================================================
+// THEME DIFF
+// ============================================================================
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Resolve a file path passed by a client. Relative paths are resolved
+ * against the tokens directory, and the file (after following symlinks) must
+ * lie inside the tokens or themes directory, so a tool call can't read
+ * arbitrary files on the server.
+ * @param {string} file - Path from a tool argument
+ * @returns {Promise<string|null>} Real path of the file, or null if it doesn't exist
+ * @throws {Error} If the path points outside the tokens and themes directories
+ */
+async function resolveSourceFile(file) {
+  const isInside = (filePath, roots) =>
+    roots.some((root) => {
+      const relative = path.relative(root, filePath);
+      return (
+        relative !== "" &&
+        !relative.startsWith("..") &&
+        !path.isAbsolute(relative)
+      );
+    });
+  const outside = new Error(
+    `'${file}' is outside the tokens and themes directories`,
+  );
+
+  const filePath = path.resolve(TOKENS_DIR, file);
+  if (!isInside(filePath, [TOKENS_DIR, THEMES_DIR])) throw outside;
+
+  let realPath;
+  try {
+    realPath = await fs.realpath(filePath);
+  } catch {
+    return null;
+  }
+  const realRoots = await Promise.all(
+    [TOKENS_DIR, THEMES_DIR].map((dir) => fs.realpath(dir).catch(() => dir)),
+  );
+  if (!isInside(realPath, realRoots)) throw outside;
+  return realPath;
+}
+
+/**
+ * Load a branding config to compare. The source is a theme name, a path to a
+ * JSON file in the tokens or themes directory (see resolveSourceFile()), or
+ * a git ref — which reads the theme's branding JSON as committed at that ref.
+ * @param {string} source - Theme name, file path or git ref
+ * @param {string|null} [theme] - Theme whose branding JSON git refs read, defaults to the active theme
+ * @returns {Promise<{source: string, kind: string, file: string, config: Object}>}
+ * @throws {Error} If the source can't be found or isn't valid JSON
+ */
+async function loadBrandingSource(source, theme = null) {
+  if ((await listThemeNames()).includes(source)) {
+    return {
+      source,
+      kind: "theme",
+      file: path.relative(TOKENS_DIR, getThemePaths(source).brandingJson),
+      config: await readBrandingJson(source),
+    };
+  }
+
+  const parseSource = (text, label) => {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${label} is not valid JSON: ${error.message}`);
+    }
+  };
+
+  let filePath = null;
+  try {
+    filePath = await resolveSourceFile(source);
+  } catch (error) {
+    // Only a JSON file name is surely meant as a file; anything else may
+    // still be a git ref
+    if (source.endsWith(".json")) throw error;
+  }
+  const stat = filePath ? await fs.stat(filePath) : null;
+  if (stat?.isFile()) {
+    return {
+      source,
+      kind: "file",
+      file: path.relative(TOKENS_DIR, filePath),
+      config: parseSource(await fs.readFile(filePath, "utf-8"), source),
+    };
+  }
+  if (source.endsWith(".json")) {
+    throw new Error(`Branding file not found: ${source}`);
+  }
+
+  // Refuse anything git could read as an option
+  if (source.startsWith("-") || /\s/.test(source)) {
+    throw new Error(`'${source}' is not a theme, a JSON file or a git ref`);
+  }
+  const brandingJson = getThemePaths(theme).brandingJson;
+  let stdout;
+  try {
+    ({ stdout } = await execFileAsync(
+      "git",
+      ["show", `${source}:./${path.basename(brandingJson)}`],
+      { cwd: path.dirname(brandingJson), maxBuffer: 10 * 1024 * 1024 },
+    ));
+  } catch (error) {
+    const reason = (error.stderr || error.message).trim().split("\n")[0];
+    throw new Error(
+      `'${source}' is not a theme, a JSON file or a readable git ref: ${reason}`,
+    );
+  }
+  const file = `${source}:${path.relative(TOKENS_DIR, brandingJson)}`;
+  return { source, kind: "git", file, config: parseSource(stdout, file) };
+}
+
+/**
+ * Describe how a branding value changed: perceptual distance for colors,
+ * absolute and relative delta for numbers and same-unit lengths.
+ * @param {*} from
+ * @param {*} to
+ * @returns {Object}
+ */
+function describeBrandingValueChange(from, to) {
+  const round = (n) => Number(n.toFixed(4));
+  const numericDelta = (a, b, unit = null) => ({
+    type: "number",
+    delta: round(b - a),
+    ...(a !== 0 && { percent: Number((((b - a) / a) * 100).toFixed(1)) }),
+    ...(unit && { unit }),
+  });
+
+  if (typeof from === "number" && typeof to === "number") {
+    return numericDelta(from, to);
+  }
+  if (typeof from === "string" && typeof to === "string") {
+    const fromColor = parseCssColor(from);
+    const toColor = parseCssColor(to);
+    if (fromColor && toColor) {
+      return { type: "color", ...colorDifference(fromColor, toColor) };
+    }
+    const lengthPattern = /^(-?[\d.]+)([a-z%]+)$/i;
+    const fromLength = from.trim().match(lengthPattern);
+    const toLength = to.trim().match(lengthPattern);
+    if (fromLength && toLength && fromLength[2] === toLength[2]) {
+      return numericDelta(
+        parseFloat(fromLength[1]),
+        parseFloat(toLength[1]),
+        toLength[2],
+      );
+    }
+  }
+  return { type: typeof to === typeof from ? typeof to : "mixed" };
+}
+
+/**
+ * Compare two branding configs path by path.
+ * @param {Object} fromConfig
+ * @param {Object} toConfig
+ * @returns {Array<Object>} Changed, added and removed paths
+ */
+function diffBrandingConfigs(fromConfig, toConfig) {
+  const fromValues = new Map(
+    flattenJsonConfig(fromConfig).map((item) => [item.path, item.value]),
+  );
+  const toValues = new Map(
+    flattenJsonConfig(toConfig).map((item) => [item.path, item.value]),
+  );
+
+  const changes = [];
+  for (const [jsonPath, to] of toValues.entries()) {
+    if (!fromValues.has(jsonPath)) {
+      changes.push({ path: jsonPath, change: "added", to });
+      continue;
+    }
+    const from = fromValues.get(jsonPath);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    changes.push({
+      path: jsonPath,
+      change: "changed",
+      from,
+      to,
+      ...describeBrandingValueChange(from, to),
+    });
+  }
+  for (const [jsonPath, from] of fromValues.entries()) {
+    if (!toValues.has(jsonPath)) {
+      changes.push({ path: jsonPath, change: "removed", from });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Diff two branding configs and trace the change through the token system:
+ * the --ks-brand-* properties whose generated value changes, and every token
+ * that references them directly or indirectly.
+ * @param {{from: string, to?: string, theme?: string, limit?: number}} options - from/to are theme names, JSON file paths or git refs; to defaults to the theme itself
+ * @returns {Promise<Object>}
+ */
+async function diffThemes({ from, to = null, theme = null, limit = 100 }) {
+  const themeName = getThemePaths(theme).name;
+  const fromSource = await loadBrandingSource(from, themeName);
+  const toSource = await loadBrandingSource(to || themeName, themeName);
+  const changes = diffBrandingConfigs(fromSource.config, toSource.config);
+
+  let brandProperties = [];
+  let downstreamError = null;
+  try {
+    const { values: fromValues } = await deriveBrandingCssValues(
+      fromSource.config,
+    );
+    const { values: toValues } = await deriveBrandingCssValues(
+      toSource.config,
+    );
+    const properties = new Set([...fromValues.keys(), ...toValues.keys()]);
+    for (const property of properties) {
+      const before = fromValues.get(property);
+      const after = toValues.get(property);
+      if (before && after && brandingValuesMatch(before.value, after.value)) {
+        continue;
+      }
+      brandProperties.push({
+        property,
+        path: (after || before).path,
+        from: before?.value ?? null,
+        to: after?.value ?? null,
+      });
+    }
+  } catch (error) {
+    // A config with invalid values still gets its path diff
+    brandProperties = [];
+    downstreamError = error.message;
+  }
+
+  const { lookup, dependents } = await buildTokenDependencyGraph(themeName);
+  const affected = collectTransitiveDependents(
+    dependents,
+    brandProperties.map((entry) => entry.property),
+  );
+  const tokens = [...affected.entries()]
+    .map(([name, { depth, via }]) => {
+      const data = lookup.get(name);
+      return {
+        token: name,
+        file: data?.file,
+        ...(data?.component && { component: data.component }),
+        depth,
+        via: [...via],
+      };
+    })
+    .sort((a, b) => a.depth - b.depth || a.token.localeCompare(b.token));
+  const componentCount = tokens.filter((token) => token.component).length;
+
+  const describeSource = ({ source, kind, file }) => ({ source, kind, file });
+  return {
+    from: describeSource(fromSource),
+    to: describeSource(toSource),
+    identical: changes.length === 0,
+    summary: {
+      changed: changes.filter((c) => c.change === "changed").length,
+      added: changes.filter((c) => c.change === "added").length,
+      removed: changes.filter((c) => c.change === "removed").length,
+      brandProperties: brandProperties.length,
+      affectedTokens: tokens.length,
+      affectedGlobalTokens: tokens.length - componentCount,
+      affectedComponentTokens: componentCount,
+    },
+    changes,
+    downstream: {
+      brandProperties,
+      tokens: tokens.slice(0, limit),
+      ...(tokens.length > limit && {
+        truncated: true,
+        hint: `Showing ${limit} of ${tokens.length} affected tokens; raise 'limit' to see more`,
+      }),
+      ...(downstreamError && { error: downstreamError }),
+    },
+  };
+}
+
+// ============================================================================
+// DESIGN INTENT & GOVERNANCE LAYER
+// ============================================================================
+
+/** Cached design rules — loaded from rules/*.json, reset by invalidateDesignRules() */
+let _cachedRules = null;
+
+/**
+ * Load all design rules from rules/*.json files.
+ * Caches in memory after first load.
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadDesignRules() {
+  if (_cachedRules) return _cachedRules;
+
+  const rules = [];
+  try {
+    await fs.access(RULES_DIR);
+    const files = await fs.readdir(RULES_DIR);
+    const jsonFiles = files.filter((f) => f.endsWith(".json"));
+
+    for (const file of jsonFiles) {
+      try {
+        const content = await fs.readFile(path.join(RULES_DIR, file), "utf-8");
+        const rule = JSON.parse(content);
+        rule._sourceFile = file;
+        rules.push(rule);
+      } catch (e) {
+        console.error(
+          `Warning: failed to parse rule file ${file}: ${e.message}`,
+        );
+      }
+    }
+  } catch {
+    console.error(
+      "Warning: rules/ directory not found, governance layer disabled",
+    );
+  }
+
+  _cachedRules = rules;
+  return rules;
+}
+
+/**
+ * Check if a token name exists in the system (global + component tokens).
+ * @param {string} tokenName - The full token name (e.g., "--ks-text-color-display")
+ * @returns {Promise<boolean>}
+ */
+async function validateTokenExistence(tokenName) {
+  const normalized = tokenName.startsWith("--") ? tokenName : `--${tokenName}`;
+  const names = await loadTokenNameIndex();
+  return names.has(normalized);
+}
+
+/**
+ * Extract the typography category from a token name.
+ * @param {string} tokenName
+ * @returns {string|null} - "display", "copy", "interface", "mono", or null
+ */
+function extractTypographyCategory(tokenName) {
+  if (tokenName.includes("-display")) return "display";
+  if (tokenName.includes("-copy")) return "copy";
+  if (tokenName.includes("-interface")) return "interface";
+  if (tokenName.includes("-mono")) return "mono";
+  return null;
+}
+
+/**
+ * Check if a token is a primitive color token (should use semantic layer instead).
+ * @param {string} tokenName
+ * @returns {boolean}
+ */
+function isPrimitiveColorToken(tokenName) {
+  const primitivePatterns = [
+    /^--ks-color-primary-alpha-/,
+    /^--ks-color-primary-to-/,
+    /^--ks-color-primary-inverted-alpha-/,
+    /^--ks-color-primary-inverted-to-/,
+    /^--ks-color-fg-alpha-/,
+    /^--ks-color-fg-to-/,
+    /^--ks-color-fg-inverted-/,
+    /^--ks-color-bg-inverted/,
+    /^--ks-color-link-to-/,
+    /^--ks-color-link-inverted-to-/,
+    /^--ks-color-positive-alpha-/,
+    /^--ks-color-positive-to-/,
+    /^--ks-color-negative-alpha-/,
+    /^--ks-color-negative-to-/,
+    /^--ks-color-notice-alpha-/,
+    /^--ks-color-notice-to-/,
+    /^--ks-color-informative-alpha-/,
+    /^--ks-color-informative-to-/,
+  ];
+  return primitivePatterns.some((p) => p.test(tokenName));
+}
+
+/**
+ * Detect hardcoded values that should use tokens instead.
+ * @param {string} value - Raw CSS value
+ * @param {string} cssProperty - CSS property name
+ * @returns {{isHardcoded: boolean, suggestion: string|null, category: string|null}}
+ */
+function detectHardcodedValue(value, cssProperty) {
+  if (!value || value.includes("var("))
+    return { isHardcoded: false, suggestion: null, category: null };
+
+  const trimmed = value.trim();
+
+  // Hardcoded colors: hex, rgb, rgba, hsl, hsla, named colors (excluding 'transparent', 'inherit', 'initial', 'currentColor')
+  if (
+    cssProperty === "color" ||
+    cssProperty === "background-color" ||
+    cssProperty === "border-color"
+  ) {
+    if (
+      /^#[0-9a-fA-F]{3,8}$/.test(trimmed) ||
+      /^rgba?\(/.test(trimmed) ||
+      /^hsla?\(/.test(trimmed)
+    ) {
+      return {
+        isHardcoded: true,
+        suggestion:
+          "Use a --ks-text-color-*, --ks-background-color-*, or --ks-border-color-* token",
+        category: "hardcoded-color",
+      };
+    }
+  }
+
+  // Hardcoded spacing: pixel or rem values for spacing properties
+  if (
+    [
+      "padding",
+      "margin",
+      "gap",
+      "padding-top",
+      "padding-bottom",
+      "padding-left",
+      "padding-right",
+      "margin-top",
+      "margin-bottom",
+      "margin-left",
+      "margin-right",
+    ].includes(cssProperty)
+  ) {
+    if (/^\d+(\.\d+)?(px|rem|em)$/.test(trimmed)) {
+      return {
+        isHardcoded: true,
+        suggestion: "Use a --ks-spacing-* token",
+        category: "hardcoded-spacing",
+      };
+    }
+  }
+
+  // Hardcoded border-radius
+  if (cssProperty === "border-radius") {
+    if (/^\d+(\.\d+)?(px|rem|em|%)$/.test(trimmed)) {
+      return {
+        isHardcoded: true,
+        suggestion: "Use a --ks-border-radius-* token",
+        category: "hardcoded-border-radius",
+      };
+    }
+  }
+
+  // Hardcoded font-weight
+  if (cssProperty === "font-weight") {
+    if (/^\d{3}$/.test(trimmed)) {
+      return {
+        isHardcoded: true,
+        suggestion: "Use a --ks-font-weight-* token",
+        category: "hardcoded-font-weight",
+      };
+    }
+  }
+
+  // Hardcoded box-shadow
+  if (cssProperty === "box-shadow") {
+    if (!trimmed.includes("var(") && trimmed !== "none") {
+      return {
+        isHardcoded: true,
+        suggestion: "Use a --ks-box-shadow-* token",
+        category: "hardcoded-box-shadow",
+      };
+    }
+  }
+
+  return { isHardcoded: false, suggestion: null, category: null };
+}
+
+/**
+ * Validate a single token usage against all applicable design rules.
+ * @param {string} tokenName - Token being used (e.g., "--ks-text-color-display")
+ * @param {string} cssProperty - CSS property (e.g., "color")
+ * @param {string|null} element - Element context (e.g., "hero headline")
+ * @param {string|null} designContext - Broad design context (e.g., "hero")
+ * @param {string|null} rawValue - Raw CSS value (for hardcoded detection)
+ * @param {Array} rules - Loaded design rules
+ * @returns {Promise<Array<Object>>} - Array of violations
+ */
+async function validateSingleTokenUsage(
+  tokenName,
+  cssProperty,
+  element,
+  designContext,
+  rawValue,
+  rules,
+) {
+  const violations = [];
+
+  // 1. Hardcoded value detection
+  if (rawValue && !tokenName) {
+    const { isHardcoded, suggestion, category } = detectHardcodedValue(
+      rawValue,
+      cssProperty,
+    );
+    if (isHardcoded) {
+      violations.push({
+        severity: "critical",
+        ruleId: "hardcoded-value",
+        ruleName: "Hardcoded Value Detection",
+        token: rawValue,
+        message: `Hardcoded ${category} value "${rawValue}" for ${cssProperty}. This bypasses the token system and breaks theming.`,
+        suggestion,
+        rationale:
+          "Hardcoded values can't be themed and don't respond to design system changes",
+      });
+    }
+    return violations;
+  }
+
+  if (!tokenName) return violations;
+
+  // 2. Token existence check
+  const exists = await validateTokenExistence(tokenName);
+  if (!exists) {
+    violations.push({
+      severity: "critical",
+      ruleId: "token-existence",
+      ruleName: "Phantom Token Detection",
+      token: tokenName,
+      message: `Phantom token: "${tokenName}" does not exist in the design system. It will silently fail at runtime.`,
+      suggestion:
+        "Search for similar tokens using search_tokens or get_color_palette",
+      rationale:
+        "Phantom tokens produce invisible failures — the CSS property falls through to inherited/initial value",
+    });
+    return violations; // No point checking intent if token doesn't exist
+  }
+
+  // 3. Semantic layer check — primitive color tokens used directly
+  if (isPrimitiveColorToken(tokenName)) {
+    const semanticRule = rules.find((r) => r.id === "color-semantic-layer");
+    violations.push({
+      severity: "warning",
+      ruleId: "color-semantic-layer",
+      ruleName: semanticRule?.name || "Use Semantic Color Tokens",
+      token: tokenName,
+      message: `Primitive color token "${tokenName}" used directly. Prefer semantic tokens (--ks-text-color-*, --ks-background-color-*, --ks-border-color-*).`,
+      suggestion:
+        semanticRule?.semanticAlternatives?.[cssProperty] ||
+        "Use the appropriate semantic color token layer",
+      rationale:
+        "Primitive color tokens bypass the semantic layer, making intent unclear and theming fragile",
+    });
+  }
+
+  // 4. Text-color hierarchy check
+  const textColorRule = rules.find((r) => r.id === "text-color-hierarchy");
+  if (textColorRule && tokenName.startsWith("--ks-text-color-")) {
+    const baseTokenName = tokenName
+      .replace(/-inverted/, "")
+      .replace(/-(interactive|hover|active|selected|base).*/, "");
+    const tokenConfig = textColorRule.tokens?.[baseTokenName];
+    if (tokenConfig && element) {
+      const elementLower = element.toLowerCase();
+      const contextLower = (designContext || "").toLowerCase();
+      const allContext = `${elementLower} ${contextLower}`.trim();
+
+      // Fuzzy match: stem common suffixes so "headline" matches "headings", "buttons" matches "button", etc.
+      const stem = (s) =>
+        s.replace(/s$/, "").replace(/ing$/, "").replace(/line$/, "line");
+
+      const isInvalid = tokenConfig.invalidContexts?.some((ctx) => {
+        const ctxNorm = ctx.toLowerCase().replace(/-/g, " ");
+        return (
+          allContext.includes(ctxNorm) ||
+          ctxNorm.split(" ").some((w) => allContext.includes(stem(w)))
+        );
+      });
+
+      if (isInvalid) {
+        const validTokens = Object.entries(textColorRule.tokens)
+          .filter(([, cfg]) =>
+            cfg.validContexts?.some((ctx) => {
+              const ctxNorm = ctx.toLowerCase().replace(/-/g, " ");
+              return (
+                allContext.includes(ctxNorm) ||
+                ctxNorm.split(" ").some((w) => allContext.includes(stem(w)))
+              );
+            }),
+          )
+          .map(([name]) => name);
+
+        violations.push({
+          severity: "warning",
+          ruleId: "text-color-hierarchy",
+          ruleName: textColorRule.name,
+          token: tokenName,
+          message: `"${tokenName}" used for "${element}"${designContext ? ` in ${designContext} context` : ""} — this token is for ${tokenConfig.role}.`,
+          suggestion:
+            validTokens.length > 0
+              ? `Consider using ${validTokens.join(" or ")} instead`
+              : `Check the text-color hierarchy for the appropriate token`,
+          rationale: tokenConfig.rationale,
+        });
+      }
+    }
+  }
+
+  // 5. Background-color layer check
+  const bgRule = rules.find((r) => r.id === "background-color-layers");
+  if (bgRule && tokenName.startsWith("--ks-background-color-")) {
+    const baseTokenName = tokenName
+      .replace(/-inverted/, "")
+      .replace(
+        /-(interactive|hover|active|selected|disabled|base|translucent).*/,
+        "",
+      );
+    const tokenConfig = bgRule.tokens?.[baseTokenName];
+    if (tokenConfig && element) {
+      const allContext =
+        `${element.toLowerCase()} ${(designContext || "").toLowerCase()}`.trim();
+      const isInvalid = tokenConfig.invalidContexts?.some((ctx) =>
+        allContext.includes(ctx.toLowerCase().replace(/-/g, " ")),
+      );
+      if (isInvalid) {
+        violations.push({
+          severity: "info",
+          ruleId: "background-color-layers",
+          ruleName: bgRule.name,
+          token: tokenName,
+          message: `"${tokenName}" used for "${element}"${designContext ? ` in ${designContext} context` : ""} — this token is for ${tokenConfig.role}.`,
+          suggestion: `Check background-color layer hierarchy for the appropriate token`,
+          rationale: tokenConfig.rationale,
+        });
+      }
+    }
+  }
+
+  // 6. Font-family role check
+  const fontFamilyRule = rules.find((r) => r.id === "font-family-roles");
+  if (fontFamilyRule && tokenName.startsWith("--ks-font-family-")) {
+    const tokenConfig = fontFamilyRule.tokens?.[tokenName];
+    if (tokenConfig && element) {
+      const allContext = `${element.toLowerCase()} ${(designContext || "").toLowerCase()}`;
+      const isInvalid = tokenConfig.invalidContexts?.some((ctx) =>
+        allContext.includes(ctx.toLowerCase().replace(/-/g, " ")),
+      );
+      if (isInvalid) {
+        violations.push({
+          severity: "warning",
+          ruleId: "font-family-roles",
+          ruleName: fontFamilyRule.name,
+          token: tokenName,
+          message: `"${tokenName}" used for "${element}" — this font family is for ${tokenConfig.role}.`,
+          suggestion: `Check font-family role assignments for the appropriate token`,
+          rationale: tokenConfig.rationale,
+        });
+      }
+    }
+  }
+
+  // 7. Typography category pairing check
+  const typoPairingRule = rules.find((r) => r.id === "typography-pairing");
+  if (typoPairingRule) {
+    const typoCategory = extractTypographyCategory(tokenName);
+    if (
+      typoCategory &&
+      (tokenName.includes("font-size") || tokenName.includes("line-height"))
+    ) {
+      // This violation is detected at the component level when multiple tokens are checked together
+      // Stored as metadata for component-level validation
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Validate a set of token usages and return all violations.
+ * @param {string} context - What is being validated
+ * @param {string|null} designContext - Broad design context
+ * @param {Array} tokenUsages - Array of {token, cssProperty, element, value}
+ * @returns {Promise<Object>} - Validation response with violations and summary
+ */
+async function validateTokenUsages(context, designContext, tokenUsages) {
+  const rules = await loadDesignRules();
+  const violations = [];
+  let cleanCount = 0;
+
+  for (const usage of tokenUsages) {
+    const tokenViolations = await validateSingleTokenUsage(
+      usage.token || null,
+      usage.cssProperty,
+      usage.element || null,
+      designContext || null,
+      usage.value || null,
+      rules,
+    );
+
+    if (tokenViolations.length === 0) {
+      cleanCount++;
+    } else {
+      violations.push(...tokenViolations);
+    }
+  }
+
+  // Cross-usage checks: typography pairing
+  const typoPairingRule = rules.find((r) => r.id === "typography-pairing");
+  if (typoPairingRule) {
+    const typoCategories = {};
+    for (const usage of tokenUsages) {
+      if (usage.token) {
+        const cat = extractTypographyCategory(usage.token);
+        if (cat) {
+          if (!typoCategories[usage.element || "_root"]) {
+            typoCategories[usage.element || "_root"] = {};
+          }
+          const prop = usage.cssProperty;
+          if (prop.includes("font-size") || prop === "font-size") {
+            typoCategories[usage.element || "_root"].fontSize = {
+              token: usage.token,
+              category: cat,
+            };
+          } else if (prop.includes("line-height") || prop === "line-height") {
+            typoCategories[usage.element || "_root"].lineHeight = {
+              token: usage.token,
+              category: cat,
+            };
+          } else if (prop.includes("font-family") || prop === "font-family") {
+            typoCategories[usage.element || "_root"].fontFamily = {
+              token: usage.token,
+              category: cat,
+            };
+          }
+        }
+      }
+    }
+
+    for (const [element, cats] of Object.entries(typoCategories)) {
+      const categories = new Set(Object.values(cats).map((c) => c.category));
+      if (categories.size > 1) {
+        const details = Object.entries(cats)
+          .map(([prop, c]) => `${prop}: ${c.token} (${c.category})`)
+          .join(", ");
+        violations.push({
+          severity: "warning",
+          ruleId: "typography-pairing",
+          ruleName: typoPairingRule.name || "Typography Category Pairing",
+          token: Object.values(cats)
+            .map((c) => c.token)
+            .join(", "),
+          message: `Typography category mismatch in "${element}": ${details}. Font-size and line-height should come from the same category.`,
+          suggestion: `Align all typography tokens to the same category (display, copy, interface, or mono)`,
+          rationale:
+            typoPairingRule.rule || "Mixing categories breaks vertical rhythm",
+        });
+      }
+    }
+  }
+
+  // Cross-usage checks: text/background contrast per element
+  const contrastRule = rules.find((r) => r.id === "contrast-minimums");
+  if (contrastRule) {
+    const textProperties = contrastRule.textProperties || ["color"];
+    const backgroundProperties = contrastRule.backgroundProperties || [
+      "background-color",
+    ];
+    const pairsByElement = {};
+    for (const usage of tokenUsages) {
+      if (!usage.token) continue;
+      const key = usage.element || "_root";
+      pairsByElement[key] = pairsByElement[key] || {};
+      if (textProperties.includes(usage.cssProperty)) {
+        pairsByElement[key].text = usage.token;
+      } else if (backgroundProperties.includes(usage.cssProperty)) {
+        pairsByElement[key].background = usage.token;
+      }
+    }
+
+    const pairs = Object.entries(pairsByElement).filter(
+      ([, pair]) => pair.text && pair.background,
+    );
+    if (pairs.length > 0) {
+      const { level, minimum, warning } =
+        getRequiredContrastLevel(contrastRule);
+      if (warning) {
+        violations.push({
+          severity: "warning",
+          ruleId: "contrast-minimums",
+          ruleName: contrastRule.name,
+          message: warning,
+          suggestion: `Set requiredLevel to one of: ${Object.keys(WCAG_CONTRAST_LEVELS).join(", ")}`,
+        });
+      }
+      const lookup = await buildTokenLookup();
+      for (const selector of contrastRule.contexts ||
+        DEFAULT_CONTRAST_CONTEXTS) {
+        const contextLookup = buildContextLookup(lookup, selector);
+        for (const [element, pair] of pairs) {
+          const text = pair.text.startsWith("--")
+            ? pair.text
+            : `--${pair.text}`;
+          const background = pair.background.startsWith("--")
+            ? pair.background
+            : `--${pair.background}`;
+          const result = checkContrastInContext(
+            text,
+            background,
+            contextLookup,
+          );
+          if (result.error || result.ratio >= minimum) continue;
+          violations.push({
+            severity: contrastRule.severity || "critical",
+            ruleId: "contrast-minimums",
+            ruleName: contrastRule.name,
+            token: `${text}, ${background}`,
+            message: `Contrast ratio ${result.ratio}:1 between "${text}" (${result.text.value}) and "${background}" (${result.background.value}) in "${element}" is below WCAG ${level} (${minimum}:1) in ${selector}.`,
+            suggestion: `Use a text color or background with more contrast in ${selector}; check the pair with 'check_contrast'`,
+            rationale: contrastRule.rule,
+          });
+        }
+      }
+    }
+  }
+
+  return {
+    context,
+    designContext: designContext || "unspecified",
+    totalUsages: tokenUsages.length,
+    violations,
+    summary: {
+      critical: violations.filter((v) => v.severity === "critical").length,
+      warning: violations.filter((v) => v.severity === "warning").length,
+      info: violations.filter((v) => v.severity === "info").length,
+      clean: cleanCount,
+    },
+  };
+}
+
+/**
+ * Recommend tokens for a given design context and CSS property.
+ * @param {string} cssProperty
+ * @param {string} element
+ * @param {string|null} designContext
+ * @param {{interactive?: boolean, inverted?: boolean}} options
+ * @returns {Promise<Object>}
+ */
+async function recommendTokenForContext(
+  cssProperty,
+  element,
+  designContext,
+  options = {},
+) {
+  const rules = await loadDesignRules();
+  const recommendations = [];
+  const avoid = [];
+  const elementLower = element.toLowerCase();
+  const contextLower = (designContext || "").toLowerCase();
+  const allContext = `${elementLower} ${contextLower}`;
+
+  // Find applicable rules based on CSS property
+  const applicableRules = [];
+
+  if (cssProperty === "color") {
+    const rule = rules.find((r) => r.id === "text-color-hierarchy");
+    if (rule) applicableRules.push(rule);
+  } else if (cssProperty === "background-color") {
+    const rule = rules.find((r) => r.id === "background-color-layers");
+    if (rule) applicableRules.push(rule);
+  } else if (cssProperty === "font-family") {
+    const rule = rules.find((r) => r.id === "font-family-roles");
+    if (rule) applicableRules.push(rule);
+  } else if (cssProperty === "box-shadow") {
+    const rule = rules.find((r) => r.id === "elevation-hierarchy");
+    if (rule) applicableRules.push(rule);
+  } else if (cssProperty === "border-radius") {
+    const rule = rules.find((r) => r.id === "border-radius-scale");
+    if (rule) applicableRules.push(rule);
+  } else if (["padding", "margin", "gap"].includes(cssProperty)) {
+    const rule = rules.find((r) => r.id === "spacing-scale");
+    if (rule) applicableRules.push(rule);
+  } else if (cssProperty === "transition") {
+    const rule = rules.find((r) => r.id === "transition-consistency");
+    if (rule) applicableRules.push(rule);
+  }
+
+  for (const rule of applicableRules) {
+    // Handle scale-based rules (elevation, spacing, border-radius)
+    if (rule.scale) {
+      for (const level of rule.scale) {
+        const matchesValid = level.validContexts?.some((ctx) =>
+          allContext.includes(ctx.toLowerCase().replace(/-/g, " ")),
+        );
+        const matchesInvalid = level.invalidContexts?.some((ctx) =>
+          allContext.includes(ctx.toLowerCase().replace(/-/g, " ")),
+        );
+
+        if (matchesValid && !matchesInvalid) {
+          const rec = {
+            rank: recommendations.length + 1,
+            token:
+              options.inverted && level.token.includes("-inverted")
+                ? level.token
+                : level.token,
+            confidence: "high",
+            rationale: `${level.label}: ${level.purpose}`,
+          };
+          if (level.hoverToken && options.interactive) {
+            rec.interactiveStates = { hover: level.hoverToken };
+          }
+          recommendations.push(rec);
+        } else if (matchesInvalid) {
+          avoid.push({
+            token: level.token,
+            reason: `${level.label} elevation is for ${level.purpose} — not appropriate for ${element}`,
+          });
+        }
+      }
+    }
+
+    // Handle token-map rules (text-color, background-color, font-family)
+    if (rule.tokens) {
+      for (const [tokenName, config] of Object.entries(rule.tokens)) {
+        const matchesValid = config.validContexts?.some((ctx) =>
+          allContext.includes(ctx.toLowerCase().replace(/-/g, " ")),
+        );
+        const matchesInvalid = config.invalidContexts?.some((ctx) =>
+          allContext.includes(ctx.toLowerCase().replace(/-/g, " ")),
+        );
+
+        const resolvedToken =
+          options.inverted && !tokenName.includes("-inverted")
+            ? tokenName.replace(/(--ks-[a-z-]+)/, "$1-inverted")
+            : tokenName;
+
+        if (matchesValid && !matchesInvalid) {
+          const rec = {
+            rank: recommendations.length + 1,
+            token: resolvedToken,
+            confidence: "high",
+            rationale: config.role,
+          };
+
+          // Add pairing info if available
+          const pairingRules = rule.pairingRules?.find(
+            (p) => p.token === tokenName || p.fontFamily === tokenName,
+          );
+          if (pairingRules) {
+            rec.pairWith = [];
+            if (pairingRules.expectedFontFamily) {
+              rec.pairWith.push({
+                cssProperty: "font-family",
+                token: pairingRules.expectedFontFamily,
+              });
+            }
+            if (pairingRules.expectedLineHeight) {
+              rec.pairWith.push({
+                cssProperty: "line-height",
+                pattern: pairingRules.expectedLineHeight,
+              });
+            }
+            if (pairingRules.expectedFontSize) {
+              rec.pairWith.push({
+                cssProperty: "font-size",
+                pattern: pairingRules.expectedFontSize,
+              });
+            }
+            if (pairingRules.expectedTextColor) {
+              rec.pairWith.push({
+                cssProperty: "color",
+                token: pairingRules.expectedTextColor,
+              });
+            }
+          }
+
+          // Add interactive state tokens if requested
+          if (options.interactive) {
+            const interactiveBase = `${resolvedToken}-interactive`;
+            rec.interactiveStates = {
+              base: interactiveBase,
+              hover: `${interactiveBase}-hover`,
+              active: `${interactiveBase}-active`,
+            };
+          }
+
+          recommendations.push(rec);
+        } else if (matchesInvalid) {
+          avoid.push({
+            token: tokenName,
+            reason: `${config.role} — not appropriate for ${element}. ${config.rationale || ""}`,
+          });
+        }
+      }
+    }
+  }
+
+  // If no specific match, try returning the full hierarchy for the property
+  if (recommendations.length === 0 && applicableRules.length > 0) {
+    const rule = applicableRules[0];
+    if (rule.tokens) {
+      for (const [tokenName, config] of Object.entries(rule.tokens)) {
+        recommendations.push({
+          rank: recommendations.length + 1,
+          token: tokenName,
+          confidence: "low",
+          rationale: `${config.role} — review if this matches your "${element}" context`,
+        });
+      }
+    }
+    if (rule.scale) {
+      for (const level of rule.scale) {
+        recommendations.push({
+          rank: recommendations.length + 1,
+          token: level.token,
+          confidence: "low",
+          rationale: `${level.label}: ${level.purpose} — review if this matches your "${element}" context`,
+        });
+      }
+    }
+  }
+
+  return {
+    cssProperty,
+    element,
+    designContext: designContext || "unspecified",
+    recommendations,
+    avoid,
+  };
+}
+
+/**
+ * Get the semantic hierarchy for a token category.
+ * @param {string} category - e.g., "text-color", "elevation", "spacing"
+ * @returns {Promise<Object>}
+ */
+async function getTokenHierarchy(category) {
+  const rules = await loadDesignRules();
+
+  const categoryRuleMap = {
+    "text-color": "text-color-hierarchy",
+    "background-color": "background-color-layers",
+    elevation: "elevation-hierarchy",
+    "font-family": "font-family-roles",
+    "font-size": "typography-pairing",
+    spacing: "spacing-scale",
+    "border-radius": "border-radius-scale",
+    "line-height": "typography-pairing",
+    transition: "transition-consistency",
+  };
+
+  const ruleId = categoryRuleMap[category];
+  if (!ruleId) {
+    return {
+      error: `Unknown category: ${category}. Available: ${Object.keys(categoryRuleMap).join(", ")}`,
+    };
+  }
+
+  const rule = rules.find((r) => r.id === ruleId);
+  if (!rule) {
+    return { error: `Rule "${ruleId}" not found in rules/ directory` };
+  }
+
+  const result = {
+    category,
+    ruleId: rule.id,
+    name: rule.name,
+    description: rule.description,
+    severity: rule.severity,
+  };
+
+  if (rule.scale) {
+    result.hierarchy = rule.scale;
+  }
+  if (rule.tokens) {
+    result.hierarchy = Object.entries(rule.tokens).map(([name, config], i) => ({
+      level: i + 1,
+      token: name,
+      role: config.role,
+      validContexts: config.validContexts,
+      invalidContexts: config.invalidContexts,
+      rationale: config.rationale,
+    }));
+  }
+  if (rule.pairingRules) {
+    result.pairingRules = rule.pairingRules;
+  }
+  if (rule.categories) {
+    result.typographyCategories = rule.categories;
+  }
+  if (rule.spacingTypes) {
+    result.spacingTypes = rule.spacingTypes;
+  }
+
+  return result;
+}
+
+/**
+ * Audit all tokens for a single component against design rules.
+ * @param {string} componentSlug - Component slug (e.g., "button")
+ * @returns {Promise<Object>}
+ */
+async function auditComponentTokens(componentSlug) {
+  const registry = await loadComponentRegistry();
+  const config = registry.files[componentSlug];
+  if (!config) {
+    return {
+      error: `Component "${componentSlug}" not found. Use list_components to see available components.`,
+    };
+  }
+
+  const tokens = await parseAllComponentTokens(componentSlug);
+  const rules = await loadDesignRules();
+  const violations = [];
+
+  // Track state tokens for completeness checks
+  const stateMap = {}; // variant+property → set of states
+
+  for (const token of tokens) {
+    const { valueType, referencedToken } = classifyTokenValue(token.value);
+
+    // Check referenced token existence
+    if (referencedToken) {
+      const exists = await validateTokenExistence(referencedToken);
+      if (!exists) {
+        violations.push({
+          severity: "critical",
+          ruleId: referencedToken.startsWith("--dsa-")
+            ? "component-reference-validity"
+            : "token-existence",
+          ruleName: referencedToken.startsWith("--dsa-")
+            ? "Component Cross-Reference Validity"
+            : "Phantom Token Detection",
+          token: token.name,
+          referencedToken,
+          message: `Token "${token.name}" references "${referencedToken}" which does not exist in the design system.`,
+          suggestion: "Search for the correct token name using search_tokens",
+          rationale: "Phantom tokens silently fail at runtime",
+        });
+      }
+
+      // Check semantic layer usage
+      if (isPrimitiveColorToken(referencedToken)) {
+        violations.push({
+          severity: "warning",
+          ruleId: "color-semantic-layer",
+          ruleName: "Use Semantic Color Tokens",
+          token: token.name,
+          referencedToken,
+          message: `Token "${token.name}" references primitive color "${referencedToken}". Prefer semantic color tokens.`,
+          suggestion:
+            "Use --ks-text-color-*, --ks-background-color-*, or --ks-border-color-* instead",
+          rationale: "Primitive color tokens bypass the semantic layer",
+        });
+      }
+    }
+
+    // Check hardcoded values
+    if (valueType === "literal" && token.value) {
+      const { isHardcoded, suggestion, category } = detectHardcodedValue(
+        token.value,
+        token.cssProperty,
+      );
+      if (isHardcoded) {
+        violations.push({
+          severity: "critical",
+          ruleId: "hardcoded-value",
+          ruleName: "Hardcoded Value Detection",
+          token: token.name,
+          message: `Hardcoded ${category} value "${token.value}" in ${token.cssProperty}. Use a design token instead.`,
+          suggestion,
+          rationale:
+            "Hardcoded values bypass the token system and break theming",
+        });
+      }
+    }
+
+    // Track states for completeness check
+    if (token.state) {
+      const key = `${token.variant || "_base"}::${token.cssProperty}`;
+      if (!stateMap[key]) stateMap[key] = { states: new Set(), tokens: [] };
+      stateMap[key].states.add(token.state);
+      stateMap[key].tokens.push(token.name);
+    }
+  }
+
+  // Interactive state completeness check
+  const stateRule = rules.find(
+    (r) => r.id === "interactive-state-completeness",
+  );
+  if (stateRule) {
+    for (const [key, data] of Object.entries(stateMap)) {
+      const colorProps = ["color", "background-color", "border-color"];
+      const [, prop] = key.split("::");
+      if (colorProps.includes(prop)) {
+        const required = stateRule.stateGroups?.["color-states"]
+          ?.requiredStates || ["hover", "active"];
+        const missing = required.filter((s) => !data.states.has(s));
+        if (missing.length > 0) {
+          violations.push({
+            severity: "warning",
+            ruleId: "interactive-state-completeness",
+            ruleName: stateRule.name,
+            token: data.tokens.join(", "),
+            message: `Incomplete interactive states for ${key}: has [${[...data.states].join(", ")}] but missing [${missing.join(", ")}].`,
+            suggestion: `Add ${missing.map((s) => `_${s}`).join(", ")} state token(s) for complete interaction feedback`,
+            rationale:
+              "Incomplete state sets create gaps in interaction feedback",
+          });
+        }
+      }
+    }
+  }
+
+  // Sort violations by severity
+  const severityOrder = { critical: 0, warning: 1, info: 2 };
+  violations.sort(
+    (a, b) => severityOrder[a.severity] - severityOrder[b.severity],
+  );
+
+  return {
+    component: componentSlug,
+    file: config.file,
+    category: config.category,
+    totalTokens: tokens.length,
+    totalViolations: violations.length,
+    violations,
+    summary: {
+      critical: violations.filter((v) => v.severity === "critical").length,
+      warning: violations.filter((v) => v.severity === "warning").length,
+      info: violations.filter((v) => v.severity === "info").length,
+    },
+  };
+}
+
+/**
+ * Batch audit across all components, returning a summary table.
+ * @param {string} category - Component category filter ("all" for all)
+ * @param {string} minSeverity - Minimum severity to include ("info", "warning", "critical")
+ * @param {{checkContrast?: boolean}} options - checkContrast pairs each
+ *   component's color/background-color tokens like check_contrast and reports
+ *   the pairs below the level of the contrast-minimums rule in any of its
+ *   contexts; text colors without a sibling background are only listed
+ * @returns {Promise<Object>}
+ */
+async function auditAllComponents(
+  category = "all",
+  minSeverity = "info",
+  options = {},
+) {
+  const severityOrder = { critical: 0, warning: 1, info: 2 };
+  const minSev = severityOrder[minSeverity] ?? 2;
+
+  const registry = await loadComponentRegistry();
+  const components = Object.entries(registry.files)
+    .filter(([slug, config]) => {
+      if (category === "all") return true;
+      return config.category === category;
+    })
+    .map(([slug]) => slug)
+    .sort();
+
+  const results = [];
+  let totalCritical = 0;
+  let totalWarning = 0;
+  let totalInfo = 0;
+  let totalTokens = 0;
+
+  // Contrast lookups are built once and shared by every component
+  const contrast = options.checkContrast
+    ? { pairsChecked: 0, withoutBackground: [], failures: [], unresolved: [] }
+    : null;
+  const contextLookups = [];
+  let contrastContexts = DEFAULT_CONTRAST_CONTEXTS;
+  let required = null;
+  if (contrast) {
+    const contrastRule = (await loadDesignRules()).find(
+      (r) => r.id === "contrast-minimums",
+    );
+    contrastContexts = contrastRule?.contexts || DEFAULT_CONTRAST_CONTEXTS;
+    required = getRequiredContrastLevel(contrastRule);
+    const lookup = await buildTokenLookup();
+    for (const selector of contrastContexts) {
+      contextLookups.push([selector, buildContextLookup(lookup, selector)]);
+    }
+  }
+
+  for (const slug of components) {
+    const audit = await auditComponentTokens(slug);
+    if (audit.error) continue;
+
+    let contrastFailures = 0;
+    if (contrast) {
+      const pairs = pairComponentColorTokens(
+        await parseAllComponentTokens(slug),
+      );
+      for (const pair of pairs) {
+        const { component, ...pairInfo } = pair;
+        // The real background of a text color without a sibling background
+        // token is set elsewhere (a parent element, another component), so
+        // these are listed without a verdict
+        if (!pair.backgroundToken) {
+          const { backgroundToken, ...textInfo } = pairInfo;
+          contrast.withoutBackground.push({ component, ...textInfo });
+          continue;
+        }
+        contrast.pairsChecked++;
+        const failingContexts = {};
+        for (const [selector, contextLookup] of contextLookups) {
+          const result = checkContrastInContext(
+            pair.textToken,
+            pair.backgroundToken,
+            contextLookup,
+          );
+          if (result.error) {
+            contrast.unresolved.push({
+              component,
+              ...pairInfo,
+              context: selector,
+              error: result.error,
+            });
+          } else if (!result[required.level]) {
+            failingContexts[selector] = {
+              ratio: result.ratio,
+              text: result.text.value,
+              background: result.background.value,
+              ...(result.effectiveBackground && {
+                effectiveBackground: result.effectiveBackground,
+              }),
+            };
+          }
+        }
+        const ratios = Object.values(failingContexts).map((c) => c.ratio);
+        if (ratios.length > 0) {
+          contrastFailures++;
+          contrast.failures.push({
+            component,
+            ...pairInfo,
+            lowestRatio: Math.min(...ratios),
+            contexts: failingContexts,
+          });
+        }
+      }
+    }
+
+    const filteredViolations = audit.violations.filter(
+      (v) => severityOrder[v.severity] <= minSev,
+    );
+
+    const crit = filteredViolations.filter(
+      (v) => v.severity === "critical",
+    ).length;
+    const warn = filteredViolations.filter(
+      (v) => v.severity === "warning",
+    ).length;
+    const info = filteredViolations.filter((v) => v.severity === "info").length;
+    const total = crit + warn + info;
+
+    totalCritical += crit;
+    totalWarning += warn;
+    totalInfo += info;
+    totalTokens += audit.totalTokens;
+
+    results.push({
+      component: slug,
+      category: registry.files[slug].category,
+      tokens: audit.totalTokens,
+      critical: crit,
+      warning: warn,
+      info: info,
+      total,
+      ...(contrast && { contrastFailures }),
+    });
+  }
+
+  return {
+    scope: category === "all" ? "All components" : `Category: ${category}`,
+    componentsScanned: results.length,
+    totalTokens,
+    summary: results,
+    totals: {
+      critical: totalCritical,
+      warning: totalWarning,
+      info: totalInfo,
+      total: totalCritical + totalWarning + totalInfo,
+    },
+    ...(contrast && {
+      contrast: {
+        contexts: contrastContexts,
+        requiredLevel: required.level,
+        minimumRatio: required.minimum,
+        ...(required.warning && { warnings: [required.warning] }),
+        pairsChecked: contrast.pairsChecked,
+        failing: contrast.failures.length,
+        failures: contrast.failures.sort(
+          (a, b) => a.lowestRatio - b.lowestRatio,
+        ),
+        ...(contrast.unresolved.length > 0 && {
+          unresolved: contrast.unresolved,
+        }),
+        withoutBackground: contrast.withoutBackground,
+      },
+    }),
+  };
+}
+
+// Create MCP server instance
+const server = new Server(
+  {
+    name: "design-tokens-server",
+    version: "4.0.0",
+  },
+  {
+    capabilities: {
+      tools: {},
+    },
+  },
+);
+
+/** Optional `theme` argument shared by the theme-aware tools */
+const THEME_ARGUMENT_SCHEMA = {
+  type: "string",
+  description:
+    "Theme to read or write instead of the active one (see list_themes)",
+};
+
+/**
+ * Register all MCP tool handlers on a given Server instance.
+ * Extracted so that both stdio and HTTP session servers share the same logic.
+ * @param {Server} srv
+ * @param {Object} [options]
+ * @param {boolean} [options.stateless=false] - Each request gets its own server (HTTP mode), so nothing can be kept between calls
+ * @param {string} [options.transport="stdio"] - Transport the server answers on, journaled with each change
+ */
+function registerHandlers(srv, options = {}) {
+  // Tool definitions
+  srv.setRequestHandler(ListToolsRequestSchema, async () => {
+    // Category enums follow the discovered component registry
+    const componentCategories = Object.keys(
+      (await loadComponentRegistry()).categories,
+    );
+
+    return {
+      tools: [
+        {
+          name: "get_token",
+          description:
+            "Retrieve the value of a specific design token by name. Returns the token value along with its source file and category, plus the full var() reference chain down to the final literal value.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description:
+                  "The token name (e.g., 'ks-brand-color-primary' or '--ks-brand-color-primary')",
+              },
+              resolve: {
+                type: "boolean",
+                description:
+                  "Follow var() references (including fallbacks) to the final value and return the chain. Cycles and dead ends are reported instead of followed (default: true)",
+                default: true,
+              },
+              computed: {
+                type: "boolean",
+                description:
+                  "Evaluate calc() and color-mix() expressions and add a concrete computedValue (e.g. '16px', '#3065c080'), in the resolved block or, with resolve: false, next to the raw value. Default: false",
+                default: false,
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+            required: ["name"],
+          },
+        },
+        {
+          name: "list_tokens",
+          description:
+            "List design tokens with optional filtering. Can filter by file, category, or name prefix. Returns paginated results for large token sets.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              file: {
+                type: "string",
+                enum: Object.keys(TOKEN_FILES),
+                description:
+                  "Filter by source file (e.g., 'branding', 'color', 'spacing')",
+              },
+              category: {
+                type: "string",
+                description:
+                  "Filter by category pattern in token name (e.g., 'color', 'font', 'spacing')",
+              },
+              prefix: {
+                type: "string",
+                description:
+                  "Filter by token name prefix (e.g., 'ks-brand', 'ks-color-primary')",
+              },
+              limit: {
+                type: "number",
+                description: "Maximum number of tokens to return (default: 50)",
+                default: 50,
+              },
+              offset: {
+                type: "number",
+                description:
+                  "Number of tokens to skip for pagination (default: 0)",
+                default: 0,
+              },
+              includeComponentTokens: {
+                type: "boolean",
+                description:
+                  "Include component-level design tokens (--dsa-*) alongside global tokens (default: false)",
+                default: false,
+              },
+              computed: {
+                type: "boolean",
+                description:
+                  "Evaluate calc() and color-mix() expressions and add a concrete computedValue to each token (e.g. '16px', '#3065c080'). Default: false",
+                default: false,
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "list_files",
+          description:
+            "List all available token files with their descriptions and token counts. Includes both global token files and optionally component token files.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              includeComponentFiles: {
+                type: "boolean",
+                description:
+                  "Include component token files from tokens/componentToken/ (default: true)",
+                default: true,
+              },
+            },
+          },
+        },
+        {
+          name: "get_token_stats",
+          description:
+            "Get statistics about the token system including counts by file, category, and prefix.",
+          inputSchema: {
+            type: "object",
+            properties: {},
+          },
+        },
+        {
+          name: "search_tokens",
+          description:
+            "Search for design tokens by pattern in names or values. Supports filtering by file and semantic type.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              pattern: {
+                type: "string",
+                description: "Search pattern (case-insensitive)",
+              },
+              searchIn: {
+                type: "string",
+                enum: ["name", "value", "both"],
+                description: "Where to search (default: 'both')",
+                default: "both",
+              },
+              file: {
+                type: "string",
+                enum: Object.keys(TOKEN_FILES),
+                description: "Limit search to specific file",
+              },
+              limit: {
+                type: "number",
+                description: "Maximum results to return (default: 50)",
+                default: 50,
+              },
+              includeComponentTokens: {
+                type: "boolean",
+                description:
+                  "Include component-level design tokens (--dsa-*) in search results (default: false)",
+                default: false,
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+            required: ["pattern"],
+          },
+        },
+        {
+          name: "get_tokens_by_type",
+          description:
+            "Get tokens by semantic type (interactive states, scales, responsive values, etc.)",
+          inputSchema: {
+            type: "object",
+            properties: {
+              type: {
+                type: "string",
+                enum: [
+                  "interactive",
+                  "inverted",
+                  "scale",
+                  "base",
+                  "responsive",
+                  "sizing",
+                ],
+                description:
+                  "Semantic type: 'interactive' (hover/active/selected), 'inverted' (dark mode), 'scale' (alpha/mixing scales), 'base' (base tokens), 'responsive' (breakpoint), 'sizing' (xxs-xxl)",
+              },
+              file: {
+                type: "string",
+                enum: Object.keys(TOKEN_FILES),
+                description: "Limit to specific file",
+              },
+              limit: {
+                type: "number",
+                description: "Maximum results (default: 50)",
+                default: 50,
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+            required: ["type"],
+          },
+        },
+        {
+          name: "get_color_palette",
+          description:
+            "Get all color-related tokens organized by color type (primary, positive, negative, etc.). Useful for understanding the full color system.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              colorType: {
+                type: "string",
+                enum: [
+                  "primary",
+                  "positive",
+                  "negative",
+                  "informative",
+                  "notice",
+                  "fg",
+                  "bg",
+                  "link",
+                ],
+                description: "Filter by specific color type",
+              },
+              includeScales: {
+                type: "boolean",
+                description:
+                  "Include alpha/mixing scale variants (default: false)",
+                default: false,
+              },
+              computed: {
+                type: "boolean",
+                description:
+                  "Evaluate calc() and color-mix() expressions and add a concrete computedValue to each token (e.g. '16px', '#3065c080'). Default: false",
+                default: false,
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "get_typography_tokens",
+          description:
+            "Get typography-related tokens (font families, weights, sizes, line heights).",
+          inputSchema: {
+            type: "object",
+            properties: {
+              fontType: {
+                type: "string",
+                enum: ["display", "copy", "interface", "mono"],
+                description: "Filter by font type",
+              },
+              property: {
+                type: "string",
+                enum: ["family", "weight", "size", "line-height"],
+                description: "Filter by property type",
+              },
+              computed: {
+                type: "boolean",
+                description:
+                  "Evaluate calc() and color-mix() expressions and add a concrete computedValue to each token (e.g. '16px', '#3065c080'). Default: false",
+                default: false,
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "get_spacing_tokens",
+          description:
+            "Get spacing tokens (margins, padding, gaps) with their scale values.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              size: {
+                type: "string",
+                enum: ["xxs", "xs", "s", "m", "l", "xl", "xxl"],
+                description: "Filter by specific size",
+              },
+              type: {
+                type: "string",
+                enum: ["stack", "inline", "inset", "base"],
+                description: "Filter by spacing type",
+              },
+              computed: {
+                type: "boolean",
+                description:
+                  "Evaluate calc() and color-mix() expressions and add a concrete computedValue to each token (e.g. '16px', '#3065c080'). Default: false",
+                default: false,
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "compute_token",
+          description:
+            "Compute the concrete value of a token or CSS expression. Resolves every var() reference and evaluates calc() (px, rem, em, ms, s and unitless factors; rem/em are converted to px at 16px) and color-mix(in srgb, ...) into plain values, e.g. '--ks-color-primary-alpha-5' → '#3065c080'.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description:
+                  "Token name to compute (e.g., 'ks-spacing-m' or '--ks-color-primary-alpha-5')",
+              },
+              expression: {
+                type: "string",
+                description:
+                  "Ad-hoc CSS value to compute instead of a token (e.g., 'calc(var(--ks-spacing-m) * 2)')",
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "get_token_dependents",
+          description:
+            "Impact analysis before changing a token: find every global and component token that references it through var(), directly or through other tokens (e.g. '--ks-color-primary' → '--ks-color-primary-alpha-5' → '--dsa-hero__overlay--background'). Dependents are grouped by token category and by component, with the depth of each reference and the token it goes through.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description:
+                  "Token name (e.g., 'ks-color-primary' or '--ks-border-radius-control')",
+              },
+              maxDepth: {
+                type: "number",
+                description:
+                  "Only follow references this many levels deep; 1 returns direct dependents only (default: unlimited)",
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+            required: ["name"],
+          },
+        },
+        {
+          name: "export_tokens",
+          description:
+            "Export global and component tokens in the W3C Design Tokens Community Group (DTCG) format, as consumed by Style Dictionary and Figma plugins. Global tokens are grouped by category, component tokens by component. Each token gets a $value, a $type inferred from its category and property (color, dimension, number, fontFamily, fontWeight, duration, cubicBezier) and its comment as $description. Plain var() references become aliases like '{color.ks-color-primary}'; calc() and color-mix() values are exported as their computed value with the CSS source in $extensions. Returns a summary followed by the .tokens.json document.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              include: {
+                type: "string",
+                enum: ["all", "global", "components"],
+                description:
+                  "Which tokens to export (default: all)",
+                default: "all",
+              },
+              category: {
+                type: "string",
+                description:
+                  "Only export one global token category (e.g., 'text-color') or component category (e.g., 'forms')",
+              },
+              component: {
+                type: "string",
+                description:
+                  "Only export the tokens of one component (e.g., 'button')",
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "import_tokens",
+          description:
+            "Import a W3C DTCG token file (e.g. exported from Tokens Studio or export_tokens). Brand-level tokens are mapped onto branding-token.json paths (e.g. 'color.primary', 'font.copy.family', 'fontWeight.bold' → 'font-weight.bold'), other tokens onto existing --ks-* and component tokens by name, and aliases onto var() references to the matching tokens. By default only a preview is returned: the branding and token changes, unified diffs, validation results and the tokens that couldn't be mapped. Pass apply: true to write; nothing is written if validation fails.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              file: {
+                type: "string",
+                description:
+                  "Path to a .tokens.json file in the tokens or themes directory (relative paths start at the tokens directory)",
+              },
+              tokens: {
+                type: "object",
+                description:
+                  "DTCG document to import instead of a file",
+              },
+              apply: {
+                type: "boolean",
+                description:
+                  "Write the changes instead of previewing them (default: false)",
+                default: false,
+              },
+              regenerateCss: {
+                type: "boolean",
+                description:
+                  "Regenerate branding-tokens.css along with the branding changes; the preview includes its diff (default: false)",
+                default: false,
+              },
+              force: {
+                type: "boolean",
+                description:
+                  "Write even if token validation reports errors such as references to missing tokens (default: false)",
+                default: false,
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "generate_tailwind_config",
+          description:
+            "Generate a Tailwind CSS config whose theme.extend refers back to the --ks-* custom properties, so utilities like bg-card, text-copy, p-inset-m or rounded-card follow the token CSS, including inverted sections and themes. Covers colors (plus backgroundColor, textColor and borderColor from the semantic color tokens), spacing, fontFamily, fontSize with line-heights, borderRadius, boxShadow, screens and transitionDuration. Scales come from the design rules; screens are pixel values from the branding breakpoints, since media queries can't use custom properties. Returns a summary followed by the config file.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              format: {
+                type: "string",
+                enum: TAILWIND_CONFIG_FORMATS,
+                description:
+                  "Config file format: CommonJS (tailwind.config.js), ES module (tailwind.config.mjs) or JSON of the theme (default: cjs)",
+                default: "cjs",
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "export_token_constants",
+          description:
+            "Generate a TypeScript (or JavaScript) module with typed token names, so typos in token strings fail the type check instead of becoming phantom tokens. Contains a string-literal union of every --ks-* and component token name (TokenName), a 'tokens' object with global tokens grouped by category (tokens.textColor.copy) and component tokens nested by component, element, variant, property and state (tokens.button.primary.backgroundColor.hover), and a cssVar() helper. Token comments and sections become JSDoc. Returns a summary followed by the module.",
+          inputSchema: {
+            type: "object",
             properties: {
-              name: {
+              format: {
                 type: "string",
+                enum: TOKEN_CONSTANTS_FORMATS,
                 description:
-                  "The token name (e.g., 'ks-brand-color-primary' or '--ks-brand-color-primary')",
+                  "Module format: TypeScript, or JavaScript with JSDoc types (default: ts)",
+                default: "ts",
+              },
+              include: {
+                type: "string",
+                enum: ["all", "global", "components"],
+                description: "Which tokens to export (default: all)",
+                default: "all",
+              },
+              component: {
+                type: "string",
+                description:
+                  "Only export the tokens of one component (e.g., 'button')",
               },
+              theme: THEME_ARGUMENT_SCHEMA,
             },
-            required: ["name"],
           },
         },
         {
-          name: "list_tokens",
+          name: "export_figma_variables",
           description:
-            "List design tokens with optional filtering. Can filter by file, category, or name prefix. Returns paginated results for large token sets.",
+            "Export tokens as a Figma Variables payload for the REST API (POST /v1/files/:file_key/variables) or a plugin: one collection each for color, spacing, radius and typography, with a Default mode from :root and an Inverted mode from the [ks-inverted=\"true\"] blocks. Values are resolved to concrete colors and numbers (rem converted to px); a token that references another exported token becomes a variable alias. Variables get scopes matching their role (e.g. text colors only for text fills) and their var() as web code syntax. Returns a summary (including tokens whose Inverted value fell back to the Default one) followed by the payload.",
           inputSchema: {
             type: "object",
             properties: {
-              file: {
+              collections: {
+                type: "array",
+                items: {
+                  type: "string",
+                  enum: Object.keys(FIGMA_VARIABLE_COLLECTIONS),
+                },
+                description:
+                  "Collections to export (default: all of color, spacing, radius, typography)",
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "export_token_graph",
+          description:
+            "Export the token reference graph for documentation, as Graphviz DOT, a Mermaid flowchart or JSON. Tokens are grouped into the layers brand → color → semantic → component (plus foundation for spacing, typography etc.), and arrows point from a token to the tokens that reference it. Filter by a root token, a token or component category, or a component; the graph then follows references from those tokens, limited by 'depth'. Calculated references (calc() etc.) are drawn dashed.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              format: {
+                type: "string",
+                enum: ["mermaid", "dot", "json"],
+                description: "Output format (default: mermaid)",
+                default: "mermaid",
+              },
+              root: {
                 type: "string",
-                enum: Object.keys(TOKEN_FILES),
                 description:
-                  "Filter by source file (e.g., 'branding', 'color', 'spacing')",
+                  "Start from this token (e.g., 'ks-color-primary' or '--dsa-button--color')",
               },
               category: {
                 type: "string",
                 description:
-                  "Filter by category pattern in token name (e.g., 'color', 'font', 'spacing')",
+                  "Start from the tokens of a global token category (e.g., 'text-color') or a component category (e.g., 'forms')",
               },
-              prefix: {
+              component: {
                 type: "string",
                 description:
-                  "Filter by token name prefix (e.g., 'ks-brand', 'ks-color-primary')",
-              },
-              limit: {
-                type: "number",
-                description: "Maximum number of tokens to return (default: 50)",
-                default: 50,
+                  "Start from the tokens of a component (e.g., 'button')",
               },
-              offset: {
-                type: "number",
+              direction: {
+                type: "string",
+                enum: ["dependencies", "dependents", "both"],
                 description:
-                  "Number of tokens to skip for pagination (default: 0)",
-                default: 0,
+                  "Follow the tokens the starting tokens reference (towards the brand layer), the tokens that reference them (towards the components), or both (default: dependencies)",
+                default: "dependencies",
               },
-              includeComponentTokens: {
-                type: "boolean",
+              depth: {
+                type: "number",
                 description:
-                  "Include component-level design tokens (--dsa-*) alongside global tokens (default: false)",
-                default: false,
+                  "Maximum number of reference steps from the starting tokens (default: unlimited)",
               },
+              theme: THEME_ARGUMENT_SCHEMA,
             },
           },
         },
         {
-          name: "list_files",
+          name: "resolve_in_context",
           description:
-            "List all available token files with their descriptions and token counts. Includes both global token files and optionally component token files.",
+            "Resolve a token as it applies inside a theme context, following the CSS cascade of the selector blocks in the token files. Shows, for example, that '--ks-text-color-default' points at the inverted foreground inside [ks-inverted=\"true\"] sections. Returns the chain and final value per context side by side.",
           inputSchema: {
             type: "object",
             properties: {
-              includeComponentFiles: {
+              name: {
+                type: "string",
+                description:
+                  "Token name (e.g., 'ks-text-color-default' or '--dsa-button--color')",
+              },
+              contexts: {
+                type: "array",
+                items: {
+                  type: "string",
+                  enum: Object.keys(RESOLUTION_CONTEXTS),
+                },
+                description:
+                  "Contexts to resolve in (default: all of ':root', '[ks-theme]', '[ks-inverted=\"true\"]', '[ks-inverted=\"false\"]')",
+              },
+              computed: {
                 type: "boolean",
                 description:
-                  "Include component token files from tokens/componentToken/ (default: true)",
+                  "Evaluate calc() and color-mix() in each final value (default: true)",
                 default: true,
               },
+              theme: THEME_ARGUMENT_SCHEMA,
             },
+            required: ["name"],
           },
         },
         {
-          name: "get_token_stats",
+          name: "check_contrast",
           description:
-            "Get statistics about the token system including counts by file, category, and prefix.",
+            "Check WCAG 2.x contrast between a text-color token and a background-color token, or between the text and background colors of a component variant. Both are resolved to concrete colors in normal and inverted contexts (translucent colors are composited over the page background) and the contrast ratio with AA/AAA pass status is reported per context.",
           inputSchema: {
             type: "object",
-            properties: {},
+            properties: {
+              textToken: {
+                type: "string",
+                description:
+                  "Text color token (e.g., 'ks-text-color-default'). Use with backgroundToken.",
+              },
+              backgroundToken: {
+                type: "string",
+                description:
+                  "Background color token (e.g., 'ks-background-color-primary'). Defaults to the page background.",
+              },
+              component: {
+                type: "string",
+                description:
+                  "Component slug (e.g., 'button') to check its color/background-color pairs instead of a token pair",
+              },
+              variant: {
+                type: "string",
+                description:
+                  "Only check this component variant (e.g., 'primary')",
+              },
+              element: {
+                type: "string",
+                description:
+                  "Only check this component element (e.g., 'label')",
+              },
+              contexts: {
+                type: "array",
+                items: {
+                  type: "string",
+                  enum: Object.keys(RESOLUTION_CONTEXTS),
+                },
+                description:
+                  "Contexts to check (default: ':root' and '[ks-inverted=\"true\"]')",
+              },
+              largeText: {
+                type: "boolean",
+                description:
+                  "Apply the large-text thresholds (AA 3:1, AAA 4.5:1) instead of normal text (AA 4.5:1, AAA 7:1)",
+                default: false,
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
           },
         },
         {
-          name: "search_tokens",
+          name: "update_token",
           description:
-            "Search for design tokens by pattern in names or values. Supports filtering by file and semantic type.",
+            "Update a design token value and save it to its source file. Works for global tokens and component tokens (componentToken/*.scss). Exactly one declaration is rewritten: if the token is declared in several selector blocks (e.g. :root and [ks-inverted=\"true\"]), pass 'selector' to choose one. Comments and formatting around the declaration are preserved. The new value is validated first: var() references to tokens that don't exist block the write (override with 'force'), hardcoded colors, spacing etc. for component and semantic color tokens are reported as warnings. Use 'dryRun' to get a unified diff and the validation result without writing.",
           inputSchema: {
             type: "object",
             properties: {
-              pattern: {
+              name: {
                 type: "string",
-                description: "Search pattern (case-insensitive)",
+                description: "Token name to update",
               },
-              searchIn: {
+              value: {
                 type: "string",
-                enum: ["name", "value", "both"],
-                description: "Where to search (default: 'both')",
-                default: "both",
+                description: "New value for the token",
               },
-              file: {
+              selector: {
                 type: "string",
-                enum: Object.keys(TOKEN_FILES),
-                description: "Limit search to specific file",
+                description:
+                  "Selector block to update when the token is declared in several (e.g. ':root', '[ks-inverted=\"true\"]', '.dsa-button'). Append the at-rule for nested blocks (e.g. ':root @media (min-width: 40em)').",
               },
-              limit: {
-                type: "number",
-                description: "Maximum results to return (default: 50)",
-                default: 50,
+              dryRun: {
+                type: "boolean",
+                description:
+                  "Return the unified diff and validation result without writing the file (default: false)",
+                default: false,
               },
-              includeComponentTokens: {
+              force: {
                 type: "boolean",
                 description:
-                  "Include component-level design tokens (--dsa-*) in search results (default: false)",
+                  "Write even if validation reports errors such as references to missing tokens (default: false)",
                 default: false,
               },
+              theme: THEME_ARGUMENT_SCHEMA,
             },
-            required: ["pattern"],
+            required: ["name", "value"],
           },
         },
         {
-          name: "get_tokens_by_type",
+          name: "get_branding_tokens",
           description:
-            "Get tokens by semantic type (interactive states, scales, responsive values, etc.)",
+            "Get the core branding tokens that control the overall design system (brand colors, font bases, spacing base). These are the primary tokens to modify for theming.",
           inputSchema: {
             type: "object",
             properties: {
               type: {
                 type: "string",
                 enum: [
-                  "interactive",
-                  "inverted",
-                  "scale",
-                  "base",
-                  "responsive",
-                  "sizing",
+                  "colors",
+                  "fonts",
+                  "spacing",
+                  "borders",
+                  "shadows",
+                  "factors",
+                  "all",
+                ],
+                description: "Filter by branding token type (default: 'all')",
+                default: "all",
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "get_theme_config",
+          description:
+            "Get the JSON theme configuration file (branding-token.json). This is the structured source of truth for theming that controls colors, fonts, spacing, breakpoints, and other design decisions.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              section: {
+                type: "string",
+                enum: [
+                  "color",
+                  "font",
+                  "font-weight",
+                  "spacing",
+                  "border-radius",
+                  "box-shadow",
+                  "breakpoints",
+                  "all",
                 ],
                 description:
-                  "Semantic type: 'interactive' (hover/active/selected), 'inverted' (dark mode), 'scale' (alpha/mixing scales), 'base' (base tokens), 'responsive' (breakpoint), 'sizing' (xxs-xxl)",
+                  "Get a specific section of the config (default: 'all')",
+                default: "all",
               },
-              file: {
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "update_theme_config",
+          description:
+            "Update a value in the JSON theme configuration (branding-token.json). Use dot notation for nested paths like 'color.primary' or 'font.display.family'. This is the recommended way to change theme values. The updated configuration must pass the theme JSON Schema (see validate_theme_config), otherwise nothing is written.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
                 type: "string",
-                enum: Object.keys(TOKEN_FILES),
-                description: "Limit to specific file",
+                description:
+                  "Dot notation path to the value (e.g., 'color.primary', 'font.display.font-size', 'spacing.base')",
               },
-              limit: {
-                type: "number",
-                description: "Maximum results (default: 50)",
-                default: 50,
+              value: {
+                type: ["string", "number", "boolean", "object"],
+                description: "New value to set",
+              },
+              regenerateCss: {
+                type: "boolean",
+                description:
+                  "Regenerate branding-tokens.css from the updated JSON afterwards (default: false)",
+                default: false,
               },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+            required: ["path", "value"],
+          },
+        },
+        {
+          name: "apply_theme_patch",
+          description:
+            "Apply many theme configuration changes in one all-or-nothing write. Pass 'changes' as a list of {path, value} pairs and/or 'patch' as a JSON merge patch against branding-token.json. Every path must be an existing value or documented in the theme schema, and the patched configuration must pass the theme JSON Schema (types, hex colors, ranges). If any change is invalid nothing is written. Use this instead of repeated update_theme_config calls when applying a generated theme.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              changes: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    path: {
+                      type: "string",
+                      description:
+                        "Dot notation path (e.g., 'color.primary', 'spacing.base')",
+                    },
+                    value: {
+                      type: ["string", "number"],
+                      description: "New value",
+                    },
+                  },
+                  required: ["path", "value"],
+                },
+                description: "Path/value pairs, applied in order",
+              },
+              patch: {
+                type: "object",
+                description:
+                  'JSON merge patch against branding-token.json, e.g. { "color": { "primary": "#0055aa" }, "spacing": { "base": 16 } }. Applied before \'changes\'.',
+              },
+              dryRun: {
+                type: "boolean",
+                description:
+                  "Validate and return the diff without writing (default: false)",
+                default: false,
+              },
+              regenerateCss: {
+                type: "boolean",
+                description:
+                  "Regenerate branding-tokens.css from the updated JSON as well; with dryRun, returns its diff too (default: false)",
+                default: false,
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "validate_theme_config",
+          description:
+            "Validate the JSON theme configuration (branding-token.json) against its JSON Schema and report every violation with its dot notation path: wrong types (e.g. a string for spacing.base), non-hex colors, missing required values and unknown properties. Pass 'config' to check a candidate configuration instead of the file. The same schema is enforced on every write.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              config: {
+                type: "object",
+                description:
+                  "Configuration to validate instead of the current branding-token.json",
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
+          },
+        },
+        {
+          name: "regenerate_branding_css",
+          description:
+            "Regenerate branding-tokens.css from branding-token.json. Derives every --ks-brand-* property that has a JSON source: colors, font stacks, font-size bases, scale ratios and bp-factors (converted to the normalized factors used by scaling-token.scss), font weights, spacing, border radius, shadow blur and breakpoints. Properties without a JSON source keep their current values. Use dryRun to preview the changes.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              dryRun: {
+                type: "boolean",
+                description:
+                  "Report the changes without writing the file (default: false)",
+                default: false,
+              },
+              theme: THEME_ARGUMENT_SCHEMA,
             },
-            required: ["type"],
           },
         },
         {
-          name: "get_color_palette",
+          name: "check_branding_sync",
           description:
-            "Get all color-related tokens organized by color type (primary, positive, negative, etc.). Useful for understanding the full color system.",
+            "Detect drift between branding-token.json and branding-tokens.css. Maps every JSON path to its --ks-brand-* property (the same mapping regenerate_branding_css uses) and reports values that disagree, JSON paths with no CSS counterpart, and CSS properties with no JSON source.",
           inputSchema: {
             type: "object",
             properties: {
-              colorType: {
-                type: "string",
-                enum: [
-                  "primary",
-                  "positive",
-                  "negative",
-                  "informative",
-                  "notice",
-                  "fg",
-                  "bg",
-                  "link",
-                ],
-                description: "Filter by specific color type",
-              },
-              includeScales: {
-                type: "boolean",
-                description:
-                  "Include alpha/mixing scale variants (default: false)",
-                default: false,
-              },
+              theme: THEME_ARGUMENT_SCHEMA,
             },
           },
         },
         {
-          name: "get_typography_tokens",
+          name: "diff_themes",
           description:
-            "Get typography-related tokens (font families, weights, sizes, line heights).",
+            "Compare two branding configs path by path to review a brand change. Each side is a theme name, a path to a branding JSON file, or a git ref (e.g. 'HEAD', 'main') — which reads the theme's branding-token.json as committed there. Colors report their perceptual distance (CIEDE2000 ΔE), numbers and lengths their absolute and relative delta. Also lists the --ks-brand-* properties whose generated value changes and every token that references them directly or indirectly.",
           inputSchema: {
             type: "object",
             properties: {
-              fontType: {
+              from: {
                 type: "string",
-                enum: ["display", "copy", "interface", "mono"],
-                description: "Filter by font type",
+                description:
+                  "Baseline: theme name, path to a JSON file in the tokens or themes directory, or git ref (e.g. 'HEAD')",
               },
-              property: {
+              to: {
                 type: "string",
-                enum: ["family", "weight", "size", "line-height"],
-                description: "Filter by property type",
+                description:
+                  "Config to compare against the baseline: theme name, path to a JSON file in the tokens or themes directory, or git ref (default: the current branding JSON of 'theme')",
+              },
+              limit: {
+                type: "number",
+                description:
+                  "Maximum number of affected downstream tokens to list (default: 100)",
+              },
+              theme: {
+                ...THEME_ARGUMENT_SCHEMA,
+                description:
+                  "Theme whose branding JSON git refs read and whose tokens are traced (default: the active theme)",
               },
             },
+            required: ["from"],
           },
         },
         {
-          name: "get_spacing_tokens",
+          name: "list_themes",
           description:
-            "Get spacing tokens (margins, padding, gaps) with their scale values.",
+            "List the available themes. The 'default' theme is the top-level branding-token.json and branding-tokens.css; named themes live in the themes directory, each with its own branding JSON and generated CSS. Shows which theme is active, i.e. used by tools called without a 'theme' argument.",
+          inputSchema: {
+            type: "object",
+            properties: {},
+          },
+        },
+        {
+          name: "create_theme",
+          description:
+            "Create a named theme by cloning the branding JSON and CSS of an existing theme (the active one by default). Edit it afterwards with update_theme_config or apply_theme_patch and 'theme', or switch to it with switch_theme.",
           inputSchema: {
             type: "object",
             properties: {
-              size: {
+              name: {
                 type: "string",
-                enum: ["xxs", "xs", "s", "m", "l", "xl", "xxl"],
-                description: "Filter by specific size",
+                description:
+                  "Name of the new theme (lowercase letters, digits and dashes, e.g. 'acme-dark')",
               },
-              type: {
+              from: {
                 type: "string",
-                enum: ["stack", "inline", "inset", "base"],
-                description: "Filter by spacing type",
+                description:
+                  "Theme to clone (default: the active theme)",
               },
             },
+            required: ["name"],
           },
         },
         {
-          name: "update_token",
+          name: "switch_theme",
           description:
-            "Update a design token value and save it to its source file. Only works for tokens with direct values (not calculated/derived tokens).",
+            "Make a theme the active one. Tools called without a 'theme' argument (token reads, theme config, contrast checks, audits) then use its branding values. The active theme resets to 'default' when the server restarts. Not available over HTTP, where clients pass 'theme' per call.",
           inputSchema: {
             type: "object",
             properties: {
               name: {
                 type: "string",
-                description: "Token name to update",
-              },
-              value: {
-                type: "string",
-                description: "New value for the token",
+                description: "Theme to activate (see list_themes)",
               },
             },
-            required: ["name", "value"],
+            required: ["name"],
           },
         },
         {
-          name: "get_branding_tokens",
+          name: "list_changes",
           description:
-            "Get the core branding tokens that control the overall design system (brand colors, font bases, spacing base). These are the primary tokens to modify for theming.",
+            "List journaled writes from update_token, update_theme_config, apply_theme_patch, regenerate_branding_css, create_theme and import_tokens, newest first. Each change has an id, the tool and client that made it, a timestamp, the files written and the old/new values. Use the ids with undo_change and redo_change.",
           inputSchema: {
             type: "object",
             properties: {
-              type: {
-                type: "string",
-                enum: [
-                  "colors",
-                  "fonts",
-                  "spacing",
-                  "borders",
-                  "shadows",
-                  "factors",
-                  "all",
-                ],
-                description: "Filter by branding token type (default: 'all')",
-                default: "all",
+              limit: {
+                type: "number",
+                description: "Maximum changes to return (default: 20)",
+                default: 20,
+              },
+              includeUndone: {
+                type: "boolean",
+                description:
+                  "Include undone changes that can still be redone (default: true)",
+                default: true,
               },
             },
           },
         },
         {
-          name: "get_theme_config",
+          name: "undo_change",
           description:
-            "Get the JSON theme configuration file (branding-token.json). This is the structured source of truth for theming that controls colors, fonts, spacing, breakpoints, and other design decisions.",
+            "Undo journaled changes by restoring the files they wrote. Without arguments the latest change is undone; 'count' undoes several, and 'id' undoes every change back to and including that one (e.g. a whole batch of update_theme_config calls). Refuses if a file was edited outside the server since, unless 'force' is set.",
           inputSchema: {
             type: "object",
             properties: {
-              section: {
-                type: "string",
-                enum: [
-                  "color",
-                  "font",
-                  "font-weight",
-                  "spacing",
-                  "border-radius",
-                  "box-shadow",
-                  "breakpoints",
-                  "all",
-                ],
+              id: {
+                type: "number",
                 description:
-                  "Get a specific section of the config (default: 'all')",
-                default: "all",
+                  "Undo all changes from the latest back to this id (inclusive)",
+              },
+              count: {
+                type: "number",
+                description:
+                  "Number of latest changes to undo when no id is given (default: 1)",
+                default: 1,
+              },
+              force: {
+                type: "boolean",
+                description:
+                  "Overwrite files that changed since they were journaled (default: false)",
+                default: false,
               },
             },
           },
         },
         {
-          name: "update_theme_config",
+          name: "redo_change",
           description:
-            "Update a value in the JSON theme configuration (branding-token.json). Use dot notation for nested paths like 'color.primary' or 'font.display.family'. This is the recommended way to change theme values.",
+            "Reapply changes previously reverted with undo_change, oldest first. Without arguments the next undone change is redone; 'count' redoes several, and 'id' redoes every undone change up to and including that one. Any new write discards the redo history.",
           inputSchema: {
             type: "object",
             properties: {
-              path: {
-                type: "string",
+              id: {
+                type: "number",
+                description: "Redo undone changes up to this id (inclusive)",
+              },
+              count: {
+                type: "number",
                 description:
-                  "Dot notation path to the value (e.g., 'color.primary', 'font.display.font-size', 'spacing.base')",
+                  "Number of undone changes to redo when no id is given (default: 1)",
+                default: 1,
               },
-              value: {
-                type: ["string", "number", "boolean", "object"],
-                description: "New value to set",
+              force: {
+                type: "boolean",
+                description:
+                  "Overwrite files that changed since they were undone (default: false)",
+                default: false,
               },
             },
-            required: ["path", "value"],
           },
         },
         {
@@ -2641,6 +8511,7 @@ function registerHandlers(srv) {
                 description:
                   "Filter paths containing this string (e.g., 'color', 'font', 'bp-factor')",
               },
+              theme: THEME_ARGUMENT_SCHEMA,
             },
           },
         },
@@ -2664,6 +8535,7 @@ function registerHandlers(srv) {
                 description: "Filter by factor type (default: 'all')",
                 default: "all",
               },
+              theme: THEME_ARGUMENT_SCHEMA,
             },
           },
         },
@@ -2680,6 +8552,7 @@ function registerHandlers(srv) {
                   "Include bp-factor tokens for responsive scaling (default: true)",
                 default: true,
               },
+              theme: THEME_ARGUMENT_SCHEMA,
             },
           },
         },
@@ -2689,7 +8562,9 @@ function registerHandlers(srv) {
             "Get animation/transition duration and timing function tokens.",
           inputSchema: {
             type: "object",
-            properties: {},
+            properties: {
+              theme: THEME_ARGUMENT_SCHEMA,
+            },
           },
         },
         {
@@ -2716,6 +8591,7 @@ function registerHandlers(srv) {
                   "MIME type of the image when providing imageBase64 (default: 'image/png'). Ignored when using imageUrl (auto-detected).",
                 default: "image/png",
               },
+              theme: THEME_ARGUMENT_SCHEMA,
             },
           },
         },
@@ -2747,6 +8623,7 @@ function registerHandlers(srv) {
                   "Maximum number of external stylesheets to fetch (default: 20)",
                 default: 20,
               },
+              theme: THEME_ARGUMENT_SCHEMA,
             },
             required: ["url"],
           },
@@ -2760,18 +8637,7 @@ function registerHandlers(srv) {
             properties: {
               category: {
                 type: "string",
-                enum: [
-                  "navigation",
-                  "content",
-                  "blog",
-                  "cards",
-                  "heroes",
-                  "forms",
-                  "layout",
-                  "data-display",
-                  "utility",
-                  "all",
-                ],
+                enum: [...componentCategories, "all"],
                 description: "Filter by component category (default: 'all')",
                 default: "all",
               },
@@ -2840,17 +8706,10 @@ function registerHandlers(srv) {
               },
               category: {
                 type: "string",
-                enum: [
-                  "navigation",
-                  "content",
-                  "blog",
-                  "cards",
-                  "heroes",
-                  "forms",
-                  "layout",
-                  "data-display",
-                  "utility",
-                ],
+                // An empty enum would reject every value
+                ...(componentCategories.length > 0 && {
+                  enum: componentCategories,
+                }),
                 description: "Limit search to a component category",
               },
               limit: {
@@ -2920,238 +8779,1064 @@ function registerHandlers(srv) {
                 description: "The token category to get the hierarchy for",
               },
             },
-            required: ["category"],
+            required: ["category"],
+          },
+        },
+        {
+          name: "validate_token_usage",
+          description:
+            "Validate a set of design token usages against the design system's intent rules. Checks not just whether tokens exist, but whether they are semantically correct for their context. Returns violations classified by severity (critical/warning/info) with suggestions for correct alternatives. Use this after generating CSS or when reviewing component styling.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              context: {
+                type: "string",
+                description:
+                  "What is being validated (e.g., 'hero component', 'contact form', 'card body text')",
+              },
+              designContext: {
+                type: "string",
+                enum: [
+                  "hero",
+                  "card",
+                  "form",
+                  "navigation",
+                  "section",
+                  "modal",
+                  "footer",
+                  "body-content",
+                  "data-display",
+                ],
+                description: "The broad design context to validate against",
+              },
+              tokenUsages: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    token: {
+                      type: "string",
+                      description:
+                        "Token name (e.g., '--ks-text-color-display')",
+                    },
+                    cssProperty: {
+                      type: "string",
+                      description:
+                        "CSS property being set (e.g., 'color', 'background-color')",
+                    },
+                    element: {
+                      type: "string",
+                      description:
+                        "Element within the component (e.g., 'headline', 'body', 'label')",
+                    },
+                    value: {
+                      type: "string",
+                      description:
+                        "Raw CSS value if not using a token (for hardcoded value detection)",
+                    },
+                  },
+                  required: ["cssProperty"],
+                },
+                description: "List of token usages to validate",
+              },
+            },
+            required: ["context", "tokenUsages"],
+          },
+        },
+        {
+          name: "get_token_for_context",
+          description:
+            "Get the recommended design token for a specific design context and CSS property. Instead of browsing all tokens, describe what you're styling and get a ranked recommendation with rationale. This encodes the design system's intent — which token is *right*, not just which tokens *exist*.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              cssProperty: {
+                type: "string",
+                description:
+                  "The CSS property you're setting (e.g., 'color', 'background-color', 'font-family', 'box-shadow', 'padding', 'border-radius', 'transition')",
+              },
+              element: {
+                type: "string",
+                description:
+                  "What you're styling (e.g., 'hero headline', 'card body text', 'form input', 'navigation link', 'section background', 'modal overlay')",
+              },
+              designContext: {
+                type: "string",
+                enum: [
+                  "hero",
+                  "card",
+                  "form",
+                  "navigation",
+                  "section",
+                  "modal",
+                  "footer",
+                  "body-content",
+                  "data-display",
+                ],
+                description: "The broad design context",
+              },
+              interactive: {
+                type: "boolean",
+                description:
+                  "Whether the element has interactive states (hover, active, focus). If true, all required state tokens are returned.",
+                default: false,
+              },
+              inverted: {
+                type: "boolean",
+                description:
+                  "Whether the element is in an inverted (dark-on-light / light-on-dark) context.",
+                default: false,
+              },
+            },
+            required: ["cssProperty", "element"],
+          },
+        },
+        {
+          name: "validate_component_tokens",
+          description:
+            "Run a full design intent audit on a component's token file. Scans all token definitions for the named component and validates them against every applicable design rule. Returns a structured report with violations by severity. Use list_components first to discover available component names.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              component: {
+                type: "string",
+                description:
+                  "Component slug to audit (e.g., 'button', 'hero', 'teaser-card'). Use list_components to discover valid names.",
+              },
+              severity: {
+                type: "string",
+                enum: ["all", "critical", "warning", "info"],
+                description: "Minimum severity to report (default: 'all')",
+                default: "all",
+              },
+            },
+            required: ["component"],
           },
         },
         {
-          name: "validate_token_usage",
+          name: "audit_all_components",
           description:
-            "Validate a set of design token usages against the design system's intent rules. Checks not just whether tokens exist, but whether they are semantically correct for their context. Returns violations classified by severity (critical/warning/info) with suggestions for correct alternatives. Use this after generating CSS or when reviewing component styling.",
+            "Run a design intent audit across all component token files. Returns a summary table with violation counts per component and severity. Use this to get a health overview of the entire design system's token governance.",
           inputSchema: {
             type: "object",
             properties: {
-              context: {
+              category: {
                 type: "string",
-                description:
-                  "What is being validated (e.g., 'hero component', 'contact form', 'card body text')",
+                enum: [...componentCategories, "all"],
+                description: "Filter to a component category (default: 'all')",
+                default: "all",
               },
-              designContext: {
+              minSeverity: {
                 type: "string",
-                enum: [
-                  "hero",
-                  "card",
-                  "form",
-                  "navigation",
-                  "section",
-                  "modal",
-                  "footer",
-                  "body-content",
-                  "data-display",
-                ],
-                description: "The broad design context to validate against",
+                enum: ["critical", "warning", "info"],
+                description: "Minimum severity to include (default: 'info')",
+                default: "info",
               },
-              tokenUsages: {
-                type: "array",
-                items: {
-                  type: "object",
-                  properties: {
-                    token: {
-                      type: "string",
-                      description:
-                        "Token name (e.g., '--ks-text-color-display')",
-                    },
-                    cssProperty: {
-                      type: "string",
-                      description:
-                        "CSS property being set (e.g., 'color', 'background-color')",
-                    },
-                    element: {
-                      type: "string",
-                      description:
-                        "Element within the component (e.g., 'headline', 'body', 'label')",
+              checkContrast: {
+                type: "boolean",
+                description:
+                  "Also pair each component's --color and --background-color tokens (same element, variant and state) like check_contrast and report pairs below the level required by the contrast-minimums rule in any of its contexts. Text colors without a sibling background are listed under 'withoutBackground' without a verdict (default: false)",
+                default: false,
+              },
+            },
+          },
+        },
+      ],
+    };
+  });
+
+  // Tool execution handler
+  srv.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    // Write tools journal their changes under the connected client's name.
+    // A stateless HTTP server never sees the client's initialize request, so
+    // there the User-Agent header of the request stands in for it.
+    const caller = {
+      name:
+        srv.getClientVersion()?.name ||
+        extra?.requestInfo?.headers?.["user-agent"] ||
+        "unknown",
+      transport: options.transport || "stdio",
+    };
+
+    try {
+      if (args?.theme) {
+        await assertThemeExists(args.theme);
+      }
+
+      switch (name) {
+        case "get_token": {
+          if (!args.name) {
+            throw new Error("Token name is required");
+          }
+
+          const tokens = await parseAllTokens(null, args.theme);
+          const normalizedName = args.name.startsWith("--")
+            ? args.name
+            : `--${args.name}`;
+
+          const tokenData = tokens.get(normalizedName);
+
+          if (!tokenData) {
+            // Suggest similar tokens
+            const suggestions = [];
+            const searchTerm = normalizedName.toLowerCase();
+            for (const [tokenName] of tokens.entries()) {
+              if (tokenName.toLowerCase().includes(searchTerm.slice(2, 15))) {
+                suggestions.push(tokenName);
+                if (suggestions.length >= 5) break;
+              }
+            }
+
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify(
+                    {
+                      error: "Token not found",
+                      requestedToken: normalizedName,
+                      suggestions:
+                        suggestions.length > 0 ? suggestions : undefined,
+                      hint: "Use 'list_tokens' or 'search_tokens' to find available tokens",
                     },
-                    value: {
-                      type: "string",
-                      description:
-                        "Raw CSS value if not using a token (for hardcoded value detection)",
+                    null,
+                    2,
+                  ),
+                },
+              ],
+            };
+          }
+
+          let resolution = null;
+          let computation = null;
+          if (args.resolve !== false || args.computed) {
+            const lookup = await buildTokenLookup(args.theme);
+            if (args.resolve !== false) {
+              const { status, finalValue, chain, issues } = resolveTokenChain(
+                normalizedName,
+                lookup,
+              );
+              resolution = {
+                status,
+                finalValue,
+                depth: chain.length - 1,
+                chain,
+                ...(issues.length > 0 && { issues }),
+              };
+            }
+            if (args.computed) {
+              const { computedValue, computeError } = computeTokenValue(
+                normalizedName,
+                lookup,
+              );
+              computation = {
+                computedValue,
+                ...(computeError && { computeError }),
+              };
+            }
+          }
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    token: normalizedName,
+                    value: tokenData.value,
+                    file: tokenData.file,
+                    category: tokenData.category,
+                    ...(tokenData.media && { media: tokenData.media }),
+                    ...(tokenData.section && { section: tokenData.section }),
+                    ...(tokenData.comment && { comment: tokenData.comment }),
+                    contexts: tokenData.contexts,
+                    declarations: tokenData.declarations,
+                    // Without resolve, the computed value sits next to the raw one
+                    ...(resolution
+                      ? { resolved: { ...resolution, ...computation } }
+                      : computation),
+                  },
+                  null,
+                  2,
+                ),
+              },
+            ],
+          };
+        }
+
+        case "list_tokens": {
+          const tokens = await parseAllTokens(args.file, args.theme);
+          let filteredTokens = Array.from(tokens.entries()).map(
+            ([name, { declarations, ...data }]) => ({
+              name,
+              ...data,
+            }),
+          );
+
+          // Merge component tokens if requested
+          if (args.includeComponentTokens) {
+            const componentTokens = await parseAllComponentTokens();
+            for (const ct of componentTokens) {
+              filteredTokens.push({
+                name: ct.name,
+                value: ct.value,
+                file: ct.file,
+                category: ct.category,
+                ...(ct.section && { section: ct.section }),
+                ...(ct.comment && { comment: ct.comment }),
+                source: "component",
+                component: ct.component,
+              });
+            }
+          }
+
+          // Apply category filter
+          if (args.category) {
+            const categoryPattern = args.category.toLowerCase();
+            filteredTokens = filteredTokens.filter((token) =>
+              token.name.toLowerCase().includes(categoryPattern),
+            );
+          }
+
+          // Apply prefix filter
+          if (args.prefix) {
+            const prefixPattern = args.prefix.toLowerCase();
+            const normalizedPrefix = prefixPattern.startsWith("--")
+              ? prefixPattern
+              : `--${prefixPattern}`;
+            filteredTokens = filteredTokens.filter((token) =>
+              token.name.toLowerCase().startsWith(normalizedPrefix),
+            );
+          }
+
+          // Sort by name
+          filteredTokens.sort((a, b) => a.name.localeCompare(b.name));
+
+          // Paginate
+          const limit = args.limit || 50;
+          const offset = args.offset || 0;
+          const total = filteredTokens.length;
+          const paginatedTokens = filteredTokens.slice(offset, offset + limit);
+
+          if (args.computed) {
+            await addComputedValues(paginatedTokens, args.theme);
+          }
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    totalMatching: total,
+                    returned: paginatedTokens.length,
+                    offset,
+                    limit,
+                    hasMore: offset + limit < total,
+                    filters: {
+                      file: args.file || "all",
+                      category: args.category || null,
+                      prefix: args.prefix || null,
                     },
+                    tokens: paginatedTokens,
+                  },
+                  null,
+                  2,
+                ),
+              },
+            ],
+          };
+        }
+
+        case "list_files": {
+          const fileStats = [];
+          for (const [key, config] of Object.entries(TOKEN_FILES)) {
+            const filePath = path.join(TOKENS_DIR, config.file);
+            try {
+              await fs.access(filePath);
+              const tokens = await loadTokenFile(filePath, config.category);
+              fileStats.push({
+                key,
+                file: config.file,
+                description: config.description,
+                category: config.category,
+                type: "global",
+                tokenCount: tokens.size,
+              });
+            } catch {
+              fileStats.push({
+                key,
+                file: config.file,
+                description: config.description,
+                category: config.category,
+                type: "global",
+                tokenCount: 0,
+                status: "not found",
+              });
+            }
+          }
+
+          // Include component token files
+          const includeComponents = args.includeComponentFiles !== false;
+          const componentFileStats = [];
+          if (includeComponents) {
+            const registry = await loadComponentRegistry();
+            for (const [slug, config] of Object.entries(registry.files)) {
+              const filePath = path.join(COMPONENT_TOKENS_DIR, config.file);
+              try {
+                await fs.access(filePath);
+                const tokens = await loadTokenFile(filePath, config.category);
+                componentFileStats.push({
+                  key: slug,
+                  file: `componentToken/${config.file}`,
+                  description: config.description,
+                  category: config.category,
+                  type: "component",
+                  component: slug,
+                  tokenCount: tokens.size,
+                });
+              } catch {
+                componentFileStats.push({
+                  key: slug,
+                  file: `componentToken/${config.file}`,
+                  description: config.description,
+                  category: config.category,
+                  type: "component",
+                  component: slug,
+                  tokenCount: 0,
+                  status: "not found",
+                });
+              }
+            }
+          }
+
+          const allFiles = [...fileStats, ...componentFileStats];
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    totalFiles: allFiles.length,
+                    globalFiles: fileStats.length,
+                    componentFiles: componentFileStats.length,
+                    files: allFiles,
                   },
-                  required: ["cssProperty"],
-                },
-                description: "List of token usages to validate",
-              },
-            },
-            required: ["context", "tokenUsages"],
-          },
-        },
-        {
-          name: "get_token_for_context",
-          description:
-            "Get the recommended design token for a specific design context and CSS property. Instead of browsing all tokens, describe what you're styling and get a ranked recommendation with rationale. This encodes the design system's intent — which token is *right*, not just which tokens *exist*.",
-          inputSchema: {
-            type: "object",
-            properties: {
-              cssProperty: {
-                type: "string",
-                description:
-                  "The CSS property you're setting (e.g., 'color', 'background-color', 'font-family', 'box-shadow', 'padding', 'border-radius', 'transition')",
+                  null,
+                  2,
+                ),
               },
-              element: {
-                type: "string",
-                description:
-                  "What you're styling (e.g., 'hero headline', 'card body text', 'form input', 'navigation link', 'section background', 'modal overlay')",
+            ],
+          };
+        }
+
+        case "get_token_stats": {
+          const stats = await getTokenStats();
+          const componentStats = await getComponentTokenStats();
+          stats.componentTokens = componentStats;
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(stats, null, 2),
               },
-              designContext: {
-                type: "string",
-                enum: [
-                  "hero",
-                  "card",
-                  "form",
-                  "navigation",
-                  "section",
-                  "modal",
-                  "footer",
-                  "body-content",
-                  "data-display",
-                ],
-                description: "The broad design context",
+            ],
+          };
+        }
+
+        case "search_tokens": {
+          if (!args.pattern) {
+            throw new Error("Search pattern is required");
+          }
+
+          const tokens = await parseAllTokens(args.file, args.theme);
+          let results = searchTokens(
+            tokens,
+            args.pattern,
+            args.searchIn || "both",
+          );
+
+          // Mark global results
+          results = results.map((r) => ({ ...r, source: "global" }));
+
+          // Merge component tokens if requested
+          if (args.includeComponentTokens) {
+            const lowerPattern = args.pattern.toLowerCase();
+            const searchIn = args.searchIn || "both";
+            const componentTokens = await parseAllComponentTokens();
+            for (const ct of componentTokens) {
+              const matchName =
+                (searchIn === "both" || searchIn === "name") &&
+                ct.name.toLowerCase().includes(lowerPattern);
+              const matchValue =
+                (searchIn === "both" || searchIn === "value") &&
+                ct.value.toLowerCase().includes(lowerPattern);
+              const matchComment =
+                searchIn === "both" &&
+                ct.comment &&
+                ct.comment.toLowerCase().includes(lowerPattern);
+              if (matchName || matchValue || matchComment) {
+                results.push({
+                  name: ct.name,
+                  value: ct.value,
+                  file: ct.file,
+                  category: ct.category,
+                  source: "component",
+                  component: ct.component,
+                  ...(ct.section && { section: ct.section }),
+                  ...(ct.comment && { comment: ct.comment }),
+                });
+              }
+            }
+          }
+
+          results.sort((a, b) => a.name.localeCompare(b.name));
+
+          const limit = args.limit || 50;
+          const limitedResults = results.slice(0, limit);
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    pattern: args.pattern,
+                    searchIn: args.searchIn || "both",
+                    file: args.file || "all",
+                    includeComponentTokens:
+                      args.includeComponentTokens || false,
+                    totalMatches: results.length,
+                    returned: limitedResults.length,
+                    results: limitedResults,
+                  },
+                  null,
+                  2,
+                ),
               },
-              interactive: {
-                type: "boolean",
-                description:
-                  "Whether the element has interactive states (hover, active, focus). If true, all required state tokens are returned.",
-                default: false,
+            ],
+          };
+        }
+
+        case "get_tokens_by_type": {
+          if (!args.type) {
+            throw new Error("Semantic type is required");
+          }
+
+          const tokens = await parseAllTokens(args.file, args.theme);
+          let results = getTokensBySemanticType(tokens, args.type);
+
+          results.sort((a, b) => a.name.localeCompare(b.name));
+
+          const limit = args.limit || 50;
+          const limitedResults = results.slice(0, limit);
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    type: args.type,
+                    file: args.file || "all",
+                    totalMatches: results.length,
+                    returned: limitedResults.length,
+                    results: limitedResults,
+                  },
+                  null,
+                  2,
+                ),
               },
-              inverted: {
-                type: "boolean",
-                description:
-                  "Whether the element is in an inverted (dark-on-light / light-on-dark) context.",
-                default: false,
+            ],
+          };
+        }
+
+        case "get_color_palette": {
+          const colorFiles = [
+            "branding",
+            "color",
+            "background-color",
+            "text-color",
+            "border-color",
+          ];
+          const allColors = [];
+
+          for (const fileKey of colorFiles) {
+            const tokens = await parseAllTokens(fileKey, args.theme);
+            for (const [tokenName, data] of tokens.entries()) {
+              // Filter by color type if specified
+              if (args.colorType) {
+                if (
+                  !tokenName
+                    .toLowerCase()
+                    .includes(args.colorType.toLowerCase())
+                ) {
+                  continue;
+                }
+              }
+
+              // Exclude scales unless requested
+              if (!args.includeScales) {
+                if (/(alpha-\d|to-bg-\d|to-fg-\d)/.test(tokenName)) {
+                  continue;
+                }
+              }
+
+              allColors.push({
+                name: tokenName,
+                value: data.value,
+                file: data.file,
+                category: data.category,
+                ...(data.section && { section: data.section }),
+                ...(data.comment && { comment: data.comment }),
+              });
+            }
+          }
+
+          allColors.sort((a, b) => a.name.localeCompare(b.name));
+
+          const returnedColors = allColors.slice(0, 100);
+          if (args.computed) {
+            await addComputedValues(returnedColors, args.theme);
+          }
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    colorType: args.colorType || "all",
+                    includeScales: args.includeScales || false,
+                    totalColors: allColors.length,
+                    colors: returnedColors,
+                  },
+                  null,
+                  2,
+                ),
               },
-            },
-            required: ["cssProperty", "element"],
-          },
-        },
-        {
-          name: "validate_component_tokens",
-          description:
-            "Run a full design intent audit on a component's token file. Scans all token definitions for the named component and validates them against every applicable design rule. Returns a structured report with violations by severity. Use list_components first to discover available component names.",
-          inputSchema: {
-            type: "object",
-            properties: {
-              component: {
-                type: "string",
-                description:
-                  "Component slug to audit (e.g., 'button', 'hero', 'teaser-card'). Use list_components to discover valid names.",
+            ],
+          };
+        }
+
+        case "get_typography_tokens": {
+          const tokens = await parseAllTokens(null, args.theme);
+          const typographyTokens = [];
+
+          for (const [tokenName, data] of tokens.entries()) {
+            const isTypography =
+              tokenName.includes("font") ||
+              tokenName.includes("line-height") ||
+              tokenName.includes("letter-spacing");
+
+            if (!isTypography) continue;
+
+            // Filter by font type
+            if (args.fontType) {
+              if (
+                !tokenName.toLowerCase().includes(args.fontType.toLowerCase())
+              ) {
+                continue;
+              }
+            }
+
+            // Filter by property
+            if (args.property) {
+              const propertyPatterns = {
+                family: /font-family/,
+                weight: /font-weight/,
+                size: /font-size/,
+                "line-height": /line-height/,
+              };
+              if (!propertyPatterns[args.property]?.test(tokenName)) {
+                continue;
+              }
+            }
+
+            typographyTokens.push({
+              name: tokenName,
+              value: data.value,
+              file: data.file,
+              category: data.category,
+              ...(data.section && { section: data.section }),
+              ...(data.comment && { comment: data.comment }),
+            });
+          }
+
+          typographyTokens.sort((a, b) => a.name.localeCompare(b.name));
+
+          const returnedTypography = typographyTokens.slice(0, 100);
+          if (args.computed) {
+            await addComputedValues(returnedTypography, args.theme);
+          }
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    fontType: args.fontType || "all",
+                    property: args.property || "all",
+                    totalTokens: typographyTokens.length,
+                    tokens: returnedTypography,
+                  },
+                  null,
+                  2,
+                ),
               },
-              severity: {
-                type: "string",
-                enum: ["all", "critical", "warning", "info"],
-                description: "Minimum severity to report (default: 'all')",
-                default: "all",
+            ],
+          };
+        }
+
+        case "get_spacing_tokens": {
+          const tokens = await parseAllTokens("spacing", args.theme);
+          const brandingTokens = await parseAllTokens("branding", args.theme);
+
+          // Merge branding spacing tokens
+          for (const [name, data] of brandingTokens.entries()) {
+            if (name.includes("spacing")) {
+              tokens.set(name, data);
+            }
+          }
+
+          const spacingTokens = [];
+
+          for (const [tokenName, data] of tokens.entries()) {
+            // Filter by size
+            if (args.size) {
+              const sizePattern = new RegExp(`-${args.size}(-|$)`, "i");
+              if (!sizePattern.test(tokenName)) {
+                continue;
+              }
+            }
+
+            // Filter by type
+            if (args.type) {
+              if (args.type === "base") {
+                if (!tokenName.includes("-base")) continue;
+              } else {
+                if (!tokenName.includes(args.type)) continue;
+              }
+            }
+
+            spacingTokens.push({
+              name: tokenName,
+              value: data.value,
+              file: data.file,
+              category: data.category,
+              ...(data.section && { section: data.section }),
+              ...(data.comment && { comment: data.comment }),
+            });
+          }
+
+          spacingTokens.sort((a, b) => a.name.localeCompare(b.name));
+
+          if (args.computed) {
+            await addComputedValues(spacingTokens, args.theme);
+          }
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    size: args.size || "all",
+                    type: args.type || "all",
+                    totalTokens: spacingTokens.length,
+                    tokens: spacingTokens,
+                  },
+                  null,
+                  2,
+                ),
               },
-            },
-            required: ["component"],
-          },
-        },
-        {
-          name: "audit_all_components",
-          description:
-            "Run a design intent audit across all component token files. Returns a summary table with violation counts per component and severity. Use this to get a health overview of the entire design system's token governance.",
-          inputSchema: {
-            type: "object",
-            properties: {
-              category: {
-                type: "string",
-                enum: [
-                  "navigation",
-                  "content",
-                  "blog",
-                  "cards",
-                  "heroes",
-                  "forms",
-                  "layout",
-                  "data-display",
-                  "utility",
-                  "all",
-                ],
-                description: "Filter to a component category (default: 'all')",
-                default: "all",
+            ],
+          };
+        }
+
+        case "compute_token": {
+          if (!args.name && !args.expression) {
+            throw new Error("Either 'name' or 'expression' must be provided");
+          }
+
+          const lookup = await buildTokenLookup(args.theme);
+          let subject;
+          if (args.name) {
+            subject = args.name.startsWith("--") ? args.name : `--${args.name}`;
+            if (!lookup.has(subject)) {
+              throw new Error(`Token '${subject}' not found in any file`);
+            }
+          } else {
+            // Treat the expression as an anonymous token so it resolves the same way
+            subject = "--compute-token-expression";
+            lookup.set(subject, { value: args.expression, file: null });
+          }
+
+          const computed = computeTokenValue(subject, lookup);
+          const chain = args.name ? computed.chain : computed.chain.slice(1);
+          // An expression isn't a hop, but the tokens it references are
+          const references = args.name ? null : computed.chain[0]?.references;
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    ...(args.name
+                      ? { token: subject, value: lookup.get(subject).value }
+                      : { expression: args.expression }),
+                    status: computed.status,
+                    resolvedExpression: computed.finalValue,
+                    computedValue: computed.computedValue,
+                    ...(computed.computeError && {
+                      computeError: computed.computeError,
+                    }),
+                    chain,
+                    ...(references && { references }),
+                    ...(computed.issues.length > 0 && {
+                      issues: computed.issues,
+                    }),
+                  },
+                  null,
+                  2,
+                ),
               },
-              minSeverity: {
-                type: "string",
-                enum: ["critical", "warning", "info"],
-                description: "Minimum severity to include (default: 'info')",
-                default: "info",
+            ],
+          };
+        }
+
+        case "resolve_in_context": {
+          if (!args.name) {
+            throw new Error("Token name is required");
+          }
+
+          const normalizedName = args.name.startsWith("--")
+            ? args.name
+            : `--${args.name}`;
+          const lookup = await buildTokenLookup(args.theme);
+          if (!lookup.has(normalizedName)) {
+            throw new Error(`Token '${normalizedName}' not found in any file`);
+          }
+
+          const selectors = args.contexts || Object.keys(RESOLUTION_CONTEXTS);
+          const unknown = selectors.filter((sel) => !RESOLUTION_CONTEXTS[sel]);
+          if (unknown.length > 0) {
+            throw new Error(
+              `Unknown context(s): ${unknown.join(", ")}. Valid: ${Object.keys(RESOLUTION_CONTEXTS).join(", ")}`,
+            );
+          }
+
+          const values = {};
+          const results = {};
+          for (const selector of selectors) {
+            const contextLookup = buildContextLookup(lookup, selector);
+            if (!contextLookup.has(normalizedName)) {
+              values[selector] = null;
+              results[selector] = {
+                status: "undefined",
+                message:
+                  "No declaration applies in this context outside @media blocks",
+              };
+              continue;
+            }
+
+            const resolution =
+              args.computed !== false
+                ? computeTokenValue(normalizedName, contextLookup)
+                : resolveTokenChain(normalizedName, contextLookup);
+            const entry = contextLookup.get(normalizedName);
+            values[selector] =
+              resolution.computedValue ?? resolution.finalValue;
+            results[selector] = {
+              declaredIn: entry.inherited
+                ? "inherited from :root"
+                : entry.selector || null,
+              status: resolution.status,
+              finalValue: resolution.finalValue,
+              ...(args.computed !== false && {
+                computedValue: resolution.computedValue,
+              }),
+              ...(resolution.computeError && {
+                computeError: resolution.computeError,
+              }),
+              chain: resolution.chain,
+              ...(resolution.issues.length > 0 && {
+                issues: resolution.issues,
+              }),
+            };
+          }
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    token: normalizedName,
+                    values,
+                    differsByContext: new Set(Object.values(values)).size > 1,
+                    contexts: results,
+                  },
+                  null,
+                  2,
+                ),
               },
-            },
-          },
-        },
-      ],
-    };
-  });
+            ],
+          };
+        }
+
+        case "check_contrast": {
+          if (!args.textToken && !args.component) {
+            throw new Error(
+              "Either 'textToken' or 'component' must be provided",
+            );
+          }
 
-  // Tool execution handler
-  srv.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
+          const selectors = args.contexts || DEFAULT_CONTRAST_CONTEXTS;
+          const unknown = selectors.filter((sel) => !RESOLUTION_CONTEXTS[sel]);
+          if (unknown.length > 0) {
+            throw new Error(
+              `Unknown context(s): ${unknown.join(", ")}. Valid: ${Object.keys(RESOLUTION_CONTEXTS).join(", ")}`,
+            );
+          }
 
-    try {
-      switch (name) {
-        case "get_token": {
-          if (!args.name) {
-            throw new Error("Token name is required");
+          const lookup = await buildTokenLookup(args.theme);
+          const contextLookups = selectors.map((selector) => [
+            selector,
+            buildContextLookup(lookup, selector),
+          ]);
+          const normalize = (name) =>
+            name.startsWith("--") ? name : `--${name}`;
+          const checkPair = (textToken, backgroundToken) => {
+            const contexts = {};
+            for (const [selector, contextLookup] of contextLookups) {
+              contexts[selector] = checkContrastInContext(
+                textToken,
+                backgroundToken,
+                contextLookup,
+                args.largeText === true,
+              );
+            }
+            return {
+              contexts,
+              passesAA: Object.values(contexts).every((c) => c.AA === true),
+            };
+          };
+          const requiredRatios = {
+            AA: WCAG_CONTRAST_LEVELS.AA[
+              args.largeText ? "largeText" : "normalText"
+            ],
+            AAA: WCAG_CONTRAST_LEVELS.AAA[
+              args.largeText ? "largeText" : "normalText"
+            ],
+          };
+
+          let result;
+          if (args.textToken) {
+            const textToken = normalize(args.textToken);
+            const backgroundToken = args.backgroundToken
+              ? normalize(args.backgroundToken)
+              : null;
+            for (const name of [textToken, backgroundToken]) {
+              if (name && !lookup.has(name)) {
+                throw new Error(`Token '${name}' not found in any file`);
+              }
+            }
+            result = {
+              textToken,
+              backgroundToken: backgroundToken || CANVAS_BACKGROUND_TOKEN,
+              requiredRatios,
+              ...checkPair(textToken, backgroundToken),
+            };
+          } else {
+            const registry = await loadComponentRegistry();
+            if (!registry.files[args.component]) {
+              throw new Error(
+                `Unknown component: '${args.component}'. Use 'list_components' to see available components.`,
+              );
+            }
+            const pairs = pairComponentColorTokens(
+              await parseAllComponentTokens(args.component),
+            ).filter(
+              (pair) =>
+                (!args.variant || pair.variant === args.variant) &&
+                (!args.element || pair.element === args.element),
+            );
+            const checked = pairs.map((pair) => ({
+              ...pair,
+              ...checkPair(pair.textToken, pair.backgroundToken),
+            }));
+            result = {
+              component: args.component,
+              ...(args.variant && { variant: args.variant }),
+              ...(args.element && { element: args.element }),
+              requiredRatios,
+              summary: {
+                pairs: checked.length,
+                failingAA: checked.filter((pair) => !pair.passesAA).length,
+              },
+              pairs: checked,
+            };
           }
 
-          const tokens = await parseAllTokens();
-          const normalizedName = args.name.startsWith("--")
-            ? args.name
-            : `--${args.name}`;
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
 
-          const tokenData = tokens.get(normalizedName);
+        case "get_branding_tokens": {
+          const tokens = await parseAllTokens("branding", args.theme);
+          const brandingTokens = [];
 
-          if (!tokenData) {
-            // Suggest similar tokens
-            const suggestions = [];
-            const searchTerm = normalizedName.toLowerCase();
-            for (const [tokenName] of tokens.entries()) {
-              if (tokenName.toLowerCase().includes(searchTerm.slice(2, 15))) {
-                suggestions.push(tokenName);
-                if (suggestions.length >= 5) break;
+          const typeFilters = {
+            colors: /color/i,
+            fonts: /font/i,
+            spacing: /spacing/i,
+            borders: /border/i,
+            shadows: /shadow/i,
+          };
+
+          for (const [tokenName, data] of tokens.entries()) {
+            // Filter by type
+            if (args.type && args.type !== "all") {
+              const filter = typeFilters[args.type];
+              if (filter && !filter.test(tokenName)) {
+                continue;
               }
             }
 
-            return {
-              content: [
-                {
-                  type: "text",
-                  text: JSON.stringify(
-                    {
-                      error: "Token not found",
-                      requestedToken: normalizedName,
-                      suggestions:
-                        suggestions.length > 0 ? suggestions : undefined,
-                      hint: "Use 'list_tokens' or 'search_tokens' to find available tokens",
-                    },
-                    null,
-                    2,
-                  ),
-                },
-              ],
-            };
+            brandingTokens.push({
+              name: tokenName,
+              value: data.value,
+              file: data.file,
+              category: data.category,
+              isEditable: !data.value.includes("var("),
+              ...(data.section && { section: data.section }),
+              ...(data.comment && { comment: data.comment }),
+            });
           }
 
+          brandingTokens.sort((a, b) => a.name.localeCompare(b.name));
+
           return {
             content: [
               {
                 type: "text",
                 text: JSON.stringify(
                   {
-                    token: normalizedName,
-                    value: tokenData.value,
-                    file: tokenData.file,
-                    category: tokenData.category,
-                    ...(tokenData.section && { section: tokenData.section }),
-                    ...(tokenData.comment && { comment: tokenData.comment }),
+                    type: args.type || "all",
+                    totalTokens: brandingTokens.length,
+                    note: "Tokens with isEditable=true can be modified directly",
+                    tokens: brandingTokens,
                   },
                   null,
                   2,
@@ -3161,59 +9846,204 @@ function registerHandlers(srv) {
           };
         }
 
-        case "list_tokens": {
-          const tokens = await parseAllTokens(args.file);
-          let filteredTokens = Array.from(tokens.entries()).map(
-            ([name, data]) => ({
-              name,
-              ...data,
-            }),
-          );
+        case "update_token": {
+          if (!args.name) {
+            throw new Error("Token name is required");
+          }
+          if (args.value === undefined || args.value === null) {
+            throw new Error("Token value is required");
+          }
 
-          // Merge component tokens if requested
-          if (args.includeComponentTokens) {
-            const componentTokens = await parseAllComponentTokens();
-            for (const ct of componentTokens) {
-              filteredTokens.push({
-                name: ct.name,
-                value: ct.value,
-                file: ct.file,
-                category: ct.category,
-                ...(ct.section && { section: ct.section }),
-                ...(ct.comment && { comment: ct.comment }),
-                source: "component",
-                component: ct.component,
-              });
+          const changeSet = createChangeSet("update_token", caller);
+          const result = await updateTokenInFile(args.name, args.value, {
+            selector: args.selector,
+            dryRun: args.dryRun === true,
+            force: args.force === true,
+            changeSet,
+            theme: args.theme,
+          });
+          const changeId = await recordChangeSet(changeSet, [
+            {
+              token: result.tokenName,
+              selector: result.selector,
+              oldValue: result.oldValue,
+              newValue: result.newValue,
+            },
+          ]);
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    success: true,
+                    message: result.dryRun
+                      ? "Dry run: no changes written"
+                      : "Token updated successfully",
+                    ...result,
+                    ...(changeId && { changeId }),
+                  },
+                  null,
+                  2,
+                ),
+              },
+            ],
+          };
+        }
+
+        case "get_theme_config": {
+          const config = await readBrandingJson(args.theme);
+
+          let result;
+          if (args.section) {
+            const sectionData = config[args.section];
+            if (sectionData === undefined) {
+              throw new Error(
+                `Unknown section: ${args.section}. Available sections: ${Object.keys(config).join(", ")}`,
+              );
             }
+            result = {
+              section: args.section,
+              data: sectionData,
+              availableSections: Object.keys(config),
+            };
+          } else {
+            result = {
+              sections: Object.keys(config),
+              config: config,
+              note: "Use the 'section' parameter to get specific sections like 'color', 'font', 'spacing', etc.",
+            };
           }
 
-          // Apply category filter
-          if (args.category) {
-            const categoryPattern = args.category.toLowerCase();
-            filteredTokens = filteredTokens.filter((token) =>
-              token.name.toLowerCase().includes(categoryPattern),
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
+
+        case "update_theme_config": {
+          if (!args.path) {
+            throw new Error(
+              "Path is required (e.g., 'color.primary', 'font.copy.font-size')",
             );
           }
+          if (args.value === undefined || args.value === null) {
+            throw new Error("Value is required");
+          }
 
-          // Apply prefix filter
-          if (args.prefix) {
-            const prefixPattern = args.prefix.toLowerCase();
-            const normalizedPrefix = prefixPattern.startsWith("--")
-              ? prefixPattern
-              : `--${prefixPattern}`;
-            filteredTokens = filteredTokens.filter((token) =>
-              token.name.toLowerCase().startsWith(normalizedPrefix),
-            );
+          const config = await readBrandingJson(args.theme);
+          const oldValue = getNestedValue(config, args.path);
+
+          if (oldValue === undefined) {
+            throw new Error(`Path not found: ${args.path}`);
           }
 
-          // Sort by name
-          filteredTokens.sort((a, b) => a.name.localeCompare(b.name));
+          setNestedValue(config, args.path, args.value);
+          const css = args.regenerateCss
+            ? await buildBrandingCss(config, args.theme)
+            : null;
 
-          // Paginate
-          const limit = args.limit || 50;
-          const offset = args.offset || 0;
-          const total = filteredTokens.length;
-          const paginatedTokens = filteredTokens.slice(offset, offset + limit);
+          const changeSet = createChangeSet("update_theme_config", caller);
+          let changeId = null;
+          try {
+            await writeBrandingJson(config, changeSet, args.theme);
+            if (css) await writeSourceFile(css.path, css.content, changeSet);
+          } finally {
+            // Journal whatever was written, even if a later write failed
+            changeId = await recordChangeSet(changeSet, [
+              { path: args.path, oldValue, newValue: args.value },
+              ...(css ? css.changes : []),
+            ]);
+          }
+          const cssRegeneration = css && describeBrandingCss(css, false);
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    success: true,
+                    message: "Theme configuration updated successfully",
+                    path: args.path,
+                    oldValue: oldValue,
+                    newValue: args.value,
+                    ...(changeId && { changeId }),
+                    ...(cssRegeneration
+                      ? { cssRegeneration }
+                      : {
+                          note: "Run regenerate_branding_css (or pass regenerateCss: true) to update branding-tokens.css",
+                        }),
+                  },
+                  null,
+                  2,
+                ),
+              },
+            ],
+          };
+        }
+
+        case "validate_theme_config": {
+          const config = args.config || (await readBrandingJson(args.theme));
+          const errors = await validateBrandingConfig(config);
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    valid: errors.length === 0,
+                    source: args.config
+                      ? "argument"
+                      : path.relative(
+                          TOKENS_DIR,
+                          getThemePaths(args.theme).brandingJson,
+                        ),
+                    schema: path.relative(__dirname, BRANDING_SCHEMA_FILE),
+                    errorCount: errors.length,
+                    errors,
+                  },
+                  null,
+                  2,
+                ),
+              },
+            ],
+          };
+        }
+
+        case "apply_theme_patch": {
+          const changes = [
+            ...(args.patch ? flattenJsonConfig(args.patch) : []),
+            ...(args.changes || []),
+          ].map(({ path: valuePath, value }) => ({ path: valuePath, value }));
+
+          const changeSet = createChangeSet("apply_theme_patch", caller);
+          let result = null;
+          let changeId = null;
+          try {
+            result = await applyThemePatch(changes, {
+              dryRun: args.dryRun === true,
+              regenerateCss: args.regenerateCss === true,
+              changeSet,
+              theme: args.theme,
+            });
+          } finally {
+            // Journal whatever was written, even if a later write failed
+            changeId = await recordChangeSet(
+              changeSet,
+              result
+                ? [
+                    ...result.applied,
+                    ...(result.cssRegeneration?.changes ?? []),
+                  ]
+                : changes,
+            );
+          }
 
           return {
             content: [
@@ -3221,17 +10051,11 @@ function registerHandlers(srv) {
                 type: "text",
                 text: JSON.stringify(
                   {
-                    totalMatching: total,
-                    returned: paginatedTokens.length,
-                    offset,
-                    limit,
-                    hasMore: offset + limit < total,
-                    filters: {
-                      file: args.file || "all",
-                      category: args.category || null,
-                      prefix: args.prefix || null,
-                    },
-                    tokens: paginatedTokens,
+                    message: result.dryRun
+                      ? "Dry run: no changes written"
+                      : `Applied ${result.applied.length} theme change(s)`,
+                    ...result,
+                    ...(changeId && { changeId }),
                   },
                   null,
                   2,
@@ -3241,82 +10065,27 @@ function registerHandlers(srv) {
           };
         }
 
-        case "list_files": {
-          const fileStats = [];
-          for (const [key, config] of Object.entries(TOKEN_FILES)) {
-            const filePath = path.join(TOKENS_DIR, config.file);
-            try {
-              await fs.access(filePath);
-              const tokens = await parseTokenFile(filePath, config.category);
-              fileStats.push({
-                key,
-                file: config.file,
-                description: config.description,
-                category: config.category,
-                type: "global",
-                tokenCount: tokens.size,
-              });
-            } catch {
-              fileStats.push({
-                key,
-                file: config.file,
-                description: config.description,
-                category: config.category,
-                type: "global",
-                tokenCount: 0,
-                status: "not found",
-              });
-            }
-          }
-
-          // Include component token files
-          const includeComponents = args.includeComponentFiles !== false;
-          const componentFileStats = [];
-          if (includeComponents) {
-            for (const [slug, config] of Object.entries(
-              COMPONENT_TOKEN_FILES,
-            )) {
-              const filePath = path.join(COMPONENT_TOKENS_DIR, config.file);
-              try {
-                await fs.access(filePath);
-                const tokens = await parseTokenFile(filePath, config.category);
-                componentFileStats.push({
-                  key: slug,
-                  file: `componentToken/${config.file}`,
-                  description: config.description,
-                  category: config.category,
-                  type: "component",
-                  component: slug,
-                  tokenCount: tokens.size,
-                });
-              } catch {
-                componentFileStats.push({
-                  key: slug,
-                  file: `componentToken/${config.file}`,
-                  description: config.description,
-                  category: config.category,
-                  type: "component",
-                  component: slug,
-                  tokenCount: 0,
-                  status: "not found",
-                });
-              }
-            }
-          }
-
-          const allFiles = [...fileStats, ...componentFileStats];
-
+        case "regenerate_branding_css": {
+          const changeSet = createChangeSet("regenerate_branding_css", caller);
+          const result = await regenerateBrandingCss({
+            dryRun: args.dryRun === true,
+            changeSet,
+            theme: args.theme,
+          });
+          const changeId = await recordChangeSet(changeSet, [
+            ...result.changes,
+            ...result.added.map(({ value, ...added }) => ({
+              ...added,
+              oldValue: null,
+              newValue: value,
+            })),
+          ]);
           return {
             content: [
               {
                 type: "text",
                 text: JSON.stringify(
-                  {
-                    totalFiles: allFiles.length,
-                    globalFiles: fileStats.length,
-                    componentFiles: componentFileStats.length,
-                    files: allFiles,
-                  },
+                  { ...result, ...(changeId && { changeId }) },
                   null,
                   2,
                 ),
@@ -3325,246 +10094,302 @@ function registerHandlers(srv) {
           };
         }
 
-        case "get_token_stats": {
-          const stats = await getTokenStats();
-          const componentStats = await getComponentTokenStats();
-          stats.componentTokens = componentStats;
+        case "diff_themes": {
+          if (!args.from) {
+            throw new Error("'from' is required");
+          }
+          const diff = await diffThemes({
+            from: args.from,
+            to: args.to || null,
+            theme: args.theme || null,
+            limit: args.limit || 100,
+          });
           return {
             content: [
               {
                 type: "text",
-                text: JSON.stringify(stats, null, 2),
+                text: JSON.stringify(diff, null, 2),
               },
             ],
           };
         }
 
-        case "search_tokens": {
-          if (!args.pattern) {
-            throw new Error("Search pattern is required");
+        case "get_token_dependents": {
+          if (!args.name) {
+            throw new Error("Token name is required");
           }
+          const normalizedName = args.name.startsWith("--")
+            ? args.name
+            : `--${args.name}`;
+          const dependents = await getTokenDependents(normalizedName, {
+            maxDepth: args.maxDepth || null,
+            theme: args.theme || null,
+          });
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(dependents, null, 2),
+              },
+            ],
+          };
+        }
 
-          const tokens = await parseAllTokens(args.file);
-          let results = searchTokens(
-            tokens,
-            args.pattern,
-            args.searchIn || "both",
-          );
-
-          // Mark global results
-          results = results.map((r) => ({ ...r, source: "global" }));
-
-          // Merge component tokens if requested
-          if (args.includeComponentTokens) {
-            const lowerPattern = args.pattern.toLowerCase();
-            const searchIn = args.searchIn || "both";
-            const componentTokens = await parseAllComponentTokens();
-            for (const ct of componentTokens) {
-              const matchName =
-                (searchIn === "both" || searchIn === "name") &&
-                ct.name.toLowerCase().includes(lowerPattern);
-              const matchValue =
-                (searchIn === "both" || searchIn === "value") &&
-                ct.value.toLowerCase().includes(lowerPattern);
-              const matchComment =
-                searchIn === "both" &&
-                ct.comment &&
-                ct.comment.toLowerCase().includes(lowerPattern);
-              if (matchName || matchValue || matchComment) {
-                results.push({
-                  name: ct.name,
-                  value: ct.value,
-                  file: ct.file,
-                  category: ct.category,
-                  source: "component",
-                  component: ct.component,
-                  ...(ct.section && { section: ct.section }),
-                  ...(ct.comment && { comment: ct.comment }),
-                });
-              }
-            }
+        case "generate_tailwind_config": {
+          const format = args.format || "cjs";
+          if (!TAILWIND_CONFIG_FORMATS.includes(format)) {
+            throw new Error(
+              `Unknown format '${format}'. Use one of: ${TAILWIND_CONFIG_FORMATS.join(", ")}`,
+            );
           }
-
-          results.sort((a, b) => a.name.localeCompare(b.name));
-
-          const limit = args.limit || 50;
-          const limitedResults = results.slice(0, limit);
-
+          const { extend, summary } = await buildTailwindThemeExtend({
+            theme: args.theme || null,
+          });
           return {
             content: [
               {
                 type: "text",
                 text: JSON.stringify(
                   {
-                    pattern: args.pattern,
-                    searchIn: args.searchIn || "both",
-                    file: args.file || "all",
-                    includeComponentTokens:
-                      args.includeComponentTokens || false,
-                    totalMatches: results.length,
-                    returned: limitedResults.length,
-                    results: limitedResults,
+                    format,
+                    ...summary,
+                    hint:
+                      format === "json"
+                        ? "Merge the JSON below into your Tailwind config"
+                        : `Save the config below as ${format === "esm" ? "tailwind.config.mjs" : "tailwind.config.js"} and load the --ks-* token CSS on the page`,
                   },
                   null,
                   2,
                 ),
               },
+              { type: "text", text: renderTailwindConfig(extend, format) },
             ],
           };
         }
 
-        case "get_tokens_by_type": {
-          if (!args.type) {
-            throw new Error("Semantic type is required");
+        case "export_token_constants": {
+          const format = args.format || "ts";
+          if (!TOKEN_CONSTANTS_FORMATS.includes(format)) {
+            throw new Error(
+              `Unknown format '${format}'. Use one of: ${TOKEN_CONSTANTS_FORMATS.join(", ")}`,
+            );
           }
-
-          const tokens = await parseAllTokens(args.file);
-          let results = getTokensBySemanticType(tokens, args.type);
-
-          results.sort((a, b) => a.name.localeCompare(b.name));
-
-          const limit = args.limit || 50;
-          const limitedResults = results.slice(0, limit);
-
+          const { module, summary } = await exportTokenConstants({
+            format,
+            include: args.include || "all",
+            component: args.component?.toLowerCase() || null,
+            theme: args.theme || null,
+          });
           return {
             content: [
               {
                 type: "text",
                 text: JSON.stringify(
                   {
-                    type: args.type,
-                    file: args.file || "all",
-                    totalMatches: results.length,
-                    returned: limitedResults.length,
-                    results: limitedResults,
+                    format,
+                    ...summary,
+                    hint: `Save the module below as design-tokens.${format}`,
                   },
                   null,
                   2,
                 ),
               },
+              { type: "text", text: module },
             ],
           };
         }
 
-        case "get_color_palette": {
-          const colorFiles = [
-            "branding",
-            "color",
-            "background-color",
-            "text-color",
-            "border-color",
-          ];
-          const allColors = [];
-
-          for (const fileKey of colorFiles) {
-            const tokens = await parseAllTokens(fileKey);
-            for (const [tokenName, data] of tokens.entries()) {
-              // Filter by color type if specified
-              if (args.colorType) {
-                if (
-                  !tokenName
-                    .toLowerCase()
-                    .includes(args.colorType.toLowerCase())
-                ) {
-                  continue;
-                }
-              }
+        case "export_figma_variables": {
+          const collections = args.collections?.length
+            ? args.collections
+            : Object.keys(FIGMA_VARIABLE_COLLECTIONS);
+          const unknown = collections.filter(
+            (key) => !FIGMA_VARIABLE_COLLECTIONS[key],
+          );
+          if (unknown.length > 0) {
+            throw new Error(
+              `Unknown collection(s): ${unknown.join(", ")}. Use: ${Object.keys(FIGMA_VARIABLE_COLLECTIONS).join(", ")}`,
+            );
+          }
+          const { payload, summary } = await exportFigmaVariables({
+            collections,
+            theme: args.theme || null,
+          });
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    format: "figma-variables",
+                    ...summary,
+                    hint: "POST the JSON below to /v1/files/:file_key/variables, or create the variables from it in a plugin",
+                  },
+                  null,
+                  2,
+                ),
+              },
+              { type: "text", text: JSON.stringify(payload, null, 2) },
+            ],
+          };
+        }
 
-              // Exclude scales unless requested
-              if (!args.includeScales) {
-                if (/(alpha-\d|to-bg-\d|to-fg-\d)/.test(tokenName)) {
-                  continue;
-                }
-              }
+        case "export_token_graph": {
+          const format = args.format || "mermaid";
+          const root = args.root
+            ? args.root.startsWith("--")
+              ? args.root
+              : `--${args.root}`
+            : null;
+          const graph = await buildTokenGraph({
+            root,
+            category: args.category || null,
+            component: args.component || null,
+            direction: args.direction || "dependencies",
+            depth: args.depth || null,
+            theme: args.theme || null,
+          });
 
-              allColors.push({
-                name: tokenName,
-                value: data.value,
-                file: data.file,
-                category: data.category,
-                ...(data.section && { section: data.section }),
-                ...(data.comment && { comment: data.comment }),
-              });
-            }
+          const layers = {};
+          for (const node of graph.nodes) {
+            layers[node.layer] = (layers[node.layer] || 0) + 1;
           }
+          const summary = {
+            format,
+            filters: {
+              ...(root && { root }),
+              ...(args.category && { category: args.category }),
+              ...(args.component && { component: args.component }),
+              ...((root || args.category || args.component) && {
+                direction: args.direction || "dependencies",
+              }),
+              ...(args.depth && { depth: args.depth }),
+            },
+            nodes: graph.nodes.length,
+            edges: graph.edges.length,
+            layers,
+            ...(format !== "json" &&
+              graph.nodes.length > 300 && {
+                hint: "Large graphs are hard to read; filter by root, category or component and limit 'depth'",
+              }),
+          };
 
-          allColors.sort((a, b) => a.name.localeCompare(b.name));
+          if (format === "json") {
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify({ ...summary, graph }, null, 2),
+                },
+              ],
+            };
+          }
+          return {
+            content: [
+              { type: "text", text: JSON.stringify(summary, null, 2) },
+              {
+                type: "text",
+                text:
+                  format === "dot"
+                    ? renderTokenGraphDot(graph)
+                    : renderTokenGraphMermaid(graph),
+              },
+            ],
+          };
+        }
 
+        case "export_tokens": {
+          const { document, summary } = await exportDtcgTokens({
+            include: args.include || "all",
+            category: args.category || null,
+            component: args.component || null,
+            theme: args.theme || null,
+          });
           return {
             content: [
               {
                 type: "text",
                 text: JSON.stringify(
                   {
-                    colorType: args.colorType || "all",
-                    includeScales: args.includeScales || false,
-                    totalColors: allColors.length,
-                    colors: allColors.slice(0, 100),
+                    format: "dtcg",
+                    ...summary,
+                    hint: "Save the JSON below as a .tokens.json file",
                   },
                   null,
                   2,
                 ),
               },
+              { type: "text", text: JSON.stringify(document, null, 2) },
             ],
           };
         }
 
-        case "get_typography_tokens": {
-          const tokens = await parseAllTokens();
-          const typographyTokens = [];
-
-          for (const [tokenName, data] of tokens.entries()) {
-            const isTypography =
-              tokenName.includes("font") ||
-              tokenName.includes("line-height") ||
-              tokenName.includes("letter-spacing");
-
-            if (!isTypography) continue;
-
-            // Filter by font type
-            if (args.fontType) {
-              if (
-                !tokenName.toLowerCase().includes(args.fontType.toLowerCase())
-              ) {
-                continue;
-              }
+        case "import_tokens": {
+          let document = args.tokens;
+          if (args.file) {
+            const filePath = await resolveSourceFile(args.file);
+            if (!filePath) {
+              throw new Error(`Token file not found: ${args.file}`);
             }
-
-            // Filter by property
-            if (args.property) {
-              const propertyPatterns = {
-                family: /font-family/,
-                weight: /font-weight/,
-                size: /font-size/,
-                "line-height": /line-height/,
-              };
-              if (!propertyPatterns[args.property]?.test(tokenName)) {
-                continue;
-              }
+            let text;
+            try {
+              text = await fs.readFile(filePath, "utf-8");
+            } catch (error) {
+              throw new Error(`Cannot read ${args.file}: ${error.message}`);
+            }
+            try {
+              document = JSON.parse(text);
+            } catch (error) {
+              throw new Error(`${args.file} is not valid JSON: ${error.message}`);
             }
+          }
+          if (!document || typeof document !== "object") {
+            throw new Error("Pass a DTCG 'file' path or a 'tokens' document");
+          }
 
-            typographyTokens.push({
-              name: tokenName,
-              value: data.value,
-              file: data.file,
-              category: data.category,
-              ...(data.section && { section: data.section }),
-              ...(data.comment && { comment: data.comment }),
+          const changeSet = createChangeSet("import_tokens", caller);
+          let result = null;
+          let changeId = null;
+          try {
+            result = await importDtcgTokens(document, {
+              apply: args.apply === true,
+              force: args.force === true,
+              regenerateCss: args.regenerateCss === true,
+              theme: args.theme || null,
+              changeSet,
             });
+          } finally {
+            // Journal whatever was written, even if a later write failed
+            changeId = await recordChangeSet(
+              changeSet,
+              result
+                ? [
+                    ...result.branding.changes,
+                    ...result.tokens.map(
+                      ({ token, selector, oldValue, newValue }) => ({
+                        token,
+                        selector,
+                        oldValue,
+                        newValue,
+                      }),
+                    ),
+                  ]
+                : [],
+            );
           }
 
-          typographyTokens.sort((a, b) => a.name.localeCompare(b.name));
-
           return {
             content: [
               {
                 type: "text",
                 text: JSON.stringify(
                   {
-                    fontType: args.fontType || "all",
-                    property: args.property || "all",
-                    totalTokens: typographyTokens.length,
-                    tokens: typographyTokens.slice(0, 100),
+                    success: true,
+                    message: result.dryRun
+                      ? "Preview only: no changes written. Pass apply: true to import."
+                      : "Tokens imported",
+                    ...(changeId && { changeId }),
+                    ...result,
                   },
                   null,
                   2,
@@ -3574,60 +10399,33 @@ function registerHandlers(srv) {
           };
         }
 
-        case "get_spacing_tokens": {
-          const tokens = await parseAllTokens("spacing");
-          const brandingTokens = await parseAllTokens("branding");
-
-          // Merge branding spacing tokens
-          for (const [name, data] of brandingTokens.entries()) {
-            if (name.includes("spacing")) {
-              tokens.set(name, data);
-            }
-          }
-
-          const spacingTokens = [];
-
-          for (const [tokenName, data] of tokens.entries()) {
-            // Filter by size
-            if (args.size) {
-              const sizePattern = new RegExp(`-${args.size}(-|$)`, "i");
-              if (!sizePattern.test(tokenName)) {
-                continue;
-              }
-            }
-
-            // Filter by type
-            if (args.type) {
-              if (args.type === "base") {
-                if (!tokenName.includes("-base")) continue;
-              } else {
-                if (!tokenName.includes(args.type)) continue;
-              }
+        case "list_themes": {
+          const themes = [];
+          for (const themeName of await listThemeNames()) {
+            const themePaths = getThemePaths(themeName);
+            let hasCss = true;
+            try {
+              await fs.access(themePaths.brandingCss);
+            } catch {
+              hasCss = false;
             }
-
-            spacingTokens.push({
-              name: tokenName,
-              value: data.value,
-              file: data.file,
-              category: data.category,
-              ...(data.section && { section: data.section }),
-              ...(data.comment && { comment: data.comment }),
+            const config = await readBrandingJson(themeName);
+            themes.push({
+              name: themeName,
+              active: themeName === _activeTheme,
+              brandingJson: path.relative(TOKENS_DIR, themePaths.brandingJson),
+              brandingCss: hasCss
+                ? path.relative(TOKENS_DIR, themePaths.brandingCss)
+                : null,
+              primaryColor: config.color?.primary ?? null,
             });
           }
-
-          spacingTokens.sort((a, b) => a.name.localeCompare(b.name));
-
           return {
             content: [
               {
                 type: "text",
                 text: JSON.stringify(
-                  {
-                    size: args.size || "all",
-                    type: args.type || "all",
-                    totalTokens: spacingTokens.length,
-                    tokens: spacingTokens,
-                  },
+                  { activeTheme: _activeTheme, themes },
                   null,
                   2,
                 ),
@@ -3636,50 +10434,30 @@ function registerHandlers(srv) {
           };
         }
 
-        case "get_branding_tokens": {
-          const tokens = await parseAllTokens("branding");
-          const brandingTokens = [];
-
-          const typeFilters = {
-            colors: /color/i,
-            fonts: /font/i,
-            spacing: /spacing/i,
-            borders: /border/i,
-            shadows: /shadow/i,
-          };
-
-          for (const [tokenName, data] of tokens.entries()) {
-            // Filter by type
-            if (args.type && args.type !== "all") {
-              const filter = typeFilters[args.type];
-              if (filter && !filter.test(tokenName)) {
-                continue;
-              }
-            }
-
-            brandingTokens.push({
-              name: tokenName,
-              value: data.value,
-              file: data.file,
-              category: data.category,
-              isEditable: !data.value.includes("var("),
-              ...(data.section && { section: data.section }),
-              ...(data.comment && { comment: data.comment }),
-            });
+        case "create_theme": {
+          if (!args.name) {
+            throw new Error("Theme name is required");
           }
-
-          brandingTokens.sort((a, b) => a.name.localeCompare(b.name));
-
+          const changeSet = createChangeSet("create_theme", caller);
+          const result = await createTheme(
+            args.name,
+            args.from || null,
+            changeSet,
+          );
+          const changeId = await recordChangeSet(changeSet, [
+            { theme: result.name, from: result.from },
+          ]);
           return {
             content: [
               {
                 type: "text",
                 text: JSON.stringify(
                   {
-                    type: args.type || "all",
-                    totalTokens: brandingTokens.length,
-                    note: "Tokens with isEditable=true can be modified directly",
-                    tokens: brandingTokens,
+                    success: true,
+                    message: `Theme '${result.name}' created from '${result.from}'`,
+                    ...result,
+                    ...(changeId && { changeId }),
+                    hint: `Use switch_theme { name: "${result.name}" } to make it active, or pass theme: "${result.name}" to the theme tools`,
                   },
                   null,
                   2,
@@ -3689,16 +10467,19 @@ function registerHandlers(srv) {
           };
         }
 
-        case "update_token": {
+        case "switch_theme": {
           if (!args.name) {
-            throw new Error("Token name is required");
+            throw new Error("Theme name is required");
           }
-          if (args.value === undefined || args.value === null) {
-            throw new Error("Token value is required");
+          // Over HTTP, the active theme would be shared by every client
+          if (options.stateless) {
+            throw new Error(
+              "switch_theme is not available over HTTP, where requests share one process. Pass 'theme' to each call instead.",
+            );
           }
-
-          const result = await updateTokenInFile(args.name, args.value);
-
+          await assertThemeExists(args.name);
+          const previousTheme = _activeTheme;
+          _activeTheme = args.name;
           return {
             content: [
               {
@@ -3706,8 +10487,8 @@ function registerHandlers(srv) {
                 text: JSON.stringify(
                   {
                     success: true,
-                    message: "Token updated successfully",
-                    ...result,
+                    previousTheme,
+                    activeTheme: _activeTheme,
                   },
                   null,
                   2,
@@ -3717,30 +10498,38 @@ function registerHandlers(srv) {
           };
         }
 
-        case "get_theme_config": {
-          const config = await readBrandingJson();
-
-          let result;
-          if (args.section) {
-            const sectionData = config[args.section];
-            if (sectionData === undefined) {
-              throw new Error(
-                `Unknown section: ${args.section}. Available sections: ${Object.keys(config).join(", ")}`,
-              );
-            }
-            result = {
-              section: args.section,
-              data: sectionData,
-              availableSections: Object.keys(config),
-            };
-          } else {
-            result = {
-              sections: Object.keys(config),
-              config: config,
-              note: "Use the 'section' parameter to get specific sections like 'color', 'font', 'spacing', etc.",
-            };
-          }
+        case "list_changes": {
+          const history = await readHistory();
+          const limit = args.limit || 20;
+          const entries = history.entries
+            .filter((e) => args.includeUndone !== false || !e.undone)
+            .slice(-limit)
+            .reverse();
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  {
+                    totalChanges: history.entries.length,
+                    canUndo: history.entries.filter((e) => !e.undone).length,
+                    canRedo: history.entries.filter((e) => e.undone).length,
+                    changes: entries.map(summarizeHistoryEntry),
+                  },
+                  null,
+                  2,
+                ),
+              },
+            ],
+          };
+        }
 
+        case "undo_change":
+        case "redo_change": {
+          const result = await replayHistory(
+            name === "undo_change" ? "undo" : "redo",
+            { id: args.id, count: args.count, force: args.force === true },
+          );
           return {
             content: [
               {
@@ -3751,38 +10540,18 @@ function registerHandlers(srv) {
           };
         }
 
-        case "update_theme_config": {
-          if (!args.path) {
-            throw new Error(
-              "Path is required (e.g., 'color.primary', 'font.copy.font-size')",
-            );
-          }
-          if (args.value === undefined || args.value === null) {
-            throw new Error("Value is required");
-          }
-
-          const config = await readBrandingJson();
-          const oldValue = getNestedValue(config, args.path);
-
-          if (oldValue === undefined) {
-            throw new Error(`Path not found: ${args.path}`);
-          }
-
-          setNestedValue(config, args.path, args.value);
-          await writeBrandingJson(config);
-
+        case "check_branding_sync": {
+          const syncReport = await checkBrandingSync(args.theme);
           return {
             content: [
               {
                 type: "text",
                 text: JSON.stringify(
                   {
-                    success: true,
-                    message: "Theme configuration updated successfully",
-                    path: args.path,
-                    oldValue: oldValue,
-                    newValue: args.value,
-                    note: "Remember to regenerate CSS tokens if needed",
+                    ...syncReport,
+                    ...(!syncReport.inSync && {
+                      hint: "Run regenerate_branding_css to rewrite the CSS from the JSON, or update_theme_config to fix the JSON",
+                    }),
                   },
                   null,
                   2,
@@ -3793,7 +10562,7 @@ function registerHandlers(srv) {
         }
 
         case "list_theme_values": {
-          const config = await readBrandingJson();
+          const config = await readBrandingJson(args.theme);
           const flatValues = flattenJsonConfig(config);
 
           let filtered = flatValues;
@@ -3826,7 +10595,7 @@ function registerHandlers(srv) {
         }
 
         case "get_factor_tokens": {
-          const tokens = await parseAllTokens("branding");
+          const tokens = await parseAllTokens("branding", args.theme);
           const factorTokens = [];
 
           const factorPatterns = [/factor/i, /ratio/i, /scale/i, /multiplier/i];
@@ -3878,7 +10647,7 @@ function registerHandlers(srv) {
         }
 
         case "get_breakpoint_tokens": {
-          const tokens = await parseAllTokens("branding");
+          const tokens = await parseAllTokens("branding", args.theme);
           const breakpointTokens = [];
 
           for (const [tokenName, data] of tokens.entries()) {
@@ -3900,7 +10669,7 @@ function registerHandlers(srv) {
           }
 
           // Also get breakpoints from JSON config
-          const config = await readBrandingJson();
+          const config = await readBrandingJson(args.theme);
           if (config.breakpoints) {
             for (const [bpName, bpValue] of Object.entries(
               config.breakpoints,
@@ -3936,7 +10705,7 @@ function registerHandlers(srv) {
         }
 
         case "get_duration_tokens": {
-          const tokens = await parseAllTokens("branding");
+          const tokens = await parseAllTokens("branding", args.theme);
           const durationTokens = [];
 
           for (const [tokenName, data] of tokens.entries()) {
@@ -4005,7 +10774,7 @@ function registerHandlers(srv) {
           }
 
           // Read the current theme config as the schema template
-          const config = await readBrandingJson();
+          const config = await readBrandingJson(args.theme);
           const schemaDescription = getBrandingSchemaDescription();
 
           return {
@@ -4054,7 +10823,7 @@ function registerHandlers(srv) {
           });
 
           // Read the current theme config and schema for reference
-          const cssConfig = await readBrandingJson();
+          const cssConfig = await readBrandingJson(args.theme);
           const cssSchemaDescription = getBrandingSchemaDescription();
 
           // Collect all CSS custom properties (these are the most useful for theming)
@@ -4159,8 +10928,9 @@ function registerHandlers(srv) {
             args.category && args.category !== "all" ? args.category : null;
           const includeEmpty = args.includeEmpty || false;
           const componentEntries = [];
+          const registry = await loadComponentRegistry();
 
-          for (const [slug, config] of Object.entries(COMPONENT_TOKEN_FILES)) {
+          for (const [slug, config] of Object.entries(registry.files)) {
             // Apply category filter
             if (categoryFilter && config.category !== categoryFilter) continue;
 
@@ -4172,7 +10942,7 @@ function registerHandlers(srv) {
             try {
               await fs.access(filePath);
               const content = await fs.readFile(filePath, "utf-8");
-              const tokens = await parseTokenFile(filePath, config.category);
+              const tokens = await loadTokenFile(filePath, config.category);
               tokenCount = tokens.size;
 
               // Detect responsive overrides
@@ -4181,7 +10951,11 @@ function registerHandlers(srv) {
               // Collect unique property types
               const propSet = new Set();
               for (const [name] of tokens.entries()) {
-                const parsed = parseComponentTokenName(name, slug);
+                const parsed = parseComponentTokenName(
+                  name,
+                  slug,
+                  config.prefix,
+                );
                 propSet.add(parsed.cssProperty);
               }
               propertyTypes = Array.from(propSet).sort();
@@ -4198,6 +10972,7 @@ function registerHandlers(srv) {
               slug,
               category: config.category,
               file: config.file,
+              prefix: `--${config.prefix}`,
               tokenCount,
               description: config.description,
               hasResponsiveOverrides,
@@ -4233,11 +11008,12 @@ function registerHandlers(srv) {
           }
 
           const slug = args.component.toLowerCase();
-          const config = COMPONENT_TOKEN_FILES[slug];
+          const registry = await loadComponentRegistry();
+          const config = registry.files[slug];
 
           if (!config) {
             // Suggest similar component names
-            const available = Object.keys(COMPONENT_TOKEN_FILES);
+            const available = Object.keys(registry.files);
             const suggestions = available
               .filter(
                 (s) =>
@@ -4257,7 +11033,7 @@ function registerHandlers(srv) {
                       suggestions:
                         suggestions.length > 0 ? suggestions : undefined,
                       hint: "Use 'list_components' to discover available component names",
-                      availableCategories: Object.keys(COMPONENT_CATEGORIES),
+                      availableCategories: Object.keys(registry.categories),
                     },
                     null,
                     2,
@@ -4542,6 +11318,7 @@ function registerHandlers(srv) {
           const fullAudit = await auditAllComponents(
             args.category || "all",
             args.minSeverity || "info",
+            { checkContrast: args.checkContrast === true },
           );
           return {
             content: [
@@ -4579,10 +11356,144 @@ function registerHandlers(srv) {
 } // end registerHandlers
 
 // Start the server
+/**
+ * Read a `--flag value` or `--flag=value` CLI argument.
+ * @param {string[]} argv - Arguments after the script name
+ * @param {string} flag
+ * @returns {string|undefined}
+ */
+function getCliOption(argv, flag) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag) {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith("--")) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith(`${flag}=`)) {
+      return argv[i].slice(flag.length + 1);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Resolve the token, component token, rules and branding JSON locations.
+ * Precedence: CLI flag > env var > config file > default. Relative paths in
+ * the config file are resolved against the config file's directory, all
+ * other relative paths against the working directory.
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object<string, string>} env - Environment variables
+ * @returns {Promise<{paths: Object<string, string>, sources: Object<string, string>, configFile: string|null}>}
+ */
+async function resolveServerPaths(argv, env) {
+  const explicitConfig =
+    getCliOption(argv, "--config") || env.DESIGN_TOKENS_CONFIG;
+  const configPath = path.resolve(explicitConfig || CONFIG_FILE_NAME);
+
+  let fileConfig = {};
+  let configFile = null;
+  try {
+    fileConfig = JSON.parse(await fs.readFile(configPath, "utf-8"));
+    configFile = configPath;
+  } catch (error) {
+    // The default config file is optional; an explicit one must be readable
+    if (explicitConfig || error.code !== "ENOENT") {
+      throw new Error(
+        `Failed to read config file ${configPath}: ${error.message}`,
+      );
+    }
+  }
+
+  const paths = {};
+  const sources = {};
+  for (const [key, option] of Object.entries(PATH_OPTIONS)) {
+    const cliValue = getCliOption(argv, option.flag);
+    if (cliValue) {
+      paths[key] = path.resolve(cliValue);
+      sources[key] = option.flag;
+    } else if (env[option.env]) {
+      paths[key] = path.resolve(env[option.env]);
+      sources[key] = option.env;
+    } else if (fileConfig[key]) {
+      paths[key] = path.resolve(path.dirname(configPath), fileConfig[key]);
+      sources[key] = configFile;
+    }
+  }
+
+  // Defaults are relative to the token root so a custom root brings its own
+  // componentToken/ folder and branding JSON
+  paths.tokensDir ??= path.join(__dirname, "tokens");
+  paths.componentTokensDir ??= path.join(paths.tokensDir, "componentToken");
+  paths.rulesDir ??= path.join(__dirname, "rules");
+  paths.brandingJson ??= path.join(paths.tokensDir, "branding-token.json");
+  paths.historyFile ??= path.join(
+    paths.tokensDir,
+    ".design-tokens-history.json",
+  );
+  paths.themesDir ??= path.join(paths.tokensDir, "themes");
+
+  return { paths, sources, configFile };
+}
+
+/**
+ * Check that the configured locations exist. The token root and every
+ * explicitly configured path are required; missing defaults only warn,
+ * since component tokens, rules and the branding JSON are optional.
+ * @param {Object<string, string>} paths - From resolveServerPaths()
+ * @param {Object<string, string>} sources - Where each explicit path came from
+ * @returns {Promise<void>}
+ * @throws {Error} If a required path is missing or has the wrong type
+ */
+async function validateServerPaths(paths, sources) {
+  const expectations = {
+    tokensDir: "directory",
+    componentTokensDir: "directory",
+    rulesDir: "directory",
+    brandingJson: "file",
+  };
+
+  for (const [key, kind] of Object.entries(expectations)) {
+    let stat = null;
+    try {
+      stat = await fs.stat(paths[key]);
+    } catch {
+      // Reported below
+    }
+
+    const valid =
+      stat && (kind === "directory" ? stat.isDirectory() : stat.isFile());
+    if (valid) continue;
+
+    const problem = stat
+      ? `${paths[key]} is not a ${kind}`
+      : `${paths[key]} does not exist`;
+    if (key === "tokensDir" || sources[key]) {
+      throw new Error(
+        `Invalid ${key}${sources[key] ? ` (from ${sources[key]})` : ""}: ${problem}`,
+      );
+    }
+    console.error(`Warning: ${key} ${problem}`);
+  }
+}
+
 async function main() {
   try {
-    // Verify tokens directory exists
-    await fs.access(TOKENS_DIR);
+    const { paths, sources, configFile } = await resolveServerPaths(
+      process.argv.slice(2),
+      process.env,
+    );
+    await validateServerPaths(paths, sources);
+    TOKENS_DIR = paths.tokensDir;
+    COMPONENT_TOKENS_DIR = paths.componentTokensDir;
+    RULES_DIR = paths.rulesDir;
+    BRANDING_JSON_FILE = paths.brandingJson;
+    HISTORY_FILE = paths.historyFile;
+    THEMES_DIR = paths.themesDir;
+    if (configFile) {
+      console.error(`Using config file: ${configFile}`);
+    }
+    watchTokenSources();
 
     const transportType = process.env.MCP_TRANSPORT || "stdio";
     const stats = await getTokenStats();
@@ -4625,7 +11536,10 @@ async function main() {
             { capabilities: { tools: {} } },
           );
 
-          registerHandlers(sessionServer);
+          registerHandlers(sessionServer, {
+            stateless: true,
+            transport: "http",
+          });
 
           await sessionServer.connect(transport);
 
@@ -4645,6 +11559,10 @@ async function main() {
         console.error(`  MCP endpoint:   http://localhost:${PORT}/mcp`);
         console.error(`  Health check:   http://localhost:${PORT}/health`);
         console.error(`  Tokens directory: ${TOKENS_DIR}`);
+        console.error(`  Component tokens: ${COMPONENT_TOKENS_DIR}`);
+        console.error(`  Rules directory:  ${RULES_DIR}`);
+        console.error(`  Branding JSON:    ${BRANDING_JSON_FILE}`);
+        console.error(`  Themes directory: ${THEMES_DIR}`);
         console.error(`  Total tokens available: ${stats.totalTokens}`);
       });
 
@@ -4664,6 +11582,10 @@ async function main() {
 
       console.error("Design Tokens MCP Server v4.0.0 running on stdio");
       console.error(`Tokens directory: ${TOKENS_DIR}`);
+      console.error(`Component tokens: ${COMPONENT_TOKENS_DIR}`);
+      console.error(`Rules directory: ${RULES_DIR}`);
+      console.error(`Branding JSON: ${BRANDING_JSON_FILE}`);
+      console.error(`Themes directory: ${THEMES_DIR}`);
       console.error(`Total tokens available: ${stats.totalTokens}`);
     }
   } catch (error) {